@@ -623,7 +623,9 @@ router.get('/ai-charging/config', (req, res) => {
         chargingStarted: false,
         chargingStopped: false,
         optimalPrice: false,
-        negativePrice: false
+        negativePrice: false,
+        commandFailed: false,
+        watchdog: false
       }
     });
   } catch (error) {
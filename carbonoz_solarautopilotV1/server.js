@@ -28,6 +28,17 @@ const warningService = require('./services/warningService');
 const notificationRoutes = require('./routes/notificationRoutes');
 const tibberService = require('./services/tibberService');
 const aiChargingEngine = require('./services/aiChargingEngine');
+const backtestService = require('./services/backtestService');
+const commandAckService = require('./services/commandAckService');
+const loadForecastService = require('./services/loadForecastService');
+const pvForecastService = require('./services/pvForecastService');
+const carbonIntensityService = require('./services/carbonIntensityService');
+const strategyService = require('./services/strategyService');
+const controllableLoadService = require('./services/controllableLoadService');
+const watchdogService = require('./services/watchdogService');
+const peakShavingService = require('./services/peakShavingService');
+const gridQualityService = require('./services/gridQualityService');
+const batteryHealthService = require('./services/batteryHealthService');
 
 let aiEngineInitialized = false;
 
@@ -328,6 +339,7 @@ let currentSystemState = {
   grid_power: null,
   battery_power: null,  // Add this line
   inverter_state: null,
+  inverters: {}, // per-inverter measurements (inverter_N/<topic>/state) for per-inverter AI decisions
   timestamp: null
 }
 
@@ -520,7 +532,8 @@ function initializeAIEngine() {
     const aiConfig = {
       inverterNumber: inverterNumber,
       mqttTopicPrefix: mqttTopicPrefix,
-      inverterTypes: inverterTypes
+      inverterTypes: inverterTypes,
+      settingsState: currentSettingsState
     };
     
     aiChargingEngine.initialize(mqttClient, currentSystemState, aiConfig);
@@ -836,6 +849,17 @@ async function handleMqttMessage(topic, message) {
 
   // Rules processing removed - AI engine only
 
+  // Confirm AI commands when the inverter reports the new value
+  if (topic.endsWith('/state')) {
+    commandAckService.handleStateMessage(topic, messageStr);
+  }
+
+  // Local weather feed for the PV forecast
+  if (topic === pvForecastService.getWeatherTopic()) {
+    pvForecastService.setWeatherReading(messageStr);
+    return;
+  }
+
   // Extract inverter ID from the topic
   let inverterId = "inverter_1";
   const inverterMatch = specificTopic.match(/inverter_(\d+)/);
@@ -1081,18 +1105,26 @@ async function handleMqttMessage(topic, message) {
   if (specificTopic.includes('total/battery_state_of_charge')) {
     currentSystemState.battery_soc = parseFloat(messageContent);
     currentSystemState.timestamp = moment().format('YYYY-MM-DD HH:mm:ss');
+    watchdogService.recordSoc(currentSystemState.battery_soc);
+    batteryHealthService.handleReading(currentSystemState);
     
     // Update AI engine system state
     if (aiChargingEngine && aiChargingEngine.updateSystemState) {
       aiChargingEngine.updateSystemState(currentSystemState);
     }
-  } else if (specificTopic.match(/battery_\d+\/capacity\/state/)) {
-    // Extract battery number dynamically
-    const batteryMatch = specificTopic.match(/battery_(\d+)\/capacity\/state/);
+  } else if (specificTopic.match(/battery_\d+\/(capacity|state_of_charge|voltage|power)\/state/)) {
+    // Extract battery bank number and metric dynamically (aggregated by the AI engine)
+    const batteryMatch = specificTopic.match(/battery_(\d+)\/(capacity|state_of_charge|voltage|power)\/state/);
     if (batteryMatch) {
       const batteryNum = batteryMatch[1];
-      const capacityKey = `battery_${batteryNum}_capacity_ah`;
-      currentSystemState[capacityKey] = parseFloat(messageContent);
+      const metricKeys = {
+        capacity: 'capacity_ah',
+        state_of_charge: 'soc',
+        voltage: 'voltage',
+        power: 'power'
+      };
+      const batteryKey = `battery_${batteryNum}_${metricKeys[batteryMatch[2]]}`;
+      currentSystemState[batteryKey] = parseFloat(messageContent);
       
       // Update AI engine with new battery data
       if (aiChargingEngine && aiChargingEngine.updateSystemState) {
@@ -1109,12 +1141,22 @@ async function handleMqttMessage(topic, message) {
     currentSystemState.pv_power = parseFloat(messageContent);
   } else if (specificTopic.includes('total/load_power')) {
     currentSystemState.load = parseFloat(messageContent);
+    peakShavingService.handleMeasurement(currentSystemState);
   } else if (specificTopic.includes('total/grid_voltage')) {
     currentSystemState.grid_voltage = parseFloat(messageContent);
+    // Sags, swells and outages against the site's voltage band
+    gridQualityService.handleReading(currentSystemState.grid_voltage);
   } else if (specificTopic.includes('total/grid_power')) {
     currentSystemState.grid_power = parseFloat(messageContent);
+    // Checked on every reading, not only at the engine's evaluations
+    peakShavingService.handleMeasurement(currentSystemState);
   } else if (specificTopic.includes('total/battery_power')) {
     currentSystemState.battery_power = parseFloat(messageContent);
+  } else if (specificTopic.includes('total/battery_energy_in') || specificTopic.includes('total/battery_energy_out')) {
+    const energyKey = specificTopic.includes('battery_energy_in') ? 'battery_energy_in' : 'battery_energy_out';
+    currentSystemState[energyKey] = parseFloat(messageContent);
+    // Energy counters against SOC changes give the real battery capacity
+    batteryHealthService.handleReading(currentSystemState);
   } else if (specificTopic.includes('total/bus_voltage')) {
     currentSystemState.total_battery_voltage = parseFloat(messageContent);
   } else if (specificTopic.includes('inverter_state') || specificTopic.includes('device_mode')) {
@@ -1129,6 +1171,26 @@ async function handleMqttMessage(topic, message) {
     }
   }
 
+  // Per-inverter measurements so the AI engine can decide for each inverter separately
+  const inverterMetricMatch = specificTopic.match(/^(inverter_\d+)\/(battery_state_of_charge|pv_power|load_power|grid_voltage|grid_power|battery_power)\/state$/);
+  if (inverterMetricMatch) {
+    const metricKeys = {
+      battery_state_of_charge: 'battery_soc',
+      pv_power: 'pv_power',
+      load_power: 'load',
+      grid_voltage: 'grid_voltage',
+      grid_power: 'grid_power',
+      battery_power: 'battery_power'
+    };
+    const metricValue = parseFloat(messageContent);
+    if (!isNaN(metricValue)) {
+      if (!currentSystemState.inverters[inverterMetricMatch[1]]) {
+        currentSystemState.inverters[inverterMetricMatch[1]] = {};
+      }
+      currentSystemState.inverters[inverterMetricMatch[1]][metricKeys[inverterMetricMatch[2]]] = metricValue;
+    }
+  }
+
   // ========= ENHANCED DYNAMIC PRICING INTEGRATION WITH INTELLIGENT INVERTER TYPE SUPPORT =========
   if (topic.includes('battery_state_of_charge') || 
   topic.includes('grid_voltage') || 
@@ -1820,8 +1882,17 @@ app.get('/hassio_ingress/:token/energy-dashboard', (req, res) => {
       ]);
   
       const zones = await getZones();
+      const gridPeaks = await peakShavingService.getMonthlyPeaks(12);
+      const gridQuality = {
+        ...(await gridQualityService.getReport(30)),
+        nominalVoltage: gridQualityService.config.nominalVoltage,
+        band: gridQualityService.getBand()
+      };
   
       const data = {
+        gridPeaks,
+        peakLimit: peakShavingService.config.maxImportPower,
+        gridQuality,
         loadPowerData,
         pvPowerData,
         batteryStateOfChargeData,
@@ -2143,6 +2214,31 @@ app.get('/hassio_ingress/:token/energy-dashboard', (req, res) => {
     app._router.handle(req, res);
   });
 
+  // AI backtest page
+  app.get('/backtest', (req, res) => {
+    try {
+      res.render('backtest', {
+        ingress_path: process.env.INGRESS_PATH || '',
+        strategies: backtestService.strategies,
+        maxRangeDays: backtestService.maxRangeDays,
+        battery_capacity: aiChargingEngine.config.batteryCapacity
+      });
+    } catch (error) {
+      console.error('Error rendering backtest page:', error);
+      res.status(500).send('Error loading backtest page');
+    }
+  });
+
+  app.get('/api/hassio_ingress/:token/backtest', (req, res) => {
+    req.url = '/backtest';
+    app._router.handle(req, res);
+  });
+  
+  app.get('/hassio_ingress/:token/backtest', (req, res) => {
+    req.url = '/backtest';
+    app._router.handle(req, res);
+  });
+
 
   app.get('/api/carbon-intensity/:zone', async (req, res) => {
     try {
@@ -2176,6 +2272,7 @@ app.get('/hassio_ingress/:token/energy-dashboard', (req, res) => {
     }
   });
   
+  // Last grid voltage, the site's voltage band and the grid-quality report (?days=30)
   app.get('/api/grid-voltage', async (req, res) => {
     try {
       const result = await influx.query(`
@@ -2183,13 +2280,40 @@ app.get('/hassio_ingress/:token/energy-dashboard', (req, res) => {
         FROM "state"
         WHERE "topic" = '${mqttTopicPrefix}/total/grid_voltage/state'
       `)
-      res.json({ voltage: result[0]?.value || 0 })
+      const voltage = result[0]?.value || 0
+      const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365)
+      res.json({
+        voltage,
+        status: gridQualityService.classify(result[0]?.value ?? null).status,
+        gridQuality: gridQualityService.getStatus(),
+        report: await gridQualityService.getReport(days)
+      })
     } catch (error) {
       console.error('Error fetching grid voltage:', error)
       res.status(500).json({ error: 'Failed to fetch grid voltage' })
     }
   })
 
+  app.put('/api/grid-voltage', (req, res) => {
+    try {
+      const changes = req.body?.gridQuality || req.body;
+      
+      if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        return res.status(400).json({ success: false, error: 'Expected an object with gridQuality settings' });
+      }
+      
+      gridQualityService.updateConfig(changes);
+      
+      res.json({ success: true, message: 'Grid voltage settings saved', gridQuality: gridQualityService.getStatus() });
+    } catch (error) {
+      if (error.validationErrors) {
+        return res.status(400).json({ success: false, error: error.message, errors: error.validationErrors });
+      }
+      console.error('Error updating grid voltage settings:', error);
+      res.status(500).json({ success: false, error: 'Failed to update grid voltage settings' });
+    }
+  })
+
   // AI Dashboard API endpoints
   app.get('/api/ai/status', (req, res) => {
     try {
@@ -2200,6 +2324,10 @@ app.get('/hassio_ingress/:token/energy-dashboard', (req, res) => {
         success: true,
         ai: aiStatus,
         tibber: tibberStatus,
+        watchdog: watchdogService.getStatus(),
+        peakShaving: peakShavingService.getStatus(),
+        gridQuality: gridQualityService.getStatus(),
+        batteryHealth: batteryHealthService.getStatus(),
         system_state: currentSystemState
       });
     } catch (error) {
@@ -2252,6 +2380,616 @@ app.get('/hassio_ingress/:token/energy-dashboard', (req, res) => {
     }
   });
 
+  app.get('/api/ai/plan', (req, res) => {
+    try {
+      const hours = Math.min(48, Math.max(1, parseInt(req.query.hours) || 48));
+      
+      if (req.query.refresh === 'true') {
+        aiChargingEngine.replan('api_refresh');
+      }
+      
+      const plan = aiChargingEngine.getPlan(hours);
+      
+      res.json({
+        success: true,
+        plan: plan,
+        message: plan ? undefined : 'No plan available - price forecast or battery SOC missing'
+      });
+    } catch (error) {
+      console.error('Error getting AI plan:', error);
+      res.status(500).json({ error: 'Failed to get AI plan' });
+    }
+  });
+
+  // Household load forecast learned from the load_power history
+  app.get('/api/forecast/load', async (req, res) => {
+    try {
+      const hours = Math.min(48, Math.max(1, parseInt(req.query.hours) || 48));
+      
+      loadForecastService.setTopicPrefix(mqttTopicPrefix);
+      if (req.query.refresh === 'true') {
+        await loadForecastService.refresh();
+      }
+      
+      const forecast = await loadForecastService.getForecast(hours, currentSystemState.load);
+      
+      res.json({
+        success: true,
+        forecast: forecast
+      });
+    } catch (error) {
+      console.error('Error getting load forecast:', error);
+      res.status(500).json({ error: 'Failed to get load forecast' });
+    }
+  });
+
+  // PV production forecast learned from the pv_power history (plus optional weather feed)
+  app.get('/api/forecast/pv', async (req, res) => {
+    try {
+      const hours = Math.min(48, Math.max(1, parseInt(req.query.hours) || 48));
+      
+      pvForecastService.setTopicPrefix(mqttTopicPrefix);
+      if (req.query.refresh === 'true') {
+        await pvForecastService.refresh();
+      }
+      
+      const forecast = await pvForecastService.getForecast(hours);
+      
+      res.json({
+        success: true,
+        forecast: forecast
+      });
+    } catch (error) {
+      console.error('Error getting PV forecast:', error);
+      res.status(500).json({ error: 'Failed to get PV forecast' });
+    }
+  });
+
+  // Replay historical data through the AI strategies (no MQTT commands are sent)
+  app.post('/api/ai/backtest', async (req, res) => {
+    try {
+      const { from, to, strategies, batteryCapacity, initialSoc, targetSoc } = req.body;
+      
+      if (!from || !to) {
+        return res.status(400).json({ success: false, error: 'from and to dates are required' });
+      }
+      
+      const result = await backtestService.run({
+        from,
+        to,
+        strategies: Array.isArray(strategies) ? strategies : undefined,
+        batteryCapacity: parseFloat(batteryCapacity) || undefined,
+        initialSoc: initialSoc !== undefined && initialSoc !== '' ? parseFloat(initialSoc) : undefined,
+        targetSoc: parseFloat(targetSoc) || tibberService.config.targetSoC
+      });
+      
+      res.json({ success: true, result });
+    } catch (error) {
+      console.error('Error running AI backtest:', error.message);
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  // Shadow mode: evaluate and log decisions without sending MQTT commands
+  app.get('/api/ai/shadow', (req, res) => {
+    res.json({ success: true, shadowMode: aiChargingEngine.isShadowMode() });
+  });
+
+  app.post('/api/ai/shadow', (req, res) => {
+    try {
+      const { enabled } = req.body;
+      
+      if (typeof enabled !== 'boolean') {
+        return res.status(400).json({ success: false, error: 'enabled must be true or false' });
+      }
+      
+      const result = aiChargingEngine.setShadowMode(enabled);
+      
+      res.json({
+        success: true,
+        shadowMode: result.shadowMode,
+        message: result.shadowMode
+          ? 'Shadow mode enabled - commands will only be logged'
+          : 'Shadow mode disabled - commands will be sent to the inverters'
+      });
+    } catch (error) {
+      console.error('Error setting AI shadow mode:', error);
+      res.status(500).json({ error: 'Failed to set shadow mode' });
+    }
+  });
+
+  // Timed manual override (force-charge, force-hold, force-discharge, no-grid-charge)
+  app.get('/api/ai/override', (req, res) => {
+    res.json({
+      success: true,
+      override: aiChargingEngine.getOverrideStatus(),
+      modes: aiChargingEngine.getOverrideModes()
+    });
+  });
+
+  app.post('/api/ai/override', async (req, res) => {
+    try {
+      const { mode, until, durationMinutes, targetSoc, reason } = req.body;
+      const override = aiChargingEngine.setOverride({ mode, until, durationMinutes, targetSoc, reason });
+      
+      // Apply right away instead of waiting for the next evaluation
+      if (aiChargingEngine.enabled) {
+        await aiChargingEngine.evaluate();
+      }
+      
+      res.json({
+        success: true,
+        override: override,
+        message: aiChargingEngine.enabled
+          ? `Override ${override.mode} active`
+          : `Override ${override.mode} saved - it will be applied when the AI engine is running`
+      });
+    } catch (error) {
+      console.error('Error setting AI override:', error.message);
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  app.delete('/api/ai/override', async (req, res) => {
+    try {
+      const previous = aiChargingEngine.clearOverride('cleared via API');
+      
+      if (previous && aiChargingEngine.enabled) {
+        await aiChargingEngine.evaluate();
+      }
+      
+      res.json({
+        success: true,
+        message: previous ? 'Override cleared - automatic control resumed' : 'No active override'
+      });
+    } catch (error) {
+      console.error('Error clearing AI override:', error);
+      res.status(500).json({ error: 'Failed to clear override' });
+    }
+  });
+
+  // Editable academicParams (thresholds, efficiencies, SOC limits, wear model)
+  app.get('/api/ai/config', (req, res) => {
+    res.json({ success: true, config: aiChargingEngine.getAcademicConfig() });
+  });
+
+  app.put('/api/ai/config', (req, res) => {
+    try {
+      const changes = req.body?.academicParams || req.body;
+      
+      if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        return res.status(400).json({ success: false, error: 'Expected an object with academicParams' });
+      }
+      
+      const config = aiChargingEngine.updateAcademicParams(changes);
+      res.json({ success: true, message: 'AI configuration saved', config });
+    } catch (error) {
+      if (error.validationErrors) {
+        return res.status(400).json({ success: false, error: error.message, errors: error.validationErrors });
+      }
+      console.error('Error updating AI config:', error);
+      res.status(500).json({ success: false, error: 'Failed to update AI configuration' });
+    }
+  });
+
+  app.post('/api/ai/config/reset', (req, res) => {
+    try {
+      const config = aiChargingEngine.resetAcademicParams();
+      res.json({ success: true, message: 'AI configuration reset to defaults', config });
+    } catch (error) {
+      console.error('Error resetting AI config:', error);
+      res.status(500).json({ success: false, error: 'Failed to reset AI configuration' });
+    }
+  });
+
+  // Feed-in control (max_sell_power / solar_export_when_battery_full)
+  app.get('/api/ai/export', (req, res) => {
+    res.json({
+      success: true,
+      exportControl: aiChargingEngine.getExportControl(),
+      exportPrice: aiChargingEngine.getExportPrice()
+    });
+  });
+
+  app.put('/api/ai/export', async (req, res) => {
+    try {
+      const changes = req.body?.exportControl || req.body;
+      
+      if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        return res.status(400).json({ success: false, error: 'Expected an object with exportControl settings' });
+      }
+      
+      const exportControl = aiChargingEngine.updateExportControl(changes);
+      
+      if (aiChargingEngine.enabled) {
+        await aiChargingEngine.evaluate();
+      }
+      
+      res.json({ success: true, message: 'Export control saved', exportControl });
+    } catch (error) {
+      if (error.validationErrors) {
+        return res.status(400).json({ success: false, error: error.message, errors: error.validationErrors });
+      }
+      console.error('Error updating export control:', error);
+      res.status(500).json({ success: false, error: 'Failed to update export control' });
+    }
+  });
+
+  // Fail-safe watchdog
+  app.get('/api/ai/watchdog', async (req, res) => {
+    try {
+      const history = await watchdogService.getHistory(parseInt(req.query.limit) || 50);
+      res.json({ success: true, watchdog: watchdogService.getStatus(), history });
+    } catch (error) {
+      console.error('Error getting watchdog status:', error);
+      res.status(500).json({ success: false, error: 'Failed to get watchdog status' });
+    }
+  });
+
+  app.put('/api/ai/watchdog', async (req, res) => {
+    try {
+      const changes = req.body?.watchdog || req.body;
+      
+      if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        return res.status(400).json({ success: false, error: 'Expected an object with watchdog settings' });
+      }
+      
+      watchdogService.updateConfig(changes);
+      await watchdogService.check();
+      
+      res.json({ success: true, message: 'Watchdog settings saved', watchdog: watchdogService.getStatus() });
+    } catch (error) {
+      if (error.validationErrors) {
+        return res.status(400).json({ success: false, error: error.message, errors: error.validationErrors });
+      }
+      console.error('Error updating watchdog settings:', error);
+      res.status(500).json({ success: false, error: 'Failed to update watchdog settings' });
+    }
+  });
+
+  // Peak shaving / main-fuse protection and the monthly grid import peak
+  app.get('/api/ai/peak-shaving', async (req, res) => {
+    try {
+      const monthlyPeaks = await peakShavingService.getMonthlyPeaks(parseInt(req.query.months) || 12);
+      res.json({ success: true, peakShaving: peakShavingService.getStatus(), monthlyPeaks });
+    } catch (error) {
+      console.error('Error getting peak shaving status:', error);
+      res.status(500).json({ success: false, error: 'Failed to get peak shaving status' });
+    }
+  });
+
+  app.put('/api/ai/peak-shaving', async (req, res) => {
+    try {
+      const changes = req.body?.peakShaving || req.body;
+      
+      if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        return res.status(400).json({ success: false, error: 'Expected an object with peakShaving settings' });
+      }
+      
+      peakShavingService.updateConfig(changes);
+      await peakShavingService.check();
+      
+      res.json({ success: true, message: 'Peak shaving settings saved', peakShaving: peakShavingService.getStatus() });
+    } catch (error) {
+      if (error.validationErrors) {
+        return res.status(400).json({ success: false, error: error.message, errors: error.validationErrors });
+      }
+      console.error('Error updating peak shaving settings:', error);
+      res.status(500).json({ success: false, error: 'Failed to update peak shaving settings' });
+    }
+  });
+
+  // Battery state of health: measured capacity, efficiency and fade
+  app.get('/api/ai/battery-health', async (req, res) => {
+    try {
+      const history = await batteryHealthService.getHistory(parseInt(req.query.days) || 365);
+      res.json({ success: true, batteryHealth: batteryHealthService.getStatus(), history });
+    } catch (error) {
+      console.error('Error getting battery health:', error);
+      res.status(500).json({ success: false, error: 'Failed to get battery health' });
+    }
+  });
+
+  app.put('/api/ai/battery-health', (req, res) => {
+    try {
+      const changes = req.body?.batteryHealth || req.body;
+      
+      if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        return res.status(400).json({ success: false, error: 'Expected an object with batteryHealth settings' });
+      }
+      
+      batteryHealthService.updateConfig(changes);
+      
+      res.json({ success: true, message: 'Battery health settings saved', batteryHealth: batteryHealthService.getStatus() });
+    } catch (error) {
+      if (error.validationErrors) {
+        return res.status(400).json({ success: false, error: error.message, errors: error.validationErrors });
+      }
+      console.error('Error updating battery health settings:', error);
+      res.status(500).json({ success: false, error: 'Failed to update battery health settings' });
+    }
+  });
+
+  // Day-ahead plan as inverter time-of-use table (offline fallback)
+  app.get('/api/ai/timer-program', (req, res) => {
+    res.json({ success: true, timerProgram: aiChargingEngine.getTimerProgramStatus() });
+  });
+
+  app.put('/api/ai/timer-program', async (req, res) => {
+    try {
+      const changes = req.body?.timerProgram || req.body;
+      
+      if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        return res.status(400).json({ success: false, error: 'Expected an object with timerProgram settings' });
+      }
+      
+      aiChargingEngine.updateTimerProgram(changes);
+      
+      if (aiChargingEngine.enabled) {
+        await aiChargingEngine.evaluate();
+      }
+      
+      res.json({ success: true, message: 'Timer programming saved', timerProgram: aiChargingEngine.getTimerProgramStatus() });
+    } catch (error) {
+      if (error.validationErrors) {
+        return res.status(400).json({ success: false, error: error.message, errors: error.validationErrors });
+      }
+      console.error('Error updating timer programming:', error);
+      res.status(500).json({ success: false, error: 'Failed to update timer programming' });
+    }
+  });
+
+  // Strategy plugins (strategies/ and data/strategies/)
+  app.get('/api/ai/strategies', (req, res) => {
+    res.json({ success: true, ...aiChargingEngine.getStrategies() });
+  });
+
+  app.post('/api/ai/strategies/reload', (req, res) => {
+    try {
+      strategyService.load();
+      res.json({ success: true, message: 'Strategies reloaded', ...aiChargingEngine.getStrategies() });
+    } catch (error) {
+      console.error('Error reloading strategies:', error);
+      res.status(500).json({ success: false, error: 'Failed to reload strategies' });
+    }
+  });
+
+  app.put('/api/ai/strategy', async (req, res) => {
+    try {
+      const { name, options } = req.body || {};
+      const strategies = aiChargingEngine.setStrategy(name, options);
+      
+      if (aiChargingEngine.enabled) {
+        await aiChargingEngine.evaluate();
+      }
+      
+      res.json({ success: true, message: `Active strategy: ${strategies.current}`, ...strategies });
+    } catch (error) {
+      if (error.validationErrors) {
+        return res.status(400).json({ success: false, error: error.message, errors: error.validationErrors });
+      }
+      console.error('Error setting strategy:', error);
+      res.status(500).json({ success: false, error: 'Failed to set strategy' });
+    }
+  });
+
+  // Hysteresis, dwell times and daily budget for grid charging changes
+  app.get('/api/ai/anti-flapping', (req, res) => {
+    res.json({ success: true, antiFlapping: aiChargingEngine.getAntiFlappingStatus() });
+  });
+
+  app.put('/api/ai/anti-flapping', (req, res) => {
+    try {
+      const changes = req.body?.antiFlapping || req.body;
+      
+      if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        return res.status(400).json({ success: false, error: 'Expected an object with antiFlapping settings' });
+      }
+      
+      aiChargingEngine.updateAntiFlapping(changes);
+      res.json({ success: true, message: 'Anti-flapping settings saved', antiFlapping: aiChargingEngine.getAntiFlappingStatus() });
+    } catch (error) {
+      if (error.validationErrors) {
+        return res.status(400).json({ success: false, error: error.message, errors: error.validationErrors });
+      }
+      console.error('Error updating anti-flapping settings:', error);
+      res.status(500).json({ success: false, error: 'Failed to update anti-flapping settings' });
+    }
+  });
+
+  // Charge current spread over the cheap window (max_grid_charge_current / max_charge_current)
+  app.get('/api/ai/charge-current', (req, res) => {
+    res.json({ success: true, chargeCurrent: aiChargingEngine.getChargeCurrentStatus() });
+  });
+
+  app.put('/api/ai/charge-current', async (req, res) => {
+    try {
+      const changes = req.body?.chargeCurrent || req.body;
+      
+      if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        return res.status(400).json({ success: false, error: 'Expected an object with chargeCurrent settings' });
+      }
+      
+      aiChargingEngine.updateChargeCurrent(changes);
+      
+      if (aiChargingEngine.enabled) {
+        await aiChargingEngine.evaluate();
+      }
+      
+      res.json({ success: true, message: 'Charge current settings saved', chargeCurrent: aiChargingEngine.getChargeCurrentStatus() });
+    } catch (error) {
+      if (error.validationErrors) {
+        return res.status(400).json({ success: false, error: error.message, errors: error.validationErrors });
+      }
+      console.error('Error updating charge current settings:', error);
+      res.status(500).json({ success: false, error: 'Failed to update charge current settings' });
+    }
+  });
+
+  // Controllable loads (EV charger, immersion heater, ...) scheduled with the battery
+  app.get('/api/loads', (req, res) => {
+    res.json({ success: true, loads: controllableLoadService.getStatus() });
+  });
+
+  app.post('/api/loads', async (req, res) => {
+    try {
+      const load = controllableLoadService.addLoad(req.body);
+      
+      if (aiChargingEngine.enabled) {
+        await aiChargingEngine.evaluate();
+      }
+      
+      res.json({ success: true, message: `Load ${load.name} added`, load, loads: controllableLoadService.getStatus() });
+    } catch (error) {
+      if (error.validationErrors) {
+        return res.status(400).json({ success: false, error: error.message, errors: error.validationErrors });
+      }
+      console.error('Error adding controllable load:', error);
+      res.status(500).json({ success: false, error: 'Failed to add load' });
+    }
+  });
+
+  app.put('/api/loads/:id', async (req, res) => {
+    try {
+      const load = controllableLoadService.updateLoad(req.params.id, req.body);
+      if (!load) {
+        return res.status(404).json({ success: false, error: `Load ${req.params.id} not found` });
+      }
+      
+      if (aiChargingEngine.enabled) {
+        await aiChargingEngine.evaluate();
+      }
+      
+      res.json({ success: true, message: `Load ${load.name} saved`, load, loads: controllableLoadService.getStatus() });
+    } catch (error) {
+      if (error.validationErrors) {
+        return res.status(400).json({ success: false, error: error.message, errors: error.validationErrors });
+      }
+      console.error('Error updating controllable load:', error);
+      res.status(500).json({ success: false, error: 'Failed to update load' });
+    }
+  });
+
+  app.delete('/api/loads/:id', async (req, res) => {
+    try {
+      const load = controllableLoadService.removeLoad(req.params.id);
+      if (!load) {
+        return res.status(404).json({ success: false, error: `Load ${req.params.id} not found` });
+      }
+      
+      // Do not leave a removed load running
+      if (load.runtime?.on) {
+        await aiChargingEngine.publishLoadCommand(load, false);
+      }
+      
+      res.json({ success: true, message: `Load ${load.name} removed`, loads: controllableLoadService.getStatus() });
+    } catch (error) {
+      console.error('Error removing controllable load:', error);
+      res.status(500).json({ success: false, error: 'Failed to remove load' });
+    }
+  });
+
+  // Backup reserve curve and storm mode
+  app.get('/api/ai/reserve', (req, res) => {
+    res.json({ success: true, reserve: aiChargingEngine.getReserveStatus() });
+  });
+
+  app.put('/api/ai/reserve', async (req, res) => {
+    try {
+      const curve = req.body?.curve;
+      const reserve = aiChargingEngine.updateReserveCurve(curve);
+      
+      if (aiChargingEngine.enabled) {
+        await aiChargingEngine.evaluate();
+      }
+      
+      res.json({ success: true, message: 'Reserve curve saved', reserve });
+    } catch (error) {
+      if (error.validationErrors) {
+        return res.status(400).json({ success: false, error: error.message, errors: error.validationErrors });
+      }
+      console.error('Error updating reserve curve:', error);
+      res.status(500).json({ success: false, error: 'Failed to update reserve curve' });
+    }
+  });
+
+  app.post('/api/ai/reserve/storm', async (req, res) => {
+    try {
+      const { active, soc, durationHours, reason } = req.body || {};
+      const reserve = aiChargingEngine.setStormMode({ active: !!active, soc, durationHours, reason });
+      
+      // Raise (or release) the reserve right away
+      if (aiChargingEngine.enabled) {
+        await aiChargingEngine.evaluate();
+      }
+      
+      res.json({
+        success: true,
+        message: reserve.storm ? `Storm mode active - reserve ${reserve.reserveSoc}%` : 'Storm mode off',
+        reserve
+      });
+    } catch (error) {
+      console.error('Error setting storm mode:', error.message);
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  // Carbon-aware charging mode and carbon intensity source
+  app.get('/api/ai/carbon', async (req, res) => {
+    try {
+      await carbonIntensityService.ensureFresh();
+      res.json({
+        success: true,
+        carbon: aiChargingEngine.getStatus().carbon,
+        source: carbonIntensityService.config,
+        forecast: carbonIntensityService.getForecast(48)
+      });
+    } catch (error) {
+      console.error('Error getting carbon intensity:', error);
+      res.status(500).json({ success: false, error: 'Failed to get carbon intensity' });
+    }
+  });
+
+  app.put('/api/ai/carbon', async (req, res) => {
+    try {
+      const { mode, co2Weight, source, file, refreshMinutes } = req.body || {};
+      const sourceChanges = Object.fromEntries(
+        Object.entries({ source, file, refreshMinutes }).filter(([, value]) => value !== undefined)
+      );
+      const carbonChanges = Object.fromEntries(
+        Object.entries({ mode, co2Weight }).filter(([, value]) => value !== undefined)
+      );
+      
+      if (Object.keys(sourceChanges).length > 0) {
+        carbonIntensityService.updateConfig(sourceChanges);
+        await carbonIntensityService.refresh();
+      }
+      const carbon = aiChargingEngine.updateCarbonSettings(carbonChanges);
+      
+      if (aiChargingEngine.enabled) {
+        await aiChargingEngine.evaluate();
+      }
+      
+      res.json({
+        success: true,
+        message: 'Carbon settings saved',
+        carbon,
+        source: carbonIntensityService.config,
+        intensity: carbonIntensityService.getStatus()
+      });
+    } catch (error) {
+      if (error.validationErrors) {
+        return res.status(400).json({ success: false, error: error.message, errors: error.validationErrors });
+      }
+      console.error('Error updating carbon settings:', error);
+      res.status(500).json({ success: false, error: 'Failed to update carbon settings' });
+    }
+  });
+
+  app.get('/api/ai/backtest/last', (req, res) => {
+    res.json({ success: true, result: backtestService.lastResult });
+  });
+
   app.get('/api/tibber/current', (req, res) => {
     try {
       const tibberData = tibberService.getCachedData();
@@ -4314,6 +5052,15 @@ mqttClient.on('connect', async () => {
         });
         console.log(`📡 Subscribed to ${mqttTopicPrefix}/#`);
         
+        // Weather feed for the PV forecast may live outside the inverter topics
+        const weatherTopic = pvForecastService.getWeatherTopic();
+        if (weatherTopic && !weatherTopic.startsWith(`${mqttTopicPrefix}/`)) {
+          mqttClient.subscribe(weatherTopic, (err) => {
+            if (err) console.error(`❌ Could not subscribe to weather topic ${weatherTopic}:`, err.message);
+            else console.log(`📡 Subscribed to weather feed ${weatherTopic}`);
+          });
+        }
+        
         // Initialize AI Charging Engine after MQTT is ready
         console.log('🤖 Scheduling AI Engine initialization...');
         setTimeout(initializeAIEngine, 3000); // Wait 3 seconds for system to stabilize
@@ -4373,7 +5120,7 @@ function initializeAIEngine() {
   
   try {
     console.log('🤖 Initializing AI Charging Engine...');
-    aiChargingEngine.initialize(mqttClient, currentSystemState);
+    aiChargingEngine.initialize(mqttClient, currentSystemState, { settingsState: currentSettingsState });
     aiEngineInitialized = true;
     console.log('✅ AI Charging Engine initialized successfully');
     
@@ -4934,6 +5681,9 @@ app.listen(port, () => {
   console.log(`🔄 Auto-Setting Mapping: ENABLED (intelligent command translation)`);
   console.log(`💡 Learner Mode: ${learnerModeActive ? 'ACTIVE' : 'INACTIVE'}`);
   console.log('🔋 Enhanced System: READY');
+  watchdogService.start();
+  peakShavingService.start().catch(error => console.error('❌ Error restoring grid peak:', error.message));
+  batteryHealthService.start().catch(error => console.error('❌ Error restoring battery health:', error.message));
   
   // Enhanced status check after 5 seconds
   setTimeout(() => {
@@ -5273,9 +6023,14 @@ app.post('/api/tibber/config', async (req, res) => {
       maxPriceThreshold,
       country,
       timezone,
-      currency
+      currency,
+      priceResolution
     } = req.body;
     
+    if (priceResolution !== undefined && !['HOURLY', 'QUARTER_HOURLY'].includes(priceResolution)) {
+      return res.status(400).json({ success: false, error: 'priceResolution must be HOURLY or QUARTER_HOURLY' });
+    }
+    
     const updates = {};
     
     if (enabled !== undefined) updates.enabled = !!enabled;
@@ -5311,8 +6066,16 @@ app.post('/api/tibber/config', async (req, res) => {
       updates.currency = currency;
     }
     
+    const resolutionChanged = priceResolution !== undefined && priceResolution !== tibberService.getPriceResolution();
+    if (priceResolution !== undefined) updates.priceResolution = priceResolution;
+    
     const config = tibberService.updateConfig(updates);
     
+    // Fetch the prices again in the new slot length
+    if (resolutionChanged && config.enabled) {
+      await tibberService.refreshData();
+    }
+    
     // ALWAYS mask API key when sending to frontend
     const safeConfig = { 
       ...config, 
@@ -5774,13 +6537,39 @@ app.use((req, res, next) => {
       '/api/tibber/status',
       '/api/ai/status',
       '/api/ai/history',
+      '/api/ai/plan',
+      '/api/ai/shadow',
+      '/api/ai/override',
+      '/api/ai/config',
+      '/api/ai/export',
+      '/api/ai/timer-program',
+      '/api/ai/watchdog',
+      '/api/ai/peak-shaving',
+      '/api/ai/battery-health',
+      '/api/ai/anti-flapping',
+      '/api/ai/charge-current',
+      '/api/ai/strategies',
+      '/api/ai/strategies/reload',
+      '/api/ai/strategy',
+      '/api/ai/reserve',
+      '/api/ai/reserve/storm',
+      '/api/ai/carbon',
+      '/api/loads',
+      '/api/grid-voltage',
+      '/api/forecast/load',
+      '/api/forecast/pv',
       '/api/ai/predictions',
       '/api/health'
     ]
   });
 });
 
-function GracefulShutdown() {
+let shutdownInProgress = false;
+
+async function GracefulShutdown() {
+  // The handlers are registered more than once per signal
+  if (shutdownInProgress) return;
+  shutdownInProgress = true;
   console.log('🔄 Starting enhanced graceful shutdown...');
   
   const forceExitTimeout = setTimeout(() => {
@@ -5788,6 +6577,16 @@ function GracefulShutdown() {
     process.exit(1);
   }, 15000); // Increased timeout for enhanced cleanup
   
+  // Leave the inverters in the watchdog's safe state while MQTT is still connected
+  try {
+    if (await watchdogService.handleShutdown()) {
+      console.log('🐕 Safe state sent to the inverters');
+    }
+  } catch (error) {
+    console.error('❌ Error applying safe state on shutdown:', error.message);
+  }
+  watchdogService.stop();
+  
   // Stop AI Charging Engine first
   if (aiChargingEngine) {
     console.log('🤖 Stopping AI Charging Engine');
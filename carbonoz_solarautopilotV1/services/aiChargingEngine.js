@@ -2,115 +2,2057 @@
 // Based on: "Do dynamic electricity tariffs change the gains of residential PV-battery systems?"
 // Key findings: 12.7% improvement with dynamic tariffs, 8¢/kWh optimal threshold
 
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment-timezone');
 const tibberService = require('./tibberService');
 const influxAIService = require('./influxAIService');
+const scheduleOptimizer = require('./scheduleOptimizer');
+const commandAckService = require('./commandAckService');
+const loadForecastService = require('./loadForecastService');
+const pvForecastService = require('./pvForecastService');
+const carbonIntensityService = require('./carbonIntensityService');
+const strategyService = require('./strategyService');
+const controllableLoadService = require('./controllableLoadService');
+const inverterTimerService = require('./inverterTimerService');
+const gridQualityService = require('./gridQualityService');
+
+// Manual override modes and the inverter settings each one forces
+const OVERRIDE_MODES = {
+  'force-charge': {
+    description: 'Force grid charging',
+    decision: 'START_CHARGING',
+    chargerPriority: 'Utility first',
+    outputPriority: 'Utility first',
+    gridCharge: 'Enabled',
+    energyPattern: 'Battery first'
+  },
+  'force-hold': {
+    description: 'Hold battery (no discharge, no grid charging)',
+    decision: 'STOP_CHARGING',
+    chargerPriority: 'Solar only',
+    outputPriority: 'Utility first',
+    gridCharge: 'Disabled',
+    energyPattern: 'Battery first'
+  },
+  'force-discharge': {
+    description: 'Force battery discharge to loads',
+    decision: 'STOP_CHARGING',
+    chargerPriority: 'Solar only',
+    outputPriority: 'Solar/Battery/Utility',
+    gridCharge: 'Disabled',
+    energyPattern: 'Load first'
+  },
+  'no-grid-charge': {
+    description: 'Block grid charging',
+    decision: 'STOP_CHARGING',
+    chargerPriority: 'Solar only',
+    outputPriority: null, // keep automatic output priority
+    gridCharge: 'Disabled',
+    energyPattern: null // keep automatic energy pattern
+  }
+};
+
+const MAX_OVERRIDE_HOURS = 7 * 24;
+
+// Longest gap between evaluations inside a price slot (SOC, PV and load keep changing)
+const MAX_EVALUATION_GAP_MS = 5 * 60 * 1000;
+// Evaluate shortly after a boundary so the new slot is already current
+const SLOT_BOUNDARY_DELAY_MS = 2000;
+
+// Feed-in control defaults (settings.exportControl)
+const DEFAULT_EXPORT_CONTROL = {
+  enabled: false,
+  // Export price from the Tibber spot (energy) price instead of the fixed feedInTariff
+  dynamicPrice: true,
+  // Battery is only sold down to this SOC (never below Tibber minimumSoC)
+  minSellSoc: 50,
+  // Sell when the export price is at least this share of the 24h export maximum
+  peakFactor: 0.9,
+  // Export limit in W; null = the max_sell_power the inverter reported
+  maxSellPower: null
+};
+
+// Work mode that discharges the battery into the grid while selling; the other export modes
+// restore the work mode the inverter reported before
+const SELL_WORK_MODE = 'Grid first';
+
+// Backup reserve: minimum SOC by time of day (each entry applies from its time until the next one).
+// Empty until the user sets a curve, so the reserve is the Tibber minimumSoC.
+const DEFAULT_RESERVE = {
+  curve: [],
+  // Storm mode raises the reserve to stormSoc until it is switched off or expires
+  stormSoc: 80,
+  storm: null
+};
+
+// Carbon-aware charging (settings.carbon)
+//   off           - cost only
+//   lowest-carbon - grid-charge in the lowest-carbon slots
+//   weighted      - rank slots by (1 - co2Weight) × price + co2Weight × carbon intensity
+const CARBON_MODES = ['off', 'lowest-carbon', 'weighted'];
+const DEFAULT_CARBON = {
+  mode: 'off',
+  co2Weight: 0.5
+};
+
+// Anti-flapping for grid charging (settings.antiFlapping). Dwell times and the daily budget
+// start from the cooldown section of data/dynamic_pricing_config.json.
+const DEFAULT_ANTI_FLAPPING = {
+  enabled: true,
+  // Charging continues up to optimalChargeThreshold + priceHysteresis (¢/kWh)
+  priceHysteresis: 0.5,
+  // Charging restarts only below targetSoC - socHysteresis (%)
+  socHysteresis: 3,
+  // Minimum time grid charging stays on / off before it may switch again
+  minOnMinutes: 30,
+  minOffMinutes: 30,
+  // Grid charging starts per inverter and day (null = unlimited)
+  maxChargingCyclesPerDay: 6
+};
+
+// Day-ahead plan written to the inverter's time-of-use table (settings.timerProgram) so the
+// inverter follows the plan on its own when the add-on or MQTT is down
+const DEFAULT_TIMER_PROGRAM = {
+  enabled: false,
+  // Topics below <prefix>/<inverter>/, {n} = time point 1..6
+  timeTopic: 'time_point_{n}',
+  socTopic: 'capacity_point_{n}',
+  gridChargeTopic: 'grid_charge_point_{n}',
+  // Switches the time-of-use table on (empty = not sent)
+  timerTopic: 'work_mode_timer',
+  timerValue: 'Enabled',
+  // Shortest time between two tables written to the inverter
+  minIntervalMinutes: 60
+};
+
+// Charge-current modulation (settings.chargeCurrent): while grid charging, max_grid_charge_current
+// and max_charge_current are set to the current that reaches the target SOC just at the end of
+// the cheap window. Currents stay within 0-100 A, the range /api/battery-charging/set accepts.
+const DEFAULT_CHARGE_CURRENT = {
+  enabled: false,
+  // Lowest current requested while grid charging (A)
+  minCurrent: 10,
+  // Highest current (A), also restored after grid charging; null = the values the inverter reported
+  maxCurrent: null,
+  // Grid import cap for household load plus grid charging (W); null = no cap
+  maxGridImport: null,
+  // Currents are rounded to this step (A) so small SOC changes do not resend the settings
+  step: 5
+};
+
+const CHARGE_CURRENT_LIMITS = [0, 100];
+const CHARGE_CURRENT_SETTINGS = ['max_grid_charge_current', 'max_charge_current'];
+
+// Measurements an inverter can publish for itself (inverter_N/<topic>/state)
+const INVERTER_STATE_KEYS = ['battery_soc', 'pv_power', 'load', 'grid_voltage', 'grid_power', 'battery_power'];
+
+// Editable academicParams with their validation ranges (see /api/ai/config)
+const ACADEMIC_PARAM_FIELDS = {
+  optimalChargeThreshold: {
+    label: 'Optimal charge price', unit: '¢/kWh', min: -100, max: 200,
+    description: 'Grid charging is triggered at or below this price (study optimum: 8¢/kWh)'
+  },
+  maxPriceThreshold: {
+    label: 'Maximum charge price', unit: '¢/kWh', min: -100, max: 200,
+    description: 'Never charge from the grid above this price, also caps planned charge slots'
+  },
+  feedInTariff: {
+    label: 'Feed-in tariff', unit: '¢/kWh', min: 0, max: 100,
+    description: 'Revenue for exported energy, used to value PV surplus and export'
+  },
+  chargeEfficiency: {
+    label: 'Charge efficiency', unit: '0-1', min: 0.5, max: 1,
+    description: 'Share of energy that ends up stored when charging (ηc)'
+  },
+  dischargeEfficiency: {
+    label: 'Discharge efficiency', unit: '0-1', min: 0.5, max: 1,
+    description: 'Share of stored energy delivered when discharging (ηd)'
+  },
+  socMin: {
+    label: 'Minimum SOC', unit: '0-1', min: 0, max: 1,
+    description: 'Lowest state of charge the planner may discharge to'
+  },
+  socMax: {
+    label: 'Maximum SOC', unit: '0-1', min: 0, max: 1,
+    description: 'Highest state of charge the planner may charge to'
+  },
+  socTarget: {
+    label: 'Target SOC', unit: '0-1', min: 0, max: 1,
+    description: 'Preferred state of charge for normal operation'
+  },
+  cRate: {
+    label: 'C-rate', unit: '1/h', min: 0.05, max: 5,
+    description: 'Maximum charge/discharge power relative to capacity (1 = full in one hour)'
+  },
+  forecastHorizon: {
+    label: 'Forecast horizon', unit: 'h', min: 1, max: 48,
+    description: 'Hours of price forecast considered by the price analysis'
+  },
+  smallBatteryThreshold: {
+    label: 'Small battery limit', unit: 'kWh', min: 1, max: 1000,
+    description: 'Batteries up to this size use the price-sensitive strategy'
+  },
+  mediumBatteryThreshold: {
+    label: 'Medium battery limit', unit: 'kWh', min: 1, max: 1000,
+    description: 'Batteries up to this size use the hybrid strategy, larger ones self-consumption'
+  },
+  batteryPurchaseCost: {
+    label: 'Battery purchase cost', unit: '€', min: 0, max: 1000000, nullable: true,
+    description: 'Total battery cost for the wear model (empty = capacity × cost per kWh)'
+  },
+  batteryCostPerKwh: {
+    label: 'Battery cost per kWh', unit: '€/kWh', min: 0, max: 5000,
+    description: 'Used to estimate the purchase cost when none is configured'
+  },
+  ratedCycles: {
+    label: 'Rated cycles', unit: 'cycles', min: 100, max: 100000,
+    description: 'Cycle life from the datasheet at the rated depth of discharge'
+  },
+  ratedDepthOfDischarge: {
+    label: 'Rated depth of discharge', unit: '0-1', min: 0.05, max: 1,
+    description: 'Depth of discharge the rated cycle life refers to'
+  },
+  dodCycleCurve: {
+    label: 'DoD cycle curve', unit: 'JSON', type: 'curve',
+    description: 'Relative cycle life per depth of discharge, scaled so the rated depth of discharge gives the rated cycles, e.g. [{"depthOfDischarge":0.8,"cycleFactor":1}]'
+  }
+};
 
 class AIChargingEngine {
   constructor() {
     this.enabled = false;
     this.lastDecision = null;
-    this.evaluationInterval = null;
+    // Evaluations run at price slot boundaries (see scheduleNextEvaluation)
+    this.evaluationTimer = null;
+    this.nextEvaluationAt = null;
     this.mqttClient = null;
+    this.settingsState = null; // inverter settings as reported over MQTT (currentSettingsState)
     this.currentSystemState = null;
-    this.lastCommand = null;
     
-    // Battery size thresholds from study
+    // Per-inverter decision and last command (duplicate suppression)
+    this.inverterStates = {};
+    
+    // Persisted engine settings (survive restarts)
+    this.settingsFile = path.join(__dirname, '../data/ai_engine_settings.json');
+    this.settings = this.loadSettings();
+    this.overrideTimer = null;
+    
+    // Consecutive failed evaluations and the safe state set by the watchdog
+    // ({ reasons, blocking, since } - blocking pauses all decisions until it is cleared)
+    this.evaluationErrors = { consecutive: 0, lastError: null, lastErrorAt: null };
+    this.safeState = null;
+    // Import peak being shaved by the peak-shaving controller ({ reasons, discharge, since })
+    this.peakShaving = null;
+    
+    // Day-ahead schedule produced by the optimizer
+    this.plan = null;
+    this.planSignature = null;
+    this.lastPlanSlotStart = null;
+    
+    // Battery size thresholds from study (editable via smallBatteryThreshold/mediumBatteryThreshold)
     this.SMALL_BATTERY_THRESHOLD = 15; // kWh - optimal for price-sensitive operation
     this.MEDIUM_BATTERY_THRESHOLD = 20; // kWh - transition zone
     
-    this.config = {
-      inverterNumber: 1,
-      mqttTopicPrefix: 'solar',
-      inverterTypes: {},
-      batteryCapacity: 10 // Default 10 kWh, should be configured
+    this.config = {
+      inverterNumber: 1,
+      mqttTopicPrefix: 'solar',
+      inverterTypes: {},
+      batteryCapacity: 10 // Default 10 kWh, should be configured
+    };
+    
+    this.batteryDetection = {
+      autoDetected: false,
+      detectionMethod: 'manual',
+      confidence: 0
+    };
+    // Usable capacity measured from the energy counters (batteryHealthService)
+    this.measuredCapacity = null;
+    
+    // Academic study parameters
+    this.academicParams = {
+      // Efficiency values from study (Table in nomenclature)
+      chargeEfficiency: 0.95,  // ηc
+      dischargeEfficiency: 0.95, // ηd
+      roundTripEfficiency: 0.9025, // 95% * 95%
+      
+      // Price thresholds (converted from study's Euro to cents)
+      optimalChargeThreshold: 8, // ¢/kWh - academic optimal
+      maxPriceThreshold: 10, // ¢/kWh - boss requirement: no charging above 10 cents
+      
+      // SOC boundaries from study assumptions
+      socMin: 0.20, // 20% minimum (SOCmin)
+      socMax: 1.00, // 100% maximum (SOCmax)
+      socTarget: 0.80, // 80% target
+      
+      // Feed-in tariff (typical value from study)
+      feedInTariff: 8, // ¢/kWh
+      
+      // Forecasting parameters
+      forecastHorizon: 24, // hours - day-ahead as per study
+      
+      // C-rate (from study: fixed at 1)
+      cRate: 1.0, // Full charge/discharge in 1 hour
+      
+      // Battery size categories (kWh)
+      smallBatteryThreshold: this.SMALL_BATTERY_THRESHOLD,
+      mediumBatteryThreshold: this.MEDIUM_BATTERY_THRESHOLD,
+      
+      // Battery wear model - degradation cost per kWh cycled through the battery
+      batteryPurchaseCost: null, // € - null = estimate from capacity × batteryCostPerKwh
+      batteryCostPerKwh: 300, // €/kWh, used when no purchase cost is configured
+      ratedCycles: 6000, // cycle life at the rated depth of discharge
+      ratedDepthOfDischarge: 0.80,
+      // Relative cycle life per depth of discharge (typical LFP curve), normalised to ratedDepthOfDischarge
+      dodCycleCurve: [
+        { depthOfDischarge: 0.2, cycleFactor: 3.5 },
+        { depthOfDischarge: 0.5, cycleFactor: 1.8 },
+        { depthOfDischarge: 0.8, cycleFactor: 1.0 },
+        { depthOfDischarge: 1.0, cycleFactor: 0.7 }
+      ]
+    };
+    
+    // Apply user changes saved via /api/ai/config on top of the study defaults
+    this.defaultAcademicParams = JSON.parse(JSON.stringify(this.academicParams));
+    if (this.settings.academicParams) {
+      try {
+        this.applyAcademicParams(this.validateAcademicParams(this.settings.academicParams));
+      } catch (error) {
+        console.error('❌ Saved AI config is invalid, using defaults:', error.message);
+      }
+    }
+  }
+
+  async initialize(mqttClient, currentSystemState, config = {}) {
+    this.mqttClient = mqttClient;
+    this.currentSystemState = currentSystemState;
+    
+    if (config.inverterNumber) this.config.inverterNumber = config.inverterNumber;
+    if (config.mqttTopicPrefix) this.config.mqttTopicPrefix = config.mqttTopicPrefix;
+    if (config.inverterTypes) this.config.inverterTypes = config.inverterTypes;
+    if (config.batteryCapacity) this.config.batteryCapacity = config.batteryCapacity;
+    if (config.settingsState) this.settingsState = config.settingsState;
+    
+    loadForecastService.setTopicPrefix(this.config.mqttTopicPrefix);
+    pvForecastService.setTopicPrefix(this.config.mqttTopicPrefix);
+    
+    // Auto-detect battery if not configured
+    await this.detectBatteryCapacity();
+    
+    const sizeCategory = this.getBatterySizeCategory();
+    
+    console.log('✅ AI Charging Engine initialized (Academic Study Enhanced)');
+    console.log(`   • Strategy: Dynamic tariff optimization (12.7% improvement potential)`);
+    console.log(`   • Threshold: ≤${this.academicParams.optimalChargeThreshold}¢/kWh (academic optimal)`);
+    console.log(`   • Battery: ${this.config.batteryCapacity} kWh (${sizeCategory.category} - ${this.batteryDetection.detectionMethod})`);
+    console.log(`   • Category: ${sizeCategory.description}`);
+    console.log(`   • Efficiency: ${(this.academicParams.roundTripEfficiency * 100).toFixed(1)}% round-trip`);
+    if (this.isShadowMode()) {
+      console.log('   • Shadow mode: ON - commands are logged as dry-run only');
+    }
+    if (this.settings.override) {
+      console.log(`   • Manual override: ${this.settings.override.mode} until ${new Date(this.settings.override.until).toLocaleString()}`);
+    }
+  }
+
+  loadSettings() {
+    const defaults = {
+      // Shadow mode: decisions are evaluated and logged, commands are only recorded as dry-run
+      shadowMode: false,
+      // Active manual override ({ mode, until, targetSoc, reason, createdAt }) or null
+      override: null,
+      // academicParams that differ from the study defaults
+      academicParams: null,
+      // Feed-in control through max_sell_power / solar_export_when_battery_full
+      exportControl: { ...DEFAULT_EXPORT_CONTROL },
+      // Backup reserve curve and storm mode
+      reserve: { ...DEFAULT_RESERVE },
+      // Carbon-aware charging
+      carbon: { ...DEFAULT_CARBON },
+      // Hysteresis, dwell times and daily budget for grid charging changes
+      antiFlapping: this.getCooldownDefaults(),
+      // Active strategy ('auto' = by battery size, or a plugin name) and plugin options by name
+      strategy: { active: 'auto', options: {} },
+      // Day-ahead plan as inverter time-of-use table
+      timerProgram: { ...DEFAULT_TIMER_PROGRAM },
+      // Charge current spread over the cheap window
+      chargeCurrent: { ...DEFAULT_CHARGE_CURRENT }
+    };
+    
+    try {
+      if (fs.existsSync(this.settingsFile)) {
+        const fileContent = fs.readFileSync(this.settingsFile, 'utf8');
+        
+        try {
+          const saved = JSON.parse(fileContent);
+          return {
+            ...defaults,
+            ...saved,
+            exportControl: { ...DEFAULT_EXPORT_CONTROL, ...(saved.exportControl || {}) },
+            reserve: { ...DEFAULT_RESERVE, ...(saved.reserve || {}) },
+            carbon: { ...DEFAULT_CARBON, ...(saved.carbon || {}) },
+            antiFlapping: { ...defaults.antiFlapping, ...(saved.antiFlapping || {}) },
+            strategy: { active: 'auto', options: {}, ...(saved.strategy || {}) },
+            timerProgram: { ...DEFAULT_TIMER_PROGRAM, ...(saved.timerProgram || {}) },
+            chargeCurrent: { ...DEFAULT_CHARGE_CURRENT, ...(saved.chargeCurrent || {}) }
+          };
+        } catch (jsonError) {
+          console.error('❌ AI engine settings JSON is corrupted:', jsonError.message);
+          const backupFile = this.settingsFile + '.corrupted.' + Date.now();
+          fs.writeFileSync(backupFile, fileContent);
+          console.log(`💾 Corrupted file backed up to: ${backupFile}`);
+        }
+      }
+    } catch (error) {
+      console.error('Error loading AI engine settings:', error);
+    }
+    
+    return defaults;
+  }
+
+  // Anti-flapping defaults with the dwell time and cycle limit of the dynamic pricing cooldown
+  getCooldownDefaults() {
+    const defaults = { ...DEFAULT_ANTI_FLAPPING };
+    try {
+      const file = path.join(__dirname, '../data/dynamic_pricing_config.json');
+      if (fs.existsSync(file)) {
+        const cooldown = JSON.parse(fs.readFileSync(file, 'utf8')).cooldown;
+        if (cooldown) {
+          defaults.enabled = cooldown.enabled !== false;
+          if (Number.isFinite(cooldown.chargingCooldownMinutes)) {
+            defaults.minOnMinutes = cooldown.chargingCooldownMinutes;
+            defaults.minOffMinutes = cooldown.chargingCooldownMinutes;
+          }
+          if (Number.isFinite(cooldown.maxChargingCyclesPerDay)) {
+            defaults.maxChargingCyclesPerDay = cooldown.maxChargingCyclesPerDay;
+          }
+        }
+      }
+    } catch (error) {
+      console.error('Error reading charging cooldown:', error.message);
+    }
+    return defaults;
+  }
+
+  saveSettings() {
+    try {
+      const dataDir = path.dirname(this.settingsFile);
+      if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+      }
+      
+      fs.writeFileSync(this.settingsFile, JSON.stringify(this.settings, null, 2));
+    } catch (error) {
+      console.error('Error saving AI engine settings:', error);
+    }
+  }
+
+  isShadowMode() {
+    return !!this.settings.shadowMode;
+  }
+
+  setShadowMode(enabled) {
+    const shadowMode = !!enabled;
+    
+    if (this.settings.shadowMode !== shadowMode) {
+      this.settings.shadowMode = shadowMode;
+      // Inverter state is unknown after switching, so the next decision is always sent
+      this.resetLastCommands();
+      this.saveSettings();
+      console.log(shadowMode
+        ? '🕶️ AI shadow mode enabled - commands are logged but not sent'
+        : '🔌 AI shadow mode disabled - commands are sent to the inverters');
+    }
+    
+    return { success: true, shadowMode: shadowMode };
+  }
+
+  getAcademicConfig() {
+    const values = {};
+    for (const key of Object.keys(ACADEMIC_PARAM_FIELDS)) {
+      values[key] = this.academicParams[key];
+    }
+    
+    const defaults = {};
+    for (const key of Object.keys(ACADEMIC_PARAM_FIELDS)) {
+      defaults[key] = this.defaultAcademicParams[key];
+    }
+    
+    return {
+      values: values,
+      defaults: defaults,
+      fields: ACADEMIC_PARAM_FIELDS,
+      roundTripEfficiency: this.academicParams.roundTripEfficiency
+    };
+  }
+
+  // Validate a (partial) set of academicParams. Returns the parsed values or throws.
+  validateAcademicParams(changes) {
+    const errors = [];
+    const parsed = {};
+    
+    for (const [key, rawValue] of Object.entries(changes || {})) {
+      const field = ACADEMIC_PARAM_FIELDS[key];
+      if (!field) {
+        errors.push(`Unknown parameter: ${key}`);
+        continue;
+      }
+      
+      if (field.type === 'curve') {
+        let curve = rawValue;
+        if (typeof curve === 'string') {
+          try {
+            curve = JSON.parse(curve);
+          } catch (error) {
+            errors.push(`${key} must be valid JSON`);
+            continue;
+          }
+        }
+        const valid = Array.isArray(curve) && curve.length > 0 && curve.every(point =>
+          point && Number.isFinite(Number(point.depthOfDischarge)) && Number.isFinite(Number(point.cycleFactor)) &&
+          Number(point.depthOfDischarge) > 0 && Number(point.depthOfDischarge) <= 1 && Number(point.cycleFactor) > 0
+        );
+        if (!valid) {
+          errors.push(`${key} needs points with depthOfDischarge (0-1] and cycleFactor > 0`);
+          continue;
+        }
+        parsed[key] = curve.map(point => ({
+          depthOfDischarge: Number(point.depthOfDischarge),
+          cycleFactor: Number(point.cycleFactor)
+        }));
+        continue;
+      }
+      
+      if ((rawValue === null || rawValue === '') && field.nullable) {
+        parsed[key] = null;
+        continue;
+      }
+      
+      const value = Number(rawValue);
+      if (rawValue === null || rawValue === '' || typeof rawValue === 'boolean' || !Number.isFinite(value)) {
+        errors.push(`${key} must be a number`);
+      } else if (value < field.min || value > field.max) {
+        errors.push(`${key} must be between ${field.min} and ${field.max}`);
+      } else {
+        parsed[key] = value;
+      }
+    }
+    
+    // Cross-field rules are checked against the resulting configuration
+    const merged = { ...this.academicParams, ...parsed };
+    if (merged.socMin >= merged.socMax) {
+      errors.push('socMin must be lower than socMax');
+    }
+    if (merged.socTarget < merged.socMin || merged.socTarget > merged.socMax) {
+      errors.push('socTarget must be between socMin and socMax');
+    }
+    if (merged.optimalChargeThreshold > merged.maxPriceThreshold) {
+      errors.push('optimalChargeThreshold must not exceed maxPriceThreshold');
+    }
+    if (merged.smallBatteryThreshold >= merged.mediumBatteryThreshold) {
+      errors.push('smallBatteryThreshold must be lower than mediumBatteryThreshold');
+    }
+    
+    if (errors.length > 0) {
+      const error = new Error(errors.join('; '));
+      error.validationErrors = errors;
+      throw error;
+    }
+    
+    return parsed;
+  }
+
+  applyAcademicParams(values) {
+    Object.assign(this.academicParams, values);
+    this.academicParams.roundTripEfficiency = 
+      this.academicParams.chargeEfficiency * this.academicParams.dischargeEfficiency;
+    this.SMALL_BATTERY_THRESHOLD = this.academicParams.smallBatteryThreshold;
+    this.MEDIUM_BATTERY_THRESHOLD = this.academicParams.mediumBatteryThreshold;
+  }
+
+  // Validate, apply live and persist changes to academicParams
+  updateAcademicParams(changes) {
+    const parsed = this.validateAcademicParams(changes);
+    this.applyAcademicParams(parsed);
+    this.persistAcademicParams();
+    
+    console.log(`⚙️ AI config updated: ${Object.keys(parsed).join(', ') || 'no changes'}`);
+    this.onAcademicParamsChanged();
+    return this.getAcademicConfig();
+  }
+
+  resetAcademicParams() {
+    this.applyAcademicParams(JSON.parse(JSON.stringify(this.defaultAcademicParams)));
+    this.persistAcademicParams();
+    
+    console.log('⚙️ AI config reset to study defaults');
+    this.onAcademicParamsChanged();
+    return this.getAcademicConfig();
+  }
+
+  // Only values that differ from the defaults are stored, so new defaults reach existing installs
+  persistAcademicParams() {
+    const changed = {};
+    for (const key of Object.keys(ACADEMIC_PARAM_FIELDS)) {
+      if (JSON.stringify(this.academicParams[key]) !== JSON.stringify(this.defaultAcademicParams[key])) {
+        changed[key] = this.academicParams[key];
+      }
+    }
+    
+    this.settings.academicParams = Object.keys(changed).length > 0 ? changed : null;
+    this.saveSettings();
+  }
+
+  onAcademicParamsChanged() {
+    // Thresholds, efficiencies and SOC limits all shape the plan
+    if (this.plan) {
+      this.replan('config_changed');
+    }
+  }
+
+  getOverrideModes() {
+    return Object.entries(OVERRIDE_MODES).map(([mode, definition]) => ({
+      mode: mode,
+      description: definition.description
+    }));
+  }
+
+  // Set a timed manual override. Ends at `until`, after `durationMinutes`
+  // or when the battery reaches `targetSoc` - whichever comes first.
+  setOverride({ mode, until, durationMinutes, targetSoc, reason } = {}) {
+    if (!OVERRIDE_MODES[mode]) {
+      throw new Error(`Invalid override mode. Use one of: ${Object.keys(OVERRIDE_MODES).join(', ')}`);
+    }
+    
+    const now = new Date();
+    let expiresAt = null;
+    
+    if (until) {
+      expiresAt = this.parseOverrideTime(until, now);
+      if (!expiresAt) {
+        throw new Error('until must be an ISO date or a time of day (HH:MM)');
+      }
+    } else if (durationMinutes !== undefined && durationMinutes !== null && durationMinutes !== '') {
+      const minutes = Number(durationMinutes);
+      if (!Number.isFinite(minutes) || minutes <= 0) {
+        throw new Error('durationMinutes must be a positive number');
+      }
+      expiresAt = new Date(now.getTime() + minutes * 60000);
+    }
+    
+    let soc = null;
+    if (targetSoc !== undefined && targetSoc !== null && targetSoc !== '') {
+      soc = Number(targetSoc);
+      if (!Number.isFinite(soc) || soc < 0 || soc > 100) {
+        throw new Error('targetSoc must be between 0 and 100');
+      }
+      if (mode !== 'force-charge' && mode !== 'force-discharge') {
+        throw new Error('targetSoc is only supported for force-charge and force-discharge');
+      }
+    }
+    
+    if (!expiresAt && soc === null) {
+      throw new Error('An override needs an expiry (until or durationMinutes) or a targetSoc');
+    }
+    
+    if (expiresAt && expiresAt <= now) {
+      throw new Error('Override expiry must be in the future');
+    }
+    
+    // Always bound overrides in time so a forgotten override cannot run forever
+    const maxExpiry = new Date(now.getTime() + MAX_OVERRIDE_HOURS * 3600000);
+    if (!expiresAt || expiresAt > maxExpiry) {
+      expiresAt = maxExpiry;
+    }
+    
+    this.settings.override = {
+      mode: mode,
+      until: expiresAt.toISOString(),
+      targetSoc: soc,
+      reason: reason || null,
+      createdAt: now.toISOString()
+    };
+    this.resetLastCommands();
+    this.saveSettings();
+    this.scheduleOverrideExpiry();
+    
+    console.log(`✋ Manual override set: ${mode} until ${expiresAt.toLocaleString()}${soc !== null ? ` or SOC ${soc}%` : ''}`);
+    return this.getOverrideStatus();
+  }
+
+  clearOverride(reason = 'cleared') {
+    if (this.overrideTimer) {
+      clearTimeout(this.overrideTimer);
+      this.overrideTimer = null;
+    }
+    
+    const previous = this.settings.override;
+    if (!previous) {
+      return null;
+    }
+    
+    this.settings.override = null;
+    // Force the next automatic decision to be sent
+    this.resetLastCommands();
+    this.saveSettings();
+    
+    console.log(`✋ Manual override ${previous.mode} ended (${reason}) - resuming automatic control`);
+    return previous;
+  }
+
+  // Accepts an ISO date or a time of day ("06:00" = next 06:00), both in the site timezone
+  // unless the date carries its own offset
+  parseOverrideTime(value, now = new Date()) {
+    const timezone = tibberService.config.timezone || 'Europe/Berlin';
+    const timeOfDay = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+    
+    if (timeOfDay) {
+      const hours = parseInt(timeOfDay[1]);
+      const minutes = parseInt(timeOfDay[2]);
+      if (hours > 23 || minutes > 59) return null;
+      
+      const date = moment(now).tz(timezone).set({ hour: hours, minute: minutes, second: 0, millisecond: 0 });
+      if (!date.isAfter(now)) {
+        date.add(1, 'day');
+      }
+      return date.toDate();
+    }
+    
+    const date = moment.tz(String(value).trim(), moment.ISO_8601, timezone);
+    return date.isValid() ? date.toDate() : null;
+  }
+
+  // Returns the active override, ending it if its expiry or SOC target was reached
+  getActiveOverride() {
+    const override = this.settings.override;
+    if (!override) return null;
+    
+    if (override.until && new Date(override.until) <= new Date()) {
+      this.clearOverride('expired');
+      return null;
+    }
+    
+    const batterySOC = this.getSystemSoc();
+    if (override.targetSoc !== null && typeof batterySOC === 'number') {
+      if (override.mode === 'force-charge' && batterySOC >= override.targetSoc) {
+        this.clearOverride(`target SOC ${override.targetSoc}% reached`);
+        return null;
+      }
+      if (override.mode === 'force-discharge' && batterySOC <= override.targetSoc) {
+        this.clearOverride(`target SOC ${override.targetSoc}% reached`);
+        return null;
+      }
+    }
+    
+    // Never force-discharge below the backup reserve (includes the configured minimum SOC)
+    const reserveSoc = this.getReserveSoc();
+    if (override.mode === 'force-discharge' && typeof batterySOC === 'number' && batterySOC <= reserveSoc) {
+      this.clearOverride(`reserve SOC ${reserveSoc}% reached`);
+      return null;
+    }
+    
+    return override;
+  }
+
+  // Reserve curve entry that applies at a given time of day (site timezone)
+  getReserveCurveSoc(date = new Date()) {
+    const curve = this.settings.reserve.curve || [];
+    if (curve.length === 0) return 0;
+    
+    const time = moment(date).tz(tibberService.config.timezone || 'Europe/Berlin').format('HH:mm');
+    const sorted = curve.slice().sort((a, b) => a.from.localeCompare(b.from));
+    // Before the first entry of the day the last entry of the previous day still applies
+    let entry = sorted[sorted.length - 1];
+    for (const point of sorted) {
+      if (point.from <= time) entry = point;
+    }
+    return entry.soc;
+  }
+
+  getActiveStorm() {
+    const storm = this.settings.reserve.storm;
+    if (!storm) return null;
+    
+    if (storm.until && new Date(storm.until) <= new Date()) {
+      this.settings.reserve.storm = null;
+      this.saveSettings();
+      // Re-plan on the next evaluation with the normal curve
+      this.planSignature = null;
+      console.log('🌤️ Storm mode expired - reserve back to the normal curve');
+      return null;
+    }
+    return storm;
+  }
+
+  // Minimum SOC the battery must keep at a given time: reserve curve, storm mode and Tibber minimumSoC
+  getReserveSoc(date = new Date()) {
+    const reserve = this.settings.reserve;
+    const storm = this.getActiveStorm();
+    const minimumSoC = typeof tibberService.config.minimumSoC === 'number' ? tibberService.config.minimumSoC : 0;
+    
+    return Math.max(
+      this.getReserveCurveSoc(date),
+      storm && (!storm.until || new Date(storm.until) > date) ? (storm.soc ?? reserve.stormSoc) : 0,
+      minimumSoC
+    );
+  }
+
+  getReserveStatus() {
+    const storm = this.getActiveStorm();
+    const now = moment().tz(tibberService.config.timezone || 'Europe/Berlin').startOf('hour');
+    const batterySOC = this.getSystemSoc();
+    const reserveSoc = this.getReserveSoc();
+    
+    return {
+      curve: this.settings.reserve.curve,
+      stormSoc: this.settings.reserve.stormSoc,
+      storm: storm,
+      minimumSoC: tibberService.config.minimumSoC ?? null,
+      reserveSoc: reserveSoc,
+      batterySoc: batterySOC ?? null,
+      belowReserve: typeof batterySOC === 'number' && batterySOC < reserveSoc,
+      // Reserve for the next 24 hours, hour by hour
+      next24h: Array.from({ length: 24 }, (_, i) => {
+        const time = now.clone().add(i, 'hours');
+        return { time: time.toISOString(), soc: this.getReserveSoc(time.toDate()) };
+      })
+    };
+  }
+
+  updateReserveCurve(curve) {
+    const errors = [];
+    
+    // An empty curve switches it off (reserve = Tibber minimumSoC)
+    if (!Array.isArray(curve)) {
+      errors.push('curve must be a list of { from, soc } entries');
+    } else {
+      curve.forEach((point, index) => {
+        if (!point || typeof point.from !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(point.from)) {
+          errors.push(`Entry ${index + 1}: from must be HH:MM`);
+        }
+        const soc = Number(point?.soc);
+        if (point?.soc === null || point?.soc === '' || !Number.isFinite(soc) || soc < 0 || soc > 100) {
+          errors.push(`Entry ${index + 1}: soc must be between 0 and 100`);
+        }
+      });
+      const times = curve.map(point => point?.from);
+      if (new Set(times).size !== times.length) {
+        errors.push('Each time may only appear once');
+      }
+    }
+    
+    if (errors.length > 0) {
+      const error = new Error(errors.join('; '));
+      error.validationErrors = errors;
+      throw error;
+    }
+    
+    this.settings.reserve.curve = curve
+      .map(point => ({ from: point.from, soc: Number(point.soc) }))
+      .sort((a, b) => a.from.localeCompare(b.from));
+    this.saveSettings();
+    this.onAcademicParamsChanged();
+    
+    console.log(this.settings.reserve.curve.length > 0 ?
+      `🛡️ Reserve curve updated: ${this.settings.reserve.curve.map(point => `${point.from} ${point.soc}%`).join(', ')}` :
+      '🛡️ Reserve curve cleared - reserve is the Tibber minimum SOC');
+    return this.getReserveStatus();
+  }
+
+  // Storm mode: raise the reserve for a while (or until switched off)
+  setStormMode({ active, soc, durationHours, reason } = {}) {
+    if (!active) {
+      if (this.settings.reserve.storm) {
+        this.settings.reserve.storm = null;
+        this.saveSettings();
+        this.onAcademicParamsChanged();
+        console.log('🌤️ Storm mode switched off');
+      }
+      return this.getReserveStatus();
+    }
+    
+    const stormSoc = soc === undefined || soc === null || soc === '' ? this.settings.reserve.stormSoc : Number(soc);
+    if (!Number.isFinite(stormSoc) || stormSoc < 0 || stormSoc > 100) {
+      throw new Error('soc must be between 0 and 100');
+    }
+    
+    let until = null;
+    if (durationHours !== undefined && durationHours !== null && durationHours !== '') {
+      const hours = Number(durationHours);
+      if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_OVERRIDE_HOURS) {
+        throw new Error(`durationHours must be between 0 and ${MAX_OVERRIDE_HOURS}`);
+      }
+      until = new Date(Date.now() + hours * 3600000).toISOString();
+    }
+    
+    this.settings.reserve.storm = {
+      soc: stormSoc,
+      until: until,
+      reason: reason || null,
+      createdAt: new Date().toISOString()
+    };
+    this.saveSettings();
+    this.onAcademicParamsChanged();
+    
+    console.log(`⛈️ Storm mode on: reserve ${stormSoc}%${until ? ` until ${new Date(until).toLocaleString()}` : ''}`);
+    return this.getReserveStatus();
+  }
+
+  getOverrideStatus() {
+    const override = this.settings.override;
+    if (!override) return null;
+    
+    return {
+      ...override,
+      description: OVERRIDE_MODES[override.mode]?.description || override.mode,
+      remainingMinutes: override.until ? 
+        Math.max(0, Math.round((new Date(override.until) - new Date()) / 60000)) : null
+    };
+  }
+
+  // Re-evaluate exactly at expiry so control is handed back without waiting for the next interval
+  scheduleOverrideExpiry() {
+    if (this.overrideTimer) {
+      clearTimeout(this.overrideTimer);
+      this.overrideTimer = null;
+    }
+    
+    const override = this.settings.override;
+    if (!override || !override.until) return;
+    
+    const delay = Math.max(0, new Date(override.until) - new Date());
+    this.overrideTimer = setTimeout(() => {
+      this.overrideTimer = null;
+      if (this.enabled) {
+        this.evaluate().catch(error => {
+          console.error('❌ Error in AI evaluation after override expiry:', error);
+        });
+      } else {
+        this.getActiveOverride();
+      }
+    }, delay);
+  }
+
+  // Fixed inverter settings of an override mode
+  getForcedSettings(mode, key = `override:${mode}`) {
+    const definition = OVERRIDE_MODES[mode];
+    return {
+      key: key,
+      chargerPriority: definition.chargerPriority,
+      outputPriority: definition.outputPriority,
+      gridCharge: definition.gridCharge,
+      energyPattern: definition.energyPattern
+    };
+  }
+
+  async applyOverride(override) {
+    const definition = OVERRIDE_MODES[override.mode];
+    const batterySOC = this.getSystemSoc();
+    const reasons = [`MANUAL OVERRIDE: ${definition.description}`];
+    
+    if (override.until) {
+      reasons.push(`Until ${new Date(override.until).toLocaleString()}`);
+    }
+    if (override.targetSoc !== null) {
+      reasons.push(`Or until SOC ${override.mode === 'force-charge' ? '≥' : '≤'} ${override.targetSoc}%`);
+    }
+    if (override.reason) {
+      reasons.push(`Reason: ${override.reason}`);
+    }
+    
+    await this.applyDecision(definition.decision, this.getForcedSettings(override.mode));
+    // Loads keep following their schedule; the override only concerns the battery
+    reasons.push(...await this.applyControllableLoads());
+    
+    const decision = `OVERRIDE ${override.mode.toUpperCase()} (SOC: ${batterySOC ?? '--'}%)`;
+    for (const inverterId of this.getInverterIds()) {
+      this.recordInverterDecision(inverterId, { decision, reasons }, definition.decision, this.getInverterState(inverterId));
+    }
+    return await this.logDecision(decision, reasons, {
+      strategy: 'MANUAL_OVERRIDE',
+      expectedImprovement: 0
+    });
+  }
+
+  // Safe-state profile from the watchdog, sent to every inverter like a forced override
+  async applySafeState(profile, reasons, blocking = false) {
+    this.safeState = {
+      reasons: reasons,
+      blocking: blocking,
+      profile: profile,
+      since: this.safeState?.since || new Date().toISOString()
+    };
+    
+    const forced = { key: 'watchdog-safe-state', ...profile };
+    const decision = 'SAFE STATE - watchdog';
+    reasons = [...reasons, ...await this.shedControllableLoads('watchdog safe state')];
+    // While an import peak is shaved the safe state is sent once the peak is over
+    const inverterIds = this.peakShaving ? [] : this.getInverterIds();
+    for (const inverterId of inverterIds) {
+      const state = this.getInverterState(inverterId);
+      await this.applyInverterDecision(inverterId, 'STOP_CHARGING', forced, state);
+      this.recordInverterDecision(inverterId, { decision, reasons }, 'STOP_CHARGING', state);
+    }
+    
+    console.log(`🐕 Safe state applied: ${reasons.join(' | ')}`);
+    return await this.logDecision(decision, reasons, {
+      strategy: 'WATCHDOG',
+      expectedImprovement: 0
+    });
+  }
+
+  clearSafeState() {
+    this.safeState = null;
+  }
+
+  // Import peak from the peak-shaving controller: the battery discharges into the load like the
+  // force-discharge override, or - at its minimum SOC - only grid charging is stopped
+  async applyPeakShaving(reasons, discharge = true) {
+    this.peakShaving = {
+      reasons: reasons,
+      discharge: discharge,
+      since: this.peakShaving?.since || new Date().toISOString()
+    };
+    
+    // Deferrable loads go first, before the battery is discharged for them
+    reasons = [...reasons, ...await this.shedControllableLoads('import peak')];
+    
+    const mode = discharge ? 'force-discharge' : 'no-grid-charge';
+    const forced = this.getForcedSettings(mode, `peak-shaving:${mode}`);
+    const decision = discharge ? 'PEAK SHAVING - discharging battery' : 'PEAK SHAVING - grid charging stopped';
+    for (const inverterId of this.getInverterIds()) {
+      const state = this.getInverterState(inverterId);
+      await this.applyInverterDecision(inverterId, 'STOP_CHARGING', forced, state);
+      this.recordInverterDecision(inverterId, { decision, reasons }, 'STOP_CHARGING', state);
+    }
+    
+    return await this.logDecision(decision, reasons, {
+      strategy: 'PEAK_SHAVING',
+      expectedImprovement: 0
+    });
+  }
+
+  // Peak over: back to the watchdog's safe state or the engine's own decision
+  async clearPeakShaving() {
+    this.peakShaving = null;
+    if (this.safeState) {
+      await this.applySafeState(this.safeState.profile, this.safeState.reasons, this.safeState.blocking);
+    } else if (this.enabled) {
+      await this.evaluate();
+    }
+  }
+
+  getInverterIds() {
+    const ids = [];
+    for (let i = 1; i <= this.config.inverterNumber; i++) {
+      ids.push(`inverter_${i}`);
+    }
+    return ids;
+  }
+
+  // Measurements for one inverter: its own topics where published, system totals otherwise.
+  // With a single inverter the totals are that inverter's values.
+  getInverterState(inverterId) {
+    const { inverters, ...total } = this.currentSystemState || {};
+    const own = this.config.inverterNumber > 1 ? (inverters?.[inverterId] || {}) : {};
+    const state = { ...total, ownData: false };
+    
+    for (const key of INVERTER_STATE_KEYS) {
+      if (typeof own[key] === 'number' && !isNaN(own[key])) {
+        state[key] = own[key];
+        state.ownData = true;
+      }
+    }
+    
+    return state;
+  }
+
+  getInverterTracker(inverterId) {
+    if (!this.inverterStates[inverterId]) {
+      this.inverterStates[inverterId] = {
+        lastCommand: null,
+        lastCommandAt: null,
+        // Grid charging state last sent and since when (anti-flapping)
+        chargeAction: null,
+        chargeActionSince: null,
+        chargingCycles: { day: null, count: 0 },
+        decision: null,
+        action: null,
+        reasons: [],
+        source: null,
+        state: null,
+        timestamp: null,
+        exportMode: null,
+        lastExportKey: null,
+        lastExport: null,
+        sellLimit: null,
+        normalWorkMode: null,
+        // Time-of-use table last written to the inverter
+        timerProgram: null,
+        lastTimerKey: null,
+        lastTimerAt: null,
+        // Charge current requested and the inverter's own currents to restore
+        chargeCurrent: null,
+        lastCurrentKey: null,
+        normalCurrents: {}
+      };
+    }
+    return this.inverterStates[inverterId];
+  }
+
+  resetLastCommands() {
+    Object.values(this.inverterStates).forEach(tracker => {
+      tracker.lastCommand = null;
+      tracker.lastExportKey = null;
+      tracker.lastTimerKey = null;
+      tracker.lastCurrentKey = null;
+    });
+  }
+
+  recordInverterDecision(inverterId, result, action, state) {
+    const tracker = this.getInverterTracker(inverterId);
+    tracker.decision = result.decision;
+    tracker.reasons = result.reasons;
+    tracker.action = action || null;
+    tracker.source = state.ownData ? 'inverter' : 'total';
+    tracker.state = {
+      battery_soc: state.battery_soc ?? null,
+      pv_power: state.pv_power ?? null,
+      load: state.load ?? null
+    };
+    tracker.timestamp = new Date().toISOString();
+  }
+
+  getInverterDecisions() {
+    const decisions = {};
+    for (const inverterId of this.getInverterIds()) {
+      const tracker = this.getInverterTracker(inverterId);
+      decisions[inverterId] = {
+        type: this.config.inverterTypes[inverterId]?.type || 'unknown',
+        ...tracker
+      };
+    }
+    return decisions;
+  }
+
+  // Inputs handed to a strategy plugin (see services/strategyService.js)
+  buildStrategyContext(strategy, state, batterySOC, planSlot) {
+    const timezone = tibberService.config?.timezone || 'Europe/Berlin';
+    const now = new Date();
+    const config = tibberService.config;
+    const plugin = strategyService.get(strategy.name);
+    
+    return {
+      now: now,
+      timezone: timezone,
+      localTime: moment(now).tz(timezone).format('HH:mm'),
+      state: {
+        battery_soc: batterySOC,
+        pv_power: state?.pv_power || 0,
+        load: state?.load || 0,
+        grid_power: state?.grid_power ?? null,
+        grid_voltage: state?.grid_voltage ?? null,
+        battery_power: state?.battery_power ?? null,
+        gridCharging: !!state?.gridCharging
+      },
+      prices: {
+        current: tibberService.getCurrentPrice(),
+        forecast: tibberService.getForecastWindow(48),
+        average24h: tibberService.calculateAveragePrice(),
+        slotMinutes: tibberService.getSlotMinutes()
+      },
+      forecasts: {
+        planSlot: planSlot,
+        load: date => loadForecastService.getExpectedLoad(date),
+        pv: date => pvForecastService.getExpectedPv(date),
+        carbon: date => carbonIntensityService.getIntensityAt(date)
+      },
+      config: {
+        targetSoC: config.targetSoC,
+        minimumSoC: config.minimumSoC,
+        reserveSoc: this.getReserveSoc(now),
+        batteryCapacity: this.config.batteryCapacity,
+        academicParams: { ...this.academicParams }
+      },
+      options: { ...(plugin?.options || {}), ...(this.settings.strategy.options[strategy.name] || {}) }
+    };
+  }
+
+  // Run the active plugin and turn its action into a decision string
+  async getPluginDecision(strategy, state, batterySOC, planSlot, reasons) {
+    const label = strategy.name.toUpperCase();
+    
+    try {
+      const result = await strategyService.evaluate(strategy.name, this.buildStrategyContext(strategy, state, batterySOC, planSlot));
+      reasons.push(...result.reasons.map(reason => `${label}: ${reason}`));
+      const summary = result.reasons[0] ? `${label}: ${result.reasons[0]}` : label;
+      
+      switch (result.action) {
+        case 'charge': return `CHARGE GRID - ${summary} (SOC: ${batterySOC}%)`;
+        case 'stop': return `STOP CHARGING - ${summary}`;
+        case 'discharge': return `DISCHARGE - ${summary} (SOC: ${batterySOC}%)`;
+        case 'hold': return `HOLD - ${summary} (SOC: ${batterySOC}%)`;
+        default: return `MONITOR - ${summary} (SOC: ${batterySOC}%)`;
+      }
+    } catch (error) {
+      console.error(`❌ Strategy ${strategy.name} failed:`, error.message);
+      reasons.push(`STRATEGY ERROR: ${error.message} - no change`);
+      return `MONITOR - Strategy ${strategy.name} failed (SOC: ${batterySOC}%)`;
+    }
+  }
+
+  getStrategies() {
+    return {
+      active: this.settings.strategy.active,
+      current: this.selectOptimalStrategy().name,
+      strategies: [
+        {
+          name: 'auto',
+          description: `Academic study strategy by battery size (price-sensitive ≤${this.SMALL_BATTERY_THRESHOLD} kWh, self-consumption >${this.MEDIUM_BATTERY_THRESHOLD} kWh)`,
+          options: {},
+          source: 'built-in'
+        },
+        ...strategyService.list()
+      ],
+      options: { ...this.settings.strategy.options },
+      errors: strategyService.errors
+    };
+  }
+
+  // Pick the active strategy and optionally change its options
+  setStrategy(name, options = null) {
+    const errors = [];
+    
+    if (typeof name !== 'string' || (name !== 'auto' && !strategyService.get(name))) {
+      errors.push(`strategy must be one of: auto, ${strategyService.list().map(strategy => strategy.name).join(', ')}`);
+    } else if (options !== null && options !== undefined) {
+      if (name === 'auto') {
+        errors.push('The auto strategy has no options');
+      } else if (typeof options !== 'object' || Array.isArray(options)) {
+        errors.push('options must be an object');
+      } else {
+        const checked = strategyService.validateOptions(name, options);
+        errors.push(...checked.errors);
+        options = checked.options;
+      }
+    }
+    
+    if (errors.length > 0) {
+      const error = new Error(errors.join('; '));
+      error.validationErrors = errors;
+      throw error;
+    }
+    
+    this.settings.strategy.active = name;
+    if (options && name !== 'auto') {
+      this.settings.strategy.options[name] = { ...(this.settings.strategy.options[name] || {}), ...options };
+    }
+    this.saveSettings();
+    
+    console.log(`🧩 Active strategy: ${this.selectOptimalStrategy().name}`);
+    return this.getStrategies();
+  }
+
+  getAntiFlapping() {
+    return { ...this.settings.antiFlapping };
+  }
+
+  updateAntiFlapping(changes) {
+    const errors = [];
+    const parsed = {};
+    
+    for (const [key, rawValue] of Object.entries(changes || {})) {
+      if (!(key in DEFAULT_ANTI_FLAPPING)) {
+        errors.push(`Unknown setting: ${key}`);
+      } else if (key === 'enabled') {
+        if (typeof rawValue !== 'boolean') errors.push('enabled must be true or false');
+        else parsed.enabled = rawValue;
+      } else if (key === 'maxChargingCyclesPerDay' && (rawValue === null || rawValue === '')) {
+        parsed[key] = null;
+      } else {
+        const limits = {
+          priceHysteresis: [0, 50],
+          socHysteresis: [0, 50],
+          minOnMinutes: [0, 720],
+          minOffMinutes: [0, 720],
+          maxChargingCyclesPerDay: [1, 96]
+        }[key];
+        const value = Number(rawValue);
+        if (rawValue === null || rawValue === '' || typeof rawValue === 'boolean' || !Number.isFinite(value)) {
+          errors.push(`${key} must be a number`);
+        } else if (value < limits[0] || value > limits[1]) {
+          errors.push(`${key} must be between ${limits[0]} and ${limits[1]}`);
+        } else {
+          parsed[key] = key === 'maxChargingCyclesPerDay' ? Math.round(value) : value;
+        }
+      }
+    }
+    
+    if (errors.length > 0) {
+      const error = new Error(errors.join('; '));
+      error.validationErrors = errors;
+      throw error;
+    }
+    
+    this.settings.antiFlapping = { ...this.settings.antiFlapping, ...parsed };
+    this.saveSettings();
+    console.log(`🔁 Anti-flapping ${this.settings.antiFlapping.enabled ? 'enabled' : 'disabled'}`);
+    return this.getAntiFlapping();
+  }
+
+  // Remember when grid charging was switched and count the starts of the day
+  recordChargeAction(tracker, action) {
+    if (action !== 'START_CHARGING' && action !== 'STOP_CHARGING') return;
+    if (tracker.chargeAction === action) return;
+    
+    tracker.chargeAction = action;
+    tracker.chargeActionSince = new Date().toISOString();
+    if (action === 'START_CHARGING') {
+      const cycles = this.getChargingCycles(tracker);
+      cycles.count++;
+    }
+  }
+
+  // Today's grid charging starts of an inverter (reset at local midnight)
+  getChargingCycles(tracker) {
+    const day = moment().tz(tibberService.config?.timezone || 'Europe/Berlin').format('YYYY-MM-DD');
+    if (tracker.chargingCycles.day !== day) {
+      tracker.chargingCycles = { day: day, count: 0 };
+    }
+    return tracker.chargingCycles;
+  }
+
+  // Is grid charging on for the inverter - or, without an id, on any inverter?
+  isGridCharging(inverterId = null) {
+    const trackers = inverterId ? [this.getInverterTracker(inverterId)] : Object.values(this.inverterStates);
+    return trackers.some(tracker => tracker.chargeAction === 'START_CHARGING');
+  }
+
+  // Price up to which grid charging runs: the optimal threshold, widened by the hysteresis
+  // band while charging is already on
+  getChargeThreshold(gridCharging = false) {
+    const antiFlapping = this.settings.antiFlapping;
+    const band = antiFlapping.enabled && gridCharging ? antiFlapping.priceHysteresis : 0;
+    return this.academicParams.optimalChargeThreshold + band;
+  }
+
+  // Reason why a change of grid charging has to wait (dwell time, daily budget), or null.
+  // Forced settings and safety decisions (reserve, grid constraint) are never held back.
+  // safetyStop: the decision stops charging for a price limit, the target SOC, a grid constraint
+  // or missing telemetry - such stops are never delayed by the minimum on-time
+  getSuppressedChange(inverterId, action, safetyStop, forced) {
+    const antiFlapping = this.settings.antiFlapping;
+    const tracker = this.getInverterTracker(inverterId);
+    
+    if (!antiFlapping.enabled || forced || !action || !tracker.chargeAction || tracker.chargeAction === action) {
+      return null;
+    }
+    if (safetyStop && action === 'STOP_CHARGING') {
+      return null;
+    }
+    
+    const minutes = (Date.now() - new Date(tracker.chargeActionSince).getTime()) / 60000;
+    const dwell = action === 'START_CHARGING' ? antiFlapping.minOffMinutes : antiFlapping.minOnMinutes;
+    if (minutes < dwell) {
+      return `ANTI-FLAPPING: ${action} suppressed - grid charging ${tracker.chargeAction === 'START_CHARGING' ? 'on' : 'off'} for ${Math.floor(minutes)} of ${dwell} min`;
+    }
+    
+    const cycles = this.getChargingCycles(tracker);
+    if (action === 'START_CHARGING' && antiFlapping.maxChargingCyclesPerDay !== null &&
+        cycles.count >= antiFlapping.maxChargingCyclesPerDay) {
+      return `ANTI-FLAPPING: START_CHARGING suppressed - daily budget of ${antiFlapping.maxChargingCyclesPerDay} charging cycles used`;
+    }
+    
+    return null;
+  }
+
+  getAntiFlappingStatus() {
+    const inverters = {};
+    for (const inverterId of this.getInverterIds()) {
+      const tracker = this.getInverterTracker(inverterId);
+      inverters[inverterId] = {
+        chargeAction: tracker.chargeAction,
+        since: tracker.chargeActionSince,
+        cyclesToday: this.getChargingCycles(tracker).count
+      };
+    }
+    
+    return {
+      ...this.getAntiFlapping(),
+      chargeThreshold: this.getChargeThreshold(this.isGridCharging()),
+      inverters: inverters
+    };
+  }
+
+  getExportControl() {
+    return { ...this.settings.exportControl };
+  }
+
+  updateExportControl(changes) {
+    const errors = [];
+    const parsed = {};
+    
+    for (const [key, rawValue] of Object.entries(changes || {})) {
+      if (!(key in DEFAULT_EXPORT_CONTROL)) {
+        errors.push(`Unknown setting: ${key}`);
+      } else if (key === 'enabled' || key === 'dynamicPrice') {
+        if (typeof rawValue !== 'boolean') errors.push(`${key} must be true or false`);
+        else parsed[key] = rawValue;
+      } else if (key === 'maxSellPower' && (rawValue === null || rawValue === '')) {
+        parsed[key] = null;
+      } else {
+        const limits = { minSellSoc: [0, 100], peakFactor: [0.5, 1], maxSellPower: [0, 15000] }[key];
+        const value = Number(rawValue);
+        if (rawValue === null || rawValue === '' || typeof rawValue === 'boolean' || !Number.isFinite(value)) {
+          errors.push(`${key} must be a number`);
+        } else if (value < limits[0] || value > limits[1]) {
+          errors.push(`${key} must be between ${limits[0]} and ${limits[1]}`);
+        } else {
+          parsed[key] = value;
+        }
+      }
+    }
+    
+    if (errors.length > 0) {
+      const error = new Error(errors.join('; '));
+      error.validationErrors = errors;
+      throw error;
+    }
+    
+    this.settings.exportControl = { ...this.settings.exportControl, ...parsed };
+    // Export settings on the inverter are unknown after a change, so they are sent again
+    Object.values(this.inverterStates).forEach(tracker => {
+      tracker.lastExportKey = null;
+    });
+    this.saveSettings();
+    console.log(`⚡ Export control ${this.settings.exportControl.enabled ? 'enabled' : 'disabled'}`);
+    return this.getExportControl();
+  }
+
+  // Price (¢/kWh) paid for exported energy: the spot (energy) part of the Tibber price
+  // for dynamic export tariffs, otherwise the fixed feed-in tariff
+  getExportPrice(pricePoint = tibberService.getCurrentPrice()) {
+    const exportControl = this.settings.exportControl;
+    if (exportControl.dynamicPrice && typeof pricePoint?.energy === 'number') {
+      return pricePoint.energy;
+    }
+    return this.academicParams.feedInTariff;
+  }
+
+  // What to do with feed-in right now:
+  //   blocked - negative export price, nothing is exported
+  //   sell    - battery energy is sold at a peak export price
+  //   solar   - only PV surplus is exported
+  getExportPlan(state, batterySOC, planSlot = null) {
+    const exportControl = this.settings.exportControl;
+    if (!exportControl.enabled) return null;
+    
+    const exportPrice = this.getExportPrice();
+    if (exportPrice < 0) {
+      return {
+        mode: 'blocked',
+        exportPrice,
+        reason: `EXPORT BLOCKED: Negative export price ${exportPrice.toFixed(2)}¢/kWh`
+      };
+    }
+    
+    const forecast = tibberService.getForecastWindow(24);
+    const minSellSoc = Math.max(exportControl.minSellSoc, this.getReserveSoc(), this.academicParams.socMin * 100);
+    
+    if (forecast.length > 0 && batterySOC > minSellSoc) {
+      const maxExport = Math.max(...forecast.map(price => this.getExportPrice(price)));
+      const minImport = Math.min(...forecast.map(price => price.total));
+      const isPeak = exportPrice >= maxExport * exportControl.peakFactor;
+      const plannedDischarge = planSlot?.action === 'discharge';
+      
+      // Energy sold now has to be bought back later at the cheapest import price
+      const sellCheck = this.checkArbitrage(minImport, exportPrice);
+      if ((isPeak || plannedDischarge) && sellCheck.profitable) {
+        return {
+          mode: 'sell',
+          exportPrice,
+          minSellSoc,
+          reason: `PEAK EXPORT: Selling battery energy at ${exportPrice.toFixed(2)}¢/kWh down to ${minSellSoc}% SOC (buy back ≥${minImport.toFixed(2)}¢ + ${sellCheck.requiredSpread.toFixed(2)}¢ losses/wear)`
+        };
+      }
+    }
+    
+    return {
+      mode: 'solar',
+      exportPrice,
+      reason: `EXPORT: Solar surplus only at ${exportPrice.toFixed(2)}¢/kWh`
+    };
+  }
+
+  // Export limit of an inverter: configured value, else the max_sell_power the inverter
+  // reported before the engine changed it
+  getInverterSellLimit(inverterId) {
+    const configured = this.settings.exportControl.maxSellPower;
+    if (typeof configured === 'number') return configured;
+    
+    const tracker = this.getInverterTracker(inverterId);
+    const reported = parseFloat(this.settingsState?.max_sell_power?.[inverterId]?.value);
+    if (Number.isFinite(reported) && reported > 0 && String(reported) !== tracker.lastExport?.maxSellPower) {
+      tracker.sellLimit = reported;
+    }
+    return tracker.sellLimit ?? null;
+  }
+
+  // The inverter's own work mode, remembered from the reported settings before the engine
+  // switched it to SELL_WORK_MODE
+  getNormalWorkMode(inverterId) {
+    const tracker = this.getInverterTracker(inverterId);
+    const reported = this.settingsState?.work_mode?.[inverterId]?.value;
+    if (typeof reported === 'string' && reported && reported !== SELL_WORK_MODE) {
+      tracker.normalWorkMode = reported;
+    }
+    return tracker.normalWorkMode;
+  }
+
+  // Send max_sell_power / solar_export_when_battery_full / work_mode for the export plan of one
+  // inverter: 'sell' discharges the battery into the grid, 'solar' only exports PV surplus
+  async applyExportControl(inverterId, exportPlan) {
+    if (!exportPlan || (!this.mqttClient && !this.isShadowMode())) return false;
+    
+    const limit = this.getInverterSellLimit(inverterId);
+    const normalWorkMode = this.getNormalWorkMode(inverterId);
+    const commands = {
+      solarExport: exportPlan.mode === 'blocked' ? 'Disabled' : 'Enabled',
+      maxSellPower: exportPlan.mode === 'blocked' ? '0' : (limit !== null ? String(Math.round(limit)) : null),
+      workMode: exportPlan.mode === 'sell' ? SELL_WORK_MODE : normalWorkMode
     };
+    const tracker = this.getInverterTracker(inverterId);
+    // Nothing to restore when the engine never switched the work mode
+    if (exportPlan.mode !== 'sell' && tracker.lastExport?.workMode !== SELL_WORK_MODE) {
+      commands.workMode = null;
+    }
+    const exportKey = `${exportPlan.mode}|${commands.solarExport}|${commands.maxSellPower}`;
+    tracker.exportMode = exportPlan.mode;
     
-    this.batteryDetection = {
-      autoDetected: false,
-      detectionMethod: 'manual',
-      confidence: 0
-    };
+    if (tracker.lastExportKey === exportKey) return false;
     
-    // Academic study parameters
-    this.academicParams = {
-      // Efficiency values from study (Table in nomenclature)
-      chargeEfficiency: 0.95,  // ηc
-      dischargeEfficiency: 0.95, // ηd
-      roundTripEfficiency: 0.9025, // 95% * 95%
-      
-      // Price thresholds (converted from study's Euro to cents)
-      optimalChargeThreshold: 8, // ¢/kWh - academic optimal
-      maxPriceThreshold: 10, // ¢/kWh - boss requirement: no charging above 10 cents
-      
-      // SOC boundaries from study assumptions
-      socMin: 0.20, // 20% minimum (SOCmin)
-      socMax: 1.00, // 100% maximum (SOCmax)
-      socTarget: 0.80, // 80% target
+    const prefix = `${this.config.mqttTopicPrefix}/${inverterId}`;
+    try {
+      await this.sendCommand(`${prefix}/solar_export_when_battery_full/set`, commands.solarExport, inverterId);
+      if (commands.maxSellPower !== null) {
+        await this.sendCommand(`${prefix}/max_sell_power/set`, commands.maxSellPower, inverterId);
+      }
+      if (commands.workMode) {
+        await this.sendCommand(`${prefix}/work_mode/set`, commands.workMode, inverterId);
+      } else if (exportPlan.mode !== 'sell' && tracker.lastExport?.workMode === SELL_WORK_MODE) {
+        console.warn(`⚠️ Work mode of ${inverterId} before selling is unknown, left at ${SELL_WORK_MODE}`);
+      }
       
-      // Feed-in tariff (typical value from study)
-      feedInTariff: 8, // ¢/kWh
+      tracker.lastExportKey = exportKey;
+      tracker.lastExport = commands;
+      console.log(`⚡ Export ${exportPlan.mode} on ${inverterId}: max_sell_power=${commands.maxSellPower ?? 'unchanged'}, solar export ${commands.solarExport}, work mode ${commands.workMode ?? 'unchanged'}`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Failed to apply export control to ${inverterId}:`, error);
+      await this.logCommand('error', `export ${exportPlan.mode}`, false);
+      return false;
+    }
+  }
+
+  getTimerProgram() {
+    return { ...this.settings.timerProgram };
+  }
+
+  updateTimerProgram(changes) {
+    const errors = [];
+    const parsed = {};
+    
+    for (const [key, rawValue] of Object.entries(changes || {})) {
+      if (!(key in DEFAULT_TIMER_PROGRAM)) {
+        errors.push(`Unknown setting: ${key}`);
+      } else if (key === 'enabled') {
+        if (typeof rawValue !== 'boolean') errors.push('enabled must be true or false');
+        else parsed[key] = rawValue;
+      } else if (key === 'minIntervalMinutes') {
+        const value = Number(rawValue);
+        if (rawValue === null || rawValue === '' || !Number.isFinite(value) || value < 5 || value > 1440) {
+          errors.push('minIntervalMinutes must be between 5 and 1440');
+        } else {
+          parsed[key] = value;
+        }
+      } else if (typeof rawValue !== 'string' || /[#+]/.test(rawValue)) {
+        errors.push(`${key} must be text without MQTT wildcards`);
+      } else if (['timeTopic', 'socTopic', 'gridChargeTopic'].includes(key) && !rawValue.includes('{n}')) {
+        errors.push(`${key} must contain {n} for the time point number`);
+      } else {
+        parsed[key] = rawValue.trim();
+      }
+    }
+    
+    if (errors.length > 0) {
+      const error = new Error(errors.join('; '));
+      error.validationErrors = errors;
+      throw error;
+    }
+    
+    this.settings.timerProgram = { ...this.settings.timerProgram, ...parsed };
+    // Write the table again with the new topics
+    Object.values(this.inverterStates).forEach(tracker => {
+      tracker.lastTimerKey = null;
+      tracker.lastTimerAt = null;
+    });
+    this.saveSettings();
+    console.log(`⏲️ Inverter timer programming ${this.settings.timerProgram.enabled ? 'enabled' : 'disabled'}`);
+    return this.getTimerProgram();
+  }
+
+  // Time-of-use table for the next 24 hours of the day-ahead plan
+  buildTimerProgram(now = new Date()) {
+    return inverterTimerService.buildProgram(this.plan, {
+      now: now,
+      timezone: tibberService.config.timezone,
+      minSoc: Math.max(tibberService.config.minimumSoC || 0, this.getReserveSoc(now))
+    });
+  }
+
+  // Write the table to every inverter when it changed, at most every minIntervalMinutes
+  async applyTimerProgram() {
+    const settings = this.settings.timerProgram;
+    if (!settings.enabled || (!this.mqttClient && !this.isShadowMode())) return false;
+    
+    const program = this.buildTimerProgram();
+    if (!program) return false;
+    
+    const topic = (template, n) => template.replace('{n}', n);
+    let written = false;
+    
+    for (const inverterId of this.getInverterIds()) {
+      const tracker = this.getInverterTracker(inverterId);
+      if (tracker.lastTimerKey === program.key) continue;
+      if (tracker.lastTimerAt && Date.now() - new Date(tracker.lastTimerAt).getTime() < settings.minIntervalMinutes * 60000) continue;
       
-      // Forecasting parameters
-      forecastHorizon: 24, // hours - day-ahead as per study
+      const prefix = `${this.config.mqttTopicPrefix}/${inverterId}`;
+      try {
+        for (const point of program.points) {
+          await this.sendCommand(`${prefix}/${topic(settings.timeTopic, point.point)}/set`, point.time, inverterId);
+          await this.sendCommand(`${prefix}/${topic(settings.socTopic, point.point)}/set`, String(point.soc), inverterId);
+          await this.sendCommand(`${prefix}/${topic(settings.gridChargeTopic, point.point)}/set`, point.gridCharge ? 'Enabled' : 'Disabled', inverterId);
+        }
+        if (settings.timerTopic) {
+          await this.sendCommand(`${prefix}/${settings.timerTopic}/set`, settings.timerValue, inverterId);
+        }
+        
+        tracker.lastTimerKey = program.key;
+        tracker.lastTimerAt = new Date().toISOString();
+        tracker.timerProgram = program;
+        written = true;
+        console.log(`⏲️ Timer program on ${inverterId}: ${program.points.map(point => `${point.time} ${point.soc}%${point.gridCharge ? ' grid' : ''}`).join(', ')}`);
+      } catch (error) {
+        console.error(`❌ Failed to write timer program to ${inverterId}:`, error);
+        await this.logCommand('error', 'timer program', false);
+      }
+    }
+    
+    return written;
+  }
+
+  getTimerProgramStatus() {
+    return {
+      ...this.getTimerProgram(),
+      preview: this.buildTimerProgram(),
+      inverters: Object.fromEntries(this.getInverterIds().map(inverterId => {
+        const tracker = this.getInverterTracker(inverterId);
+        return [inverterId, { writtenAt: tracker.lastTimerAt, program: tracker.timerProgram }];
+      }))
+    };
+  }
+
+  getChargeCurrent() {
+    return { ...this.settings.chargeCurrent };
+  }
+
+  updateChargeCurrent(changes) {
+    const errors = [];
+    const parsed = {};
+    const limits = {
+      minCurrent: CHARGE_CURRENT_LIMITS,
+      maxCurrent: CHARGE_CURRENT_LIMITS,
+      maxGridImport: [100, 100000],
+      step: [1, 20]
+    };
+    
+    for (const [key, rawValue] of Object.entries(changes || {})) {
+      if (!(key in DEFAULT_CHARGE_CURRENT)) {
+        errors.push(`Unknown setting: ${key}`);
+      } else if (key === 'enabled') {
+        if (typeof rawValue !== 'boolean') errors.push('enabled must be true or false');
+        else parsed.enabled = rawValue;
+      } else if ((key === 'maxCurrent' || key === 'maxGridImport') && (rawValue === null || rawValue === '')) {
+        parsed[key] = null;
+      } else {
+        const value = Number(rawValue);
+        if (rawValue === null || rawValue === '' || typeof rawValue === 'boolean' || !Number.isFinite(value)) {
+          errors.push(`${key} must be a number`);
+        } else if (value < limits[key][0] || value > limits[key][1]) {
+          errors.push(`${key} must be between ${limits[key][0]} and ${limits[key][1]}`);
+        } else {
+          parsed[key] = value;
+        }
+      }
+    }
+    
+    const merged = { ...this.settings.chargeCurrent, ...parsed };
+    if (errors.length === 0 && merged.maxCurrent !== null && merged.minCurrent > merged.maxCurrent) {
+      errors.push('minCurrent must not be above maxCurrent');
+    }
+    
+    if (errors.length > 0) {
+      const error = new Error(errors.join('; '));
+      error.validationErrors = errors;
+      throw error;
+    }
+    
+    this.settings.chargeCurrent = merged;
+    // Send the currents again with the new limits
+    Object.values(this.inverterStates).forEach(tracker => {
+      tracker.lastCurrentKey = null;
+    });
+    this.saveSettings();
+    console.log(`🔋 Charge-current modulation ${merged.enabled ? 'enabled' : 'disabled'}`);
+    return this.getChargeCurrent();
+  }
+
+  // End of the running cheap window and the SOC to reach by then: the planned grid-charge
+  // slots from the current one on, or without a plan the prices up to the charge threshold
+  getChargeWindow(planSlot, now = new Date()) {
+    const isGridChargeSlot = slot => slot && slot.action === 'charge' && slot.gridCharge;
+    
+    if (planSlot && this.plan) {
+      const slots = this.plan.slots;
+      let index = slots.findIndex(slot => slot.startsAt === planSlot.startsAt);
+      if (index >= 0 && isGridChargeSlot(slots[index])) {
+        while (isGridChargeSlot(slots[index + 1])) index++;
+        return { endsAt: new Date(slots[index].endsAt), targetSoc: slots[index].targetSoc };
+      }
+      return null;
+    }
+    
+    const threshold = this.getChargeThreshold(true);
+    let endsAt = null;
+    for (const price of tibberService.getForecastWindow(48, now)) {
+      if (price.total > threshold) break;
+      endsAt = new Date(price.endsAt);
+    }
+    return endsAt ? { endsAt, targetSoc: tibberService.config.targetSoC } : null;
+  }
+
+  // Charge current per inverter that reaches the window's target SOC just in time, and the
+  // current the grid import cap leaves for charging. Parallel inverters share the battery,
+  // so the current is split between them.
+  getChargeCurrentPlan(state, batterySOC, planSlot, now = new Date()) {
+    const settings = this.settings.chargeCurrent;
+    const window = this.getChargeWindow(planSlot, now);
+    if (!window || typeof batterySOC !== 'number' || isNaN(batterySOC)) return null;
+    
+    const voltage = state.battery_voltage || state.total_battery_voltage || 48;
+    const toCurrent = watts => watts / voltage / this.config.inverterNumber;
+    const hours = Math.max((window.endsAt - now) / 3600000, 0.1);
+    const neededKwh = Math.max(0, window.targetSoc - batterySOC) / 100 * this.config.batteryCapacity;
+    
+    let capCurrent = null;
+    if (settings.maxGridImport !== null) {
+      // Grid power left after the household (PV surplus adds to it), less the charging losses
+      const householdW = (state.load || 0) - (state.pv_power || 0);
+      const chargeW = Math.max(0, settings.maxGridImport - householdW) * this.academicParams.chargeEfficiency;
+      capCurrent = Number(toCurrent(chargeW).toFixed(1));
+    }
+    
+    return {
+      targetSoc: window.targetSoc,
+      endsAt: window.endsAt.toISOString(),
+      neededKwh: Number(neededKwh.toFixed(2)),
+      requiredCurrent: Number(toCurrent(neededKwh * 1000 / hours).toFixed(1)),
+      capCurrent: capCurrent
+    };
+  }
+
+  // The inverter's own charge currents, remembered from the reported settings before the
+  // engine changed them; a configured maxCurrent replaces both
+  getNormalCurrents(inverterId) {
+    const tracker = this.getInverterTracker(inverterId);
+    const normal = {};
+    for (const setting of CHARGE_CURRENT_SETTINGS) {
+      const reported = parseFloat(this.settingsState?.[setting]?.[inverterId]?.value);
+      if (Number.isFinite(reported) && reported > 0 && String(reported) !== tracker.chargeCurrent?.values?.[setting]) {
+        tracker.normalCurrents[setting] = reported;
+      }
+      normal[setting] = this.settings.chargeCurrent.maxCurrent ?? tracker.normalCurrents[setting] ?? null;
+    }
+    return normal;
+  }
+
+  // Required current rounded up to the step, within minCurrent and the inverter's maximum,
+  // then rounded down to stay under the grid import cap
+  getInverterChargeCurrent(plan, normal) {
+    const { minCurrent, step } = this.settings.chargeCurrent;
+    const maxCurrent = normal.max_grid_charge_current ?? CHARGE_CURRENT_LIMITS[1];
+    
+    let current = Math.min(maxCurrent, Math.max(minCurrent, Math.ceil(plan.requiredCurrent / step) * step));
+    if (plan.capCurrent !== null) {
+      current = Math.min(current, Math.floor(plan.capCurrent / step) * step);
+    }
+    return Math.min(CHARGE_CURRENT_LIMITS[1], Math.max(CHARGE_CURRENT_LIMITS[0], current));
+  }
+
+  // Send max_grid_charge_current / max_charge_current: the planned current while grid charging,
+  // the inverter's own currents otherwise. Returns the reason to log, or null.
+  async applyChargeCurrent(inverterId, action, plan) {
+    const settings = this.settings.chargeCurrent;
+    const tracker = this.getInverterTracker(inverterId);
+    
+    const modulated = settings.enabled && action === 'START_CHARGING' && !!plan;
+    // Outside grid charging the currents are only touched once to restore them
+    if (!modulated && !tracker.chargeCurrent?.modulated) return null;
+    if (!this.mqttClient && !this.isShadowMode()) return null;
+    
+    const normal = this.getNormalCurrents(inverterId);
+    const current = modulated ? this.getInverterChargeCurrent(plan, normal) : null;
+    const values = {};
+    for (const setting of CHARGE_CURRENT_SETTINGS) {
+      const value = modulated ? current : normal[setting];
+      if (value !== null) values[setting] = String(value);
+    }
+    
+    const reason = modulated ?
+      `CHARGE CURRENT: ${current}A to reach ${plan.targetSoc}% by ${moment(plan.endsAt).tz(tibberService.config?.timezone || 'Europe/Berlin').format('HH:mm')}` +
+        (plan.capCurrent !== null && current < plan.requiredCurrent ? ` (limited by the ${settings.maxGridImport}W grid import cap)` : '') :
+      null;
+    const key = JSON.stringify(values);
+    if (tracker.lastCurrentKey === key) return reason;
+    
+    const prefix = `${this.config.mqttTopicPrefix}/${inverterId}`;
+    try {
+      for (const [setting, value] of Object.entries(values)) {
+        await this.sendCommand(`${prefix}/${setting}/set`, value, inverterId);
+      }
       
-      // C-rate (from study: fixed at 1)
-      cRate: 1.0 // Full charge/discharge in 1 hour
+      tracker.lastCurrentKey = key;
+      tracker.chargeCurrent = {
+        modulated: modulated,
+        current: current,
+        values: values,
+        plan: modulated ? plan : null,
+        since: new Date().toISOString()
+      };
+      console.log(modulated ?
+        `🔋 Charge current on ${inverterId}: ${current}A (${plan.neededKwh} kWh to ${plan.targetSoc}%)` :
+        `🔋 Charge current on ${inverterId} restored: ${Object.entries(values).map(([setting, value]) => `${setting}=${value}`).join(', ') || 'unknown'}`);
+      return reason;
+    } catch (error) {
+      console.error(`❌ Failed to set charge current on ${inverterId}:`, error);
+      await this.logCommand('error', 'charge current', false);
+      return null;
+    }
+  }
+
+  getChargeCurrentStatus() {
+    const active = this.settings.strategy.active;
+    // Plugins are not bound to the day-ahead plan
+    const planSlot = active !== 'auto' && strategyService.get(active) ? null : scheduleOptimizer.getSlotAt(this.plan);
+    return {
+      ...this.getChargeCurrent(),
+      limits: CHARGE_CURRENT_LIMITS,
+      window: this.settings.chargeCurrent.enabled ?
+        this.getChargeCurrentPlan(this.currentSystemState || {}, this.getSystemSoc(), planSlot) : null,
+      inverters: Object.fromEntries(this.getInverterIds().map(inverterId => {
+        const tracker = this.getInverterTracker(inverterId);
+        return [inverterId, { ...(tracker.chargeCurrent || {}), normal: { ...tracker.normalCurrents } }];
+      }))
     };
   }
 
-  async initialize(mqttClient, currentSystemState, config = {}) {
-    this.mqttClient = mqttClient;
-    this.currentSystemState = currentSystemState;
+  // Publish a command, or only record it when running in shadow mode.
+  // Published commands are logged as pending until the inverter reports the new value on the
+  // state topic; commandAckService then logs them confirmed or failed.
+  async sendCommand(topic, value, inverterId = null) {
+    let tracked = null;
+    if (this.isShadowMode()) {
+      console.log(`🕶️ [DRY RUN] ${topic} = ${value}`);
+    } else {
+      this.mqttClient.publish(topic, value);
+      tracked = commandAckService.track(topic, value, {
+        inverterId,
+        resend: () => this.mqttClient.publish(topic, value),
+        onFailure: () => {
+          // Allow the next evaluation to send the command again
+          if (inverterId) {
+            this.getInverterTracker(inverterId).lastCommand = null;
+          }
+        }
+      });
+    }
     
-    if (config.inverterNumber) this.config.inverterNumber = config.inverterNumber;
-    if (config.mqttTopicPrefix) this.config.mqttTopicPrefix = config.mqttTopicPrefix;
-    if (config.inverterTypes) this.config.inverterTypes = config.inverterTypes;
-    if (config.batteryCapacity) this.config.batteryCapacity = config.batteryCapacity;
+    await this.logCommand(topic, value, true, { ack: tracked ? 'pending' : 'none' });
+  }
+
+  // Switch the controllable loads according to their schedule; returns the reasons to log
+  async applyControllableLoads() {
+    const loads = controllableLoadService.getLoads();
+    if (loads.length === 0) return [];
     
-    // Auto-detect battery if not configured
-    await this.detectBatteryCapacity();
+    const now = new Date();
+    controllableLoadService.updateProgress(now);
     
-    const sizeCategory = this.getBatterySizeCategory();
+    const slots = scheduleOptimizer.buildSlots(tibberService.cache.forecast || [], now);
+    const schedule = controllableLoadService.schedule(slots, this.buildNetLoadForecast(slots), this.academicParams.feedInTariff, now);
+    const reasons = [];
     
-    console.log('✅ AI Charging Engine initialized (Academic Study Enhanced)');
-    console.log(`   • Strategy: Dynamic tariff optimization (12.7% improvement potential)`);
-    console.log(`   • Threshold: ≤${this.academicParams.optimalChargeThreshold}¢/kWh (academic optimal)`);
-    console.log(`   • Battery: ${this.config.batteryCapacity} kWh (${sizeCategory.category} - ${this.batteryDetection.detectionMethod})`);
-    console.log(`   • Category: ${sizeCategory.description}`);
-    console.log(`   • Efficiency: ${(this.academicParams.roundTripEfficiency * 100).toFixed(1)}% round-trip`);
+    for (const load of loads) {
+      const entry = schedule.loads[load.id];
+      const runtime = controllableLoadService.getRuntime(load, now);
+      const on = load.enabled && controllableLoadService.shouldRun(load, schedule, now);
+      
+      // Disabled loads are switched off once, then left alone
+      if (on !== runtime.on || (!runtime.lastSwitch && load.enabled)) {
+        if (await this.publishLoadCommand(load, on)) {
+          controllableLoadService.recordSwitch(load, on, now);
+        }
+      }
+      
+      if (!entry) continue;
+      if (on) {
+        reasons.push(`LOADS: ${load.name} on - ${entry.deliveredKwh}/${entry.requiredKwh} kWh before ${moment(entry.deadline).tz(controllableLoadService.getTimezone()).format('HH:mm')}`);
+      }
+      if (entry.shortfallKwh > 0) {
+        reasons.push(`LOADS: ${load.name} misses ${entry.shortfallKwh} kWh by its deadline`);
+      }
+    }
+    
+    return reasons;
+  }
+  
+  // Switch off every load that is on - when the engine stops, the watchdog takes over or an
+  // import peak is shaved. Energy delivered so far is counted first.
+  async shedControllableLoads(reason) {
+    const loads = controllableLoadService.getLoads();
+    if (loads.length === 0) return [];
+    
+    const now = new Date();
+    controllableLoadService.updateProgress(now);
+    const reasons = [];
+    
+    for (const load of loads) {
+      if (!controllableLoadService.getRuntime(load, now).on) continue;
+      if (await this.publishLoadCommand(load, false)) {
+        controllableLoadService.recordSwitch(load, false, now);
+        reasons.push(`LOADS: ${load.name} switched off (${reason})`);
+      }
+    }
+    
+    return reasons;
+  }
+  
+  // Load switches are plain MQTT (or Home Assistant) switches without a state echo we can
+  // rely on, so their commands are not tracked for acknowledgement
+  async publishLoadCommand(load, on) {
+    const payload = on ? load.payloadOn : load.payloadOff;
+    
+    if (this.isShadowMode()) {
+      console.log(`🕶️ [DRY RUN] ${load.commandTopic} = ${payload}`);
+    } else if (this.mqttClient) {
+      this.mqttClient.publish(load.commandTopic, payload);
+      console.log(`🔌 ${load.name} switched ${on ? 'on' : 'off'}`);
+    } else {
+      await this.logCommand(load.commandTopic, payload, false);
+      return false;
+    }
+    
+    await this.logCommand(load.commandTopic, payload, true);
+    return true;
   }
 
   updateSystemState(systemState) {
     this.currentSystemState = systemState;
     
-    // Extract battery capacity from MQTT data - dynamically detect batteries
-    const batteryCapacityAh = this.extractBatteryCapacity(systemState);
-    if (batteryCapacityAh > 0) {
-      systemState.battery_capacity_ah = batteryCapacityAh;
-      
-      // Use actual battery voltage for accurate calculation
-      const voltage = systemState.battery_voltage || systemState.total_battery_voltage || 48;
-      const calculatedKwh = Math.round((batteryCapacityAh * voltage) / 1000);
+    // Aggregate all battery banks from MQTT data - each bank with its own voltage
+    const aggregate = this.getBatteryBanks(systemState);
+    if (aggregate.totalCapacityKwh > 0) {
+      systemState.battery_capacity_ah = aggregate.totalCapacityAh;
+      const calculatedKwh = Math.round(aggregate.totalCapacityKwh);
       
       // Only log once when battery is first detected or capacity changes
       if (!this.lastBatteryCapacity || this.lastBatteryCapacity !== calculatedKwh) {
-        console.log(`🔋 Battery detected: ${calculatedKwh} kWh (${batteryCapacityAh}Ah × ${voltage}V)`);
+        const breakdown = aggregate.banks
+          .filter(bank => bank.capacityKwh > 0)
+          .map(bank => `${bank.capacityAh}Ah × ${bank.voltage}V`)
+          .join(' + ');
+        console.log(`🔋 Battery detected: ${calculatedKwh} kWh in ${aggregate.count} bank(s) (${breakdown})`);
         this.lastBatteryCapacity = calculatedKwh;
       }
+      
+      // Keep an auto-detected capacity in sync when banks are added or replaced
+      if (this.batteryDetection.detectionMethod === 'mqtt_battery_data') {
+        this.config.batteryCapacity = calculatedKwh;
+      }
     }
   }
 
-  // Extract battery capacity from any available battery (like inverter numbering)
+  // Total battery capacity in Ah across all banks
   extractBatteryCapacity(systemState) {
-    // Check all system state keys for battery capacity patterns
-    for (const key in systemState) {
-      if (key.match(/^battery_\d+_capacity_ah$/) && systemState[key] > 0) {
-        return systemState[key];
+    const aggregate = this.getBatteryBanks(systemState);
+    return aggregate.count > 0 ? aggregate.totalCapacityAh : 0;
+  }
+
+  // Aggregate all battery banks (battery_N_capacity_ah, _soc, _voltage, _power).
+  // Usable energy is the energy stored above the minimum SOC.
+  getBatteryBanks(systemState = this.currentSystemState) {
+    const banksById = {};
+    for (const key in systemState || {}) {
+      const match = key.match(/^battery_(\d+)_(capacity_ah|soc|voltage|power)$/);
+      if (match && typeof systemState[key] === 'number' && !isNaN(systemState[key])) {
+        banksById[match[1]] = banksById[match[1]] || {};
+        banksById[match[1]][match[2]] = systemState[key];
       }
     }
     
-    // Fallback to generic battery capacity
-    return systemState.battery_capacity_ah || 0;
+    const fallbackVoltage = systemState?.battery_voltage || systemState?.total_battery_voltage || 48;
+    const socMin = this.academicParams.socMin * 100;
+    const round = value => Number(value.toFixed(2));
+    
+    const banks = Object.keys(banksById)
+      .sort((a, b) => a - b)
+      .map(id => {
+        const bank = banksById[id];
+        const voltage = bank.voltage || fallbackVoltage;
+        const capacityKwh = (bank.capacity_ah || 0) * voltage / 1000;
+        const soc = typeof bank.soc === 'number' ? bank.soc : null;
+        
+        return {
+          id: `battery_${id}`,
+          capacityAh: bank.capacity_ah ?? null,
+          voltage: voltage,
+          capacityKwh: round(capacityKwh),
+          soc: soc,
+          power: bank.power ?? null,
+          storedKwh: soc !== null ? round(capacityKwh * soc / 100) : null,
+          usableKwh: soc !== null ? round(Math.max(0, capacityKwh * (soc - socMin) / 100)) : null
+        };
+      });
+    
+    const withSoc = banks.filter(bank => bank.soc !== null);
+    const weightedCapacity = withSoc.reduce((sum, bank) => sum + bank.capacityKwh, 0);
+    let soc = null;
+    if (withSoc.length > 0) {
+      soc = weightedCapacity > 0 ?
+        withSoc.reduce((sum, bank) => sum + bank.soc * bank.capacityKwh, 0) / weightedCapacity :
+        withSoc.reduce((sum, bank) => sum + bank.soc, 0) / withSoc.length;
+    }
+    
+    return {
+      count: banks.length,
+      totalCapacityAh: round(banks.reduce((sum, bank) => sum + (bank.capacityAh || 0), 0)),
+      totalCapacityKwh: round(banks.reduce((sum, bank) => sum + bank.capacityKwh, 0)),
+      storedKwh: round(withSoc.reduce((sum, bank) => sum + bank.storedKwh, 0)),
+      usableKwh: round(withSoc.reduce((sum, bank) => sum + bank.usableKwh, 0)),
+      soc: soc !== null ? round(soc) : null,
+      power: round(banks.reduce((sum, bank) => sum + (bank.power || 0), 0)),
+      banks: banks
+    };
   }
 
   updateConfig(config) {
@@ -124,22 +2066,35 @@ class AIChargingEngine {
     }
   }
 
+  // A capacity set by hand (updateConfig) is never replaced by a detected or measured one
+  isManualCapacity() {
+    return this.batteryDetection.detectionMethod === 'manual' && this.batteryDetection.confidence === 1.0;
+  }
+
   // Auto-detect battery capacity from system data
   async detectBatteryCapacity() {
-    if (!this.currentSystemState) return null;
+    if (!this.currentSystemState || this.isManualCapacity()) return null;
     
     const methods = {
-      // Method 1: From MQTT battery capacity data (most reliable)
+      // Method 0: Measured by the battery health estimator (the real capacity, not the nameplate)
+      measured: () => {
+        if (!this.measuredCapacity) return null;
+        return { capacity: this.measuredCapacity.capacityKwh, confidence: this.measuredCapacity.confidence, method: 'measured' };
+      },
+      
+      // Method 1: From MQTT battery capacity data (most reliable nameplate value)
       mqttBatteryData: () => {
-        const batteryCapacityAh = this.extractBatteryCapacity(this.currentSystemState);
-        // Use actual battery voltage from MQTT, fallback to 48V
-        const batteryVoltage = this.currentSystemState.battery_voltage || 
-                              this.currentSystemState.total_battery_voltage || 48;
+        // Sum of all banks, each converted with its own voltage (fallback: system battery voltage, 48V)
+        const aggregate = this.getBatteryBanks(this.currentSystemState);
         
-        if (batteryCapacityAh && batteryCapacityAh > 0) {
-          // Convert Ah to kWh: Ah × Voltage ÷ 1000
-          const capacityKwh = Math.round((batteryCapacityAh * batteryVoltage) / 1000);
-          console.log(`🔋 Battery calculation: ${batteryCapacityAh} Ah × ${batteryVoltage} V = ${capacityKwh} kWh`);
+        if (aggregate.totalCapacityKwh > 0) {
+          // Convert Ah to kWh: Ah × Voltage ÷ 1000 per bank
+          const capacityKwh = Math.round(aggregate.totalCapacityKwh);
+          const breakdown = aggregate.banks
+            .filter(bank => bank.capacityKwh > 0)
+            .map(bank => `${bank.capacityAh} Ah × ${bank.voltage} V`)
+            .join(' + ');
+          console.log(`🔋 Battery calculation: ${breakdown} = ${capacityKwh} kWh`);
           return { capacity: capacityKwh, confidence: 0.98, method: 'mqtt_battery_data' };
         }
         return null;
@@ -154,9 +2109,9 @@ class AIChargingEngine {
         return null;
       },
       
-      // Method 3: Estimate from PV system size
+      // Method 3: Estimate from PV system size (peak of the PV history, else the current PV power)
       systemEstimate: () => {
-        const pvPower = this.currentSystemState.pv_power || 0;
+        const pvPower = pvForecastService.getPeakPower() || this.currentSystemState.pv_power || 0;
         if (pvPower > 0) {
           const estimatedCapacity = Math.round((pvPower / 1000) * 1.5);
           return { capacity: estimatedCapacity, confidence: 0.3, method: 'pv_estimate' };
@@ -183,6 +2138,36 @@ class AIChargingEngine {
     return null;
   }
 
+  // Plan with the capacity measured by batteryHealthService instead of the nameplate value.
+  // A capacity set by hand (updateConfig) is kept. null: back to the nameplate detection.
+  setMeasuredCapacity(estimate) {
+    if (!estimate) {
+      const wasMeasured = this.batteryDetection.detectionMethod === 'measured';
+      this.measuredCapacity = null;
+      if (wasMeasured) {
+        this.detectBatteryCapacity().catch(console.error);
+      }
+      return false;
+    }
+    
+    this.measuredCapacity = {
+      capacityKwh: Number(estimate.capacityKwh.toFixed(1)),
+      confidence: estimate.confidence
+    };
+    if (this.isManualCapacity()) return false;
+    
+    if (this.config.batteryCapacity !== this.measuredCapacity.capacityKwh) {
+      console.log(`🔋 Planning with the measured battery capacity: ${this.measuredCapacity.capacityKwh} kWh (nameplate ${estimate.nominalCapacityKwh ?? '--'} kWh)`);
+    }
+    this.config.batteryCapacity = this.measuredCapacity.capacityKwh;
+    this.batteryDetection = {
+      autoDetected: true,
+      detectionMethod: 'measured',
+      confidence: this.measuredCapacity.confidence
+    };
+    return true;
+  }
+
   // Get battery size category for strategy selection
   getBatterySizeCategory() {
     const capacity = this.config.batteryCapacity;
@@ -208,40 +2193,47 @@ class AIChargingEngine {
     }
   }
 
-  async logCommand(topic, value, success = true) {
+  // options.ack: acknowledgement state of the command (none, pending)
+  async logCommand(topic, value, success = true, options = {}) {
     const command = {
       timestamp: new Date().toISOString(),
       topic: topic,
       value: value,
       success: success,
+      dryRun: this.isShadowMode(),
       source: 'AI_ENGINE_ACADEMIC'
     };
     
-    await influxAIService.saveCommand(topic, value, success);
+    await influxAIService.saveCommand(topic, value, success, { dryRun: command.dryRun, ack: options.ack });
     return command;
   }
 
-  async logDecision(decision, reasons, academicMetrics = {}) {
+  // options.inverterId/options.state log a decision made for a single inverter
+  async logDecision(decision, reasons, academicMetrics = {}, options = {}) {
+    const sourceState = options.state || this.currentSystemState;
     const systemState = {
-      battery_soc: this.currentSystemState?.battery_soc,
-      pv_power: this.currentSystemState?.pv_power,
-      load: this.currentSystemState?.load,
-      grid_power: this.currentSystemState?.grid_power,
-      grid_voltage: this.currentSystemState?.grid_voltage
+      battery_soc: sourceState?.battery_soc,
+      pv_power: sourceState?.pv_power,
+      load: sourceState?.load,
+      grid_power: sourceState?.grid_power,
+      grid_voltage: sourceState?.grid_voltage
     };
 
     const tibberData = {
-      currentPrice: tibberService.cache.currentPrice?.total,
-      priceLevel: tibberService.cache.currentPrice?.level,
+      currentPrice: tibberService.getCurrentPrice()?.total,
+      priceLevel: tibberService.getCurrentPrice()?.level,
       averagePrice: tibberService.calculateAveragePrice()
     };
 
     const entry = {
       timestamp: new Date().toISOString(),
       decision: decision,
+      inverterId: options.inverterId || null,
+      dryRun: this.isShadowMode(),
       reasons: reasons,
       systemState: systemState,
       tibberData: tibberData,
+      carbon: academicMetrics.carbon || null,
       academicMetrics: {
         strategy: academicMetrics.strategy || 'unknown',
         expectedImprovement: academicMetrics.expectedImprovement || 0,
@@ -252,27 +2244,59 @@ class AIChargingEngine {
       }
     };
 
-    this.lastDecision = entry;
-    await influxAIService.saveDecision(decision, reasons, systemState, tibberData);
+    if (!options.inverterId) {
+      this.lastDecision = entry;
+    }
+    await influxAIService.saveDecision(decision, reasons, systemState, tibberData, {
+      dryRun: entry.dryRun,
+      inverterId: entry.inverterId,
+      carbon: entry.carbon
+    });
 
     // Only log important decisions, not routine monitoring
     if (!decision.includes('MONITOR') && !decision.includes('SOLAR ACTIVE')) {
-      console.log(`🤖 AI: ${decision}`);
+      console.log(`🤖 AI${options.inverterId ? ` [${options.inverterId}]` : ''}: ${decision}`);
     }
     
     return entry;
   }
 
-  // Academic study-based strategy selection
+  // Total SOC: the inverter's total topic, otherwise the capacity-weighted SOC of all banks
+  getSystemSoc() {
+    const batterySOC = this.currentSystemState?.battery_soc;
+    if (typeof batterySOC === 'number' && !isNaN(batterySOC)) {
+      return batterySOC;
+    }
+    return this.getBatteryBanks().soc;
+  }
+
+  // Academic study-based strategy selection, unless a strategy plugin was picked
   selectOptimalStrategy() {
     const batterySize = this.config.batteryCapacity;
     const sizeCategory = this.getBatterySizeCategory();
+    const aggregate = this.getBatteryBanks();
     
     // Auto-detect if not manually configured (non-blocking)
     if (!this.batteryDetection.autoDetected && this.batteryDetection.detectionMethod === 'manual') {
       this.detectBatteryCapacity().catch(console.error);
     }
     
+    const active = this.settings.strategy.active;
+    const plugin = active !== 'auto' ? strategyService.get(active) : null;
+    if (plugin) {
+      return {
+        name: plugin.name,
+        description: plugin.description || `Strategy plugin ${plugin.name}`,
+        expectedImprovement: plugin.expectedImprovement || 0,
+        usePriceThresholds: false,
+        aggressiveCharging: false,
+        plugin: true,
+        batteryCategory: sizeCategory,
+        batteryBanks: aggregate.count,
+        usableEnergyKwh: aggregate.usableKwh
+      };
+    }
+    
     // From study: "for BESS up to 15 kWh, price-sensitive operation is beneficial"
     // "for larger BESS beyond 15 kWh, maximization of self-consumption yields higher net gains"
     
@@ -283,7 +2307,9 @@ class AIChargingEngine {
         expectedImprovement: 12.7, // % improvement from study
         usePriceThresholds: true,
         aggressiveCharging: true,
-        batteryCategory: sizeCategory
+        batteryCategory: sizeCategory,
+        batteryBanks: aggregate.count,
+        usableEnergyKwh: aggregate.usableKwh
       };
     } else if (batterySize <= this.MEDIUM_BATTERY_THRESHOLD) {
       return {
@@ -292,7 +2318,9 @@ class AIChargingEngine {
         expectedImprovement: 8.0, // Interpolated
         usePriceThresholds: true,
         aggressiveCharging: false,
-        batteryCategory: sizeCategory
+        batteryCategory: sizeCategory,
+        batteryBanks: aggregate.count,
+        usableEnergyKwh: aggregate.usableKwh
       };
     } else {
       return {
@@ -301,7 +2329,9 @@ class AIChargingEngine {
         expectedImprovement: 6.0, // Study shows diminishing returns
         usePriceThresholds: false,
         aggressiveCharging: false,
-        batteryCategory: sizeCategory
+        batteryCategory: sizeCategory,
+        batteryBanks: aggregate.count,
+        usableEnergyKwh: aggregate.usableKwh
       };
     }
   }
@@ -314,116 +2344,370 @@ class AIChargingEngine {
         return { decision: 'IDLE', reasons: ['AI charging engine is disabled'] };
       }
 
+      // The watchdog found the price or SOC data unusable - keep the safe state
+      if (this.safeState?.blocking) {
+        return await this.logDecision('SAFE STATE - waiting for valid data', this.safeState.reasons, {
+          strategy: 'WATCHDOG',
+          expectedImprovement: 0
+        });
+      }
+
+      // Grid import close to the fuse / capacity limit - keep shaving until the controller releases it
+      if (this.peakShaving) {
+        const result = await this.applyPeakShaving(this.peakShaving.reasons, this.peakShaving.discharge);
+        this.evaluationErrors.consecutive = 0;
+        return result;
+      }
+
+      // Manual override takes precedence over automatic control
+      const override = this.getActiveOverride();
+      if (override) {
+        const result = await this.applyOverride(override);
+        this.evaluationErrors.consecutive = 0;
+        return result;
+      }
+
       if (!tibberStatus.enabled || !tibberStatus.configured) {
+        // Without prices the loads cannot be scheduled
         return { 
           decision: 'IDLE', 
-          reasons: ['Tibber integration not configured'] 
+          reasons: ['Tibber integration not configured', ...await this.shedControllableLoads('no prices')] 
         };
       }
 
-      const reasons = [];
-      const batterySOC = this.currentSystemState?.battery_soc || 0;
-      const pvPower = this.currentSystemState?.pv_power || 0;
-      const load = this.currentSystemState?.load || 0;
-      const gridVoltage = this.currentSystemState?.grid_voltage || 0;
-      const currentPrice = tibberService.cache.currentPrice;
-      const config = tibberService.config;
-
-      // Select optimal strategy based on battery size (academic finding)
-      const strategy = this.selectOptimalStrategy();
-      
-      // Calculate net load (pnet(t) from study equation 1)
-      const netLoad = load - pvPower;
-      
-      // Academic study optimization
-      const optimization = await this.academicOptimization();
+      // Select optimal strategy based on battery size (academic finding)
+      const strategy = this.selectOptimalStrategy();
+      
+      await this.refreshForecasts();
+      
+      // Day-ahead plan - re-planned whenever new prices arrive
+      const planSlot = this.getCurrentPlanSlot();
+      
+      // System-wide decision from the total values
+      const systemState = { ...this.currentSystemState, gridCharging: this.isGridCharging() };
+      const systemResult = await this.evaluateState(systemState, strategy, planSlot);
+      const metrics = {
+        strategy: strategy.name,
+        expectedImprovement: strategy.expectedImprovement,
+        carbon: systemResult.carbon
+      };
+      
+      // Charge current that reaches the target SOC at the end of the cheap window
+      const currentPlan = this.settings.chargeCurrent.enabled ?
+        this.getChargeCurrentPlan(systemState, this.getSystemSoc(), strategy.plugin ? null : planSlot) : null;
+      
+      // Inverters that publish their own SOC/PV/load get their own decision
+      const applied = [];
+      const suppressed = [];
+      const currents = [];
+      for (const inverterId of this.getInverterIds()) {
+        const state = this.getInverterState(inverterId);
+        state.gridCharging = this.isGridCharging(inverterId);
+        let result = state.ownData ? 
+          await this.evaluateState(state, strategy, planSlot) : systemResult;
+        
+        // Plugins are not bound to the day-ahead plan
+        let actionDecision = this.getActionForDecision(result.decision, strategy.plugin ? null : planSlot);
+        state.sellingToGrid = result.exportPlan?.mode === 'sell';
+        // At the backup reserve the battery is held like the force-hold override
+        const forced = result.reserve?.hold || result.hold ?
+          this.getForcedSettings('force-hold', result.reserve?.hold ? 'reserve-hold' : 'strategy-hold') : null;
+        
+        // Too soon (or too often) to switch grid charging again - keep the current state
+        const suppressedReason = this.getSuppressedChange(inverterId, actionDecision, !!result.safetyStop, forced);
+        if (suppressedReason) {
+          result = { ...result, reasons: [...result.reasons, suppressedReason] };
+          suppressed.push(this.getInverterIds().length > 1 ? `${inverterId}: ${suppressedReason}` : suppressedReason);
+          actionDecision = this.getInverterTracker(inverterId).chargeAction;
+        } else if (actionDecision && await this.applyInverterDecision(inverterId, actionDecision, forced, state)) {
+          applied.push(`${inverterId}=${actionDecision}`);
+        }
+        if (await this.applyExportControl(inverterId, result.exportPlan)) {
+          applied.push(`${inverterId}=EXPORT_${result.exportPlan.mode.toUpperCase()}`);
+        }
+        const currentReason = await this.applyChargeCurrent(inverterId, actionDecision, currentPlan);
+        if (currentReason) {
+          result = { ...result, reasons: [...result.reasons, currentReason] };
+          currents.push(this.getInverterIds().length > 1 ? `${inverterId}: ${currentReason}` : currentReason);
+        }
+        this.recordInverterDecision(inverterId, result, actionDecision, state);
+        
+        if (state.ownData) {
+          await this.logDecision(result.decision, result.reasons, { ...metrics, carbon: result.carbon }, { inverterId, state });
+        }
+      }
+
+      if (applied.length > 0) {
+        console.log(`${this.isShadowMode() ? '🕶️ Shadow decision' : '🔋 Applied decision'}: ${applied.join(', ')}`);
+      }
+      if (suppressed.length > 0) {
+        console.log(`🔁 ${suppressed.join(', ')}`);
+        systemResult.reasons.push(...suppressed.filter(reason => !systemResult.reasons.includes(reason)));
+      }
+      systemResult.reasons.push(...currents.filter(reason => !systemResult.reasons.includes(reason)));
+      
+      systemResult.reasons.push(...await this.applyControllableLoads());
+      
+      if (!strategy.plugin) {
+        await this.applyTimerProgram();
+      }
+
+      this.evaluationErrors.consecutive = 0;
+      
+      // Log with academic metrics
+      return await this.logDecision(systemResult.decision, systemResult.reasons, metrics);
+      
+    } catch (error) {
+      console.error('❌ Error in academic AI evaluation:', error);
+      this.evaluationErrors = {
+        consecutive: this.evaluationErrors.consecutive + 1,
+        lastError: error.message,
+        lastErrorAt: new Date().toISOString()
+      };
+      return { decision: 'ERROR', reasons: [error.message] };
+    }
+  }
+
+  // Decide for one set of measurements (system totals or a single inverter)
+  async evaluateState(state, strategy, planSlot) {
+    const reasons = [];
+    const batterySOC = state?.battery_soc ?? this.getBatteryBanks(state).soc;
+    
+    // Without a SOC reading nothing can be decided safely: stop grid charging and wait for
+    // telemetry (the watchdog takes over if it stays missing)
+    if (typeof batterySOC !== 'number' || isNaN(batterySOC)) {
+      return {
+        decision: 'STOP CHARGING - Battery SOC missing, waiting for telemetry',
+        reasons: ['SAFETY: No battery SOC reading - no charge or discharge decision'],
+        exportPlan: null,
+        reserve: null,
+        carbon: null,
+        safetyStop: true
+      };
+    }
+    const pvPower = state?.pv_power || 0;
+    const load = state?.load || 0;
+    const gridCheck = gridQualityService.classify(state?.grid_voltage);
+    const currentPrice = tibberService.getCurrentPrice();
+    const config = tibberService.config;
+    
+    // Strategy plugins decide themselves; export control, reserve and grid safety still apply
+    if (strategy.plugin) {
+      let decision = await this.getPluginDecision(strategy, state, batterySOC, planSlot, reasons);
+      if (gridCheck.constraint) {
+        reasons.push(this.getGridConstraintReason(gridCheck));
+        decision = `STOP CHARGING - Grid constraint ${gridCheck.voltage}V`;
+      }
+      const exportPlan = this.getExportPlan(state, batterySOC, planSlot);
+      if (exportPlan) {
+        reasons.push(exportPlan.reason);
+      }
+      const result = this.finalizeDecision(decision, reasons, batterySOC, config, exportPlan, planSlot);
+      // A plugin's hold uses the force-hold settings, like the backup reserve
+      result.hold = decision.startsWith('HOLD');
+      result.safetyStop = gridCheck.constraint;
+      return result;
+    }
+    
+    // Calculate net load (pnet(t) from study equation 1)
+    const netLoad = load - pvPower;
+    
+    // Academic study optimization
+    const optimization = await this.academicOptimization(state);
+    
+    let shouldCharge = false;
+    let shouldStop = false;
+    let carbonCheck = null;
+    // Price limit, target SOC and grid constraint stops bypass the anti-flapping dwell time
+    let safetyStop = false;
+
+    // Strategy-based decision making
+    if (planSlot) {
+      // Execute the current slot of the cost-minimizing day-ahead plan
+      if (planSlot.action === 'charge' && planSlot.gridCharge) {
+        if (batterySOC < planSlot.targetSoc) {
+          shouldCharge = true;
+          reasons.push(`DAY-AHEAD PLAN: Grid charge to ${planSlot.targetSoc}% at ${planSlot.price.toFixed(2)}¢/kWh`);
+        } else {
+          reasons.push(`DAY-AHEAD PLAN: Slot target ${planSlot.targetSoc}% already reached`);
+        }
+      } else if (planSlot.action === 'discharge') {
+        reasons.push(`DAY-AHEAD PLAN: Discharge to ${planSlot.targetSoc}% at ${planSlot.price.toFixed(2)}¢/kWh`);
+      } else {
+        reasons.push(`DAY-AHEAD PLAN: ${planSlot.action === 'charge' ? 'Solar charge' : 'Hold'} at ${planSlot.price.toFixed(2)}¢/kWh (target ${planSlot.targetSoc}%)`);
+      }
+      reasons.push(`Plan: ${this.plan.summary.slotCount} slots, expected savings €${this.plan.summary.expectedSavings.toFixed(2)} vs no battery dispatch`);
+      if (this.isCarbonAware() && typeof this.plan.summary.co2AvoidedGrams === 'number') {
+        reasons.push(`CARBON-AWARE PLAN (${this.settings.carbon.mode}): ${(this.plan.summary.co2AvoidedGrams / 1000).toFixed(1)} kg CO2 avoided vs no battery dispatch`);
+      }
+    } else if (strategy.usePriceThresholds) {
+      // Price-sensitive operation for smaller batteries (≤15 kWh)
+      // Academic finding: 12.7% improvement potential
       
-      let shouldCharge = false;
-      let shouldStop = false;
-
-      // Strategy-based decision making
-      if (strategy.usePriceThresholds) {
-        // Price-sensitive operation for smaller batteries (≤15 kWh)
-        // Academic finding: 12.7% improvement potential
+      if (optimization) {
+        const thresholds = optimization.thresholds;
         
-        if (optimization) {
-          const thresholds = optimization.thresholds;
-          
-          // CRITICAL: Academic optimal threshold is ≤8¢/kWh
-          if (thresholds.isNegative) {
-            shouldCharge = true;
-            reasons.push(`NEGATIVE PRICE ARBITRAGE: Getting paid ${Math.abs(thresholds.current).toFixed(2)}¢/kWh`);
-          } else if (thresholds.current <= this.academicParams.optimalChargeThreshold) {
+        // Carbon-aware modes pick the charge slots by carbon intensity (or cost + CO2)
+        carbonCheck = this.isCarbonAware() ? this.getCarbonChargeCheck(batterySOC, config.targetSoC) : null;
+        if (this.isCarbonAware() && !carbonCheck) {
+          reasons.push('CARBON-AWARE: No carbon intensity data - using price thresholds');
+        }
+        
+        // CRITICAL: Academic optimal threshold is ≤8¢/kWh
+        if (thresholds.isNegative) {
+          shouldCharge = true;
+          reasons.push(`NEGATIVE PRICE ARBITRAGE: Getting paid ${Math.abs(thresholds.current).toFixed(2)}¢/kWh`);
+        } else if (carbonCheck) {
+          const ranking = this.settings.carbon.mode === 'lowest-carbon' ? 'carbon' : 'cost + CO2';
+          if (carbonCheck.preferred) {
             shouldCharge = true;
-            reasons.push(`ACADEMIC OPTIMAL: ${thresholds.current.toFixed(2)}¢ ≤ ${this.academicParams.optimalChargeThreshold}¢/kWh`);
-            reasons.push(`Expected improvement: +${strategy.expectedImprovement}% vs fixed tariff`);
+            reasons.push(`CARBON-AWARE: ${carbonCheck.intensity} g/kWh ranks ${carbonCheck.rank}/${carbonCheck.slots} by ${ranking}, ${carbonCheck.needed} slot(s) needed to reach ${config.targetSoC}%`);
+          } else {
+            reasons.push(`CARBON-AWARE: Waiting - ${carbonCheck.intensity} g/kWh ranks ${carbonCheck.rank}/${carbonCheck.slots} by ${ranking}, only ${carbonCheck.needed} slot(s) needed`);
           }
-          
-          // Peak discharge for maximum value (study finding: meaningful arbitrage)
-          if (optimization.shouldDischarge && batterySOC > 30) {
-            reasons.push(`PEAK PRICE DISCHARGE: ${thresholds.current.toFixed(2)}¢/kWh (volatility: ${(optimization.volatility * 100).toFixed(1)}%)`);
+        } else if (thresholds.current <= this.academicParams.optimalChargeThreshold) {
+          shouldCharge = true;
+          reasons.push(`ACADEMIC OPTIMAL: ${thresholds.current.toFixed(2)}¢ ≤ ${this.academicParams.optimalChargeThreshold}¢/kWh`);
+          reasons.push(`Expected improvement: +${strategy.expectedImprovement}% vs fixed tariff`);
+        } else if (thresholds.current <= this.getChargeThreshold(state?.gridCharging)) {
+          shouldCharge = true;
+          reasons.push(`HYSTERESIS: Charging continues at ${thresholds.current.toFixed(2)}¢ ≤ ${this.getChargeThreshold(true).toFixed(2)}¢/kWh (threshold + ${this.settings.antiFlapping.priceHysteresis}¢ band)`);
+        }
+        
+        // After reaching the target, charging restarts only below the SOC hysteresis band
+        const antiFlapping = this.settings.antiFlapping;
+        const restartSoc = config.targetSoC - antiFlapping.socHysteresis;
+        if (shouldCharge && antiFlapping.enabled && !state?.gridCharging && !thresholds.isNegative &&
+            batterySOC < config.targetSoC && batterySOC >= restartSoc) {
+          shouldCharge = false;
+          reasons.push(`HYSTERESIS: Charge start suppressed - SOC ${batterySOC}% within ${antiFlapping.socHysteresis}% of target ${config.targetSoC}%`);
+        }
+        
+        // Stored energy must later be worth more than its losses and battery wear
+        // (not in lowest-carbon mode, where CO2 counts instead of money)
+        if (shouldCharge && this.settings.carbon.mode !== 'lowest-carbon') {
+          const chargeCheck = this.checkArbitrage(thresholds.current, thresholds.max24h);
+          if (!chargeCheck.profitable) {
+            shouldCharge = false;
+            reasons.push(`WEAR CHECK: Charge skipped - spread ${chargeCheck.spread.toFixed(2)}¢ < ${chargeCheck.requiredSpread.toFixed(2)}¢/kWh (losses ${chargeCheck.losses.toFixed(2)}¢ + wear ${chargeCheck.wear.toFixed(2)}¢)`);
           }
         }
-      } else {
-        // Self-consumption maximization for larger batteries (>20 kWh)
-        // Study finding: Better for larger batteries with day-ahead forecasts
         
-        const pvSurplus = pvPower - load;
-        if (pvSurplus > 100 && batterySOC < 95) {
-          shouldCharge = true;
-          reasons.push(`SELF-CONSUMPTION: Solar surplus ${pvSurplus.toFixed(0)}W (optimal for ${this.config.batteryCapacity}kWh battery)`);
+        // No grid charging when the sun will fill the battery for free
+        if (shouldCharge && !thresholds.isNegative) {
+          const outlook = this.getSolarOutlook(state, batterySOC, config.targetSoC);
+          if (outlook?.coversCharge) {
+            shouldCharge = false;
+            reasons.push(`SOLAR FORECAST: Charge skipped - PV surplus of ${outlook.surplusKwh.toFixed(1)} kWh expected to reach ${config.targetSoC}% by ${outlook.reachedAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`);
+          }
+        }
+        
+        // Peak discharge for maximum value (study finding: meaningful arbitrage)
+        if (optimization.shouldDischarge && batterySOC > 30) {
+          const dischargeCheck = this.checkArbitrage(thresholds.min24h, thresholds.current);
+          if (dischargeCheck.profitable) {
+            reasons.push(`PEAK PRICE DISCHARGE: ${thresholds.current.toFixed(2)}¢/kWh (volatility: ${(optimization.volatility * 100).toFixed(1)}%)`);
+          } else {
+            optimization.shouldDischarge = false;
+            reasons.push(`WEAR CHECK: Discharge skipped - spread ${dischargeCheck.spread.toFixed(2)}¢ < ${dischargeCheck.requiredSpread.toFixed(2)}¢/kWh (losses ${dischargeCheck.losses.toFixed(2)}¢ + wear ${dischargeCheck.wear.toFixed(2)}¢)`);
+          }
         }
       }
-
-      // Safety overrides (from study: grid voltage constraints)
-      if (currentPrice?.total > this.academicParams.maxPriceThreshold) {
-        shouldStop = true;
-        reasons.push(`Price ${currentPrice.total.toFixed(1)}¢ too expensive`);
+    } else {
+      // Self-consumption maximization for larger batteries (>20 kWh)
+      // Study finding: Better for larger batteries with day-ahead forecasts
+      
+      const pvSurplus = pvPower - load;
+      if (pvSurplus > 100 && batterySOC < 95) {
+        shouldCharge = true;
+        reasons.push(`SELF-CONSUMPTION: Solar surplus ${pvSurplus.toFixed(0)}W (optimal for ${this.config.batteryCapacity}kWh battery)`);
       }
+    }
 
-      if (batterySOC >= config.targetSoC) {
-        shouldStop = true;
-        reasons.push(`Target SOC reached: ${batterySOC}%`);
-      }
+    const wear = this.getDegradationCost();
+    reasons.push(`Battery wear: ${wear.costPerKwh.toFixed(2)}¢/kWh (€${wear.purchaseCost.toFixed(0)}, ${wear.cycleLife.toFixed(0)} cycles @ ${(wear.depthOfDischarge * 100).toFixed(0)}% DoD)`);
 
-      if (gridVoltage < 200 || gridVoltage > 250) {
-        shouldStop = true;
-        reasons.push(`Grid voltage constraint: ${gridVoltage}V`);
-      }
+    const exportPlan = this.getExportPlan(state, batterySOC, planSlot);
+    if (exportPlan) {
+      reasons.push(exportPlan.reason);
+    }
 
-      // Make decision with academic strategy context
-      let decision = this.makeAcademicDecision(
-        batterySOC, pvPower, load, currentPrice, 
-        gridVoltage, config, shouldCharge, shouldStop, 
-        optimization, reasons, strategy
-      );
+    // Safety overrides (from study: grid voltage constraints)
+    if (currentPrice?.total > this.academicParams.maxPriceThreshold) {
+      shouldStop = true;
+      safetyStop = true;
+      reasons.push(`Price ${currentPrice.total.toFixed(1)}¢ too expensive`);
+    }
 
-      if (decision.includes('CHARGE') || decision.includes('STOP')) {
-        const actionDecision = decision.includes('STOP') ? 'STOP_CHARGING' : 'START_CHARGING';
-        await this.applyDecision(actionDecision);
-      }
+    if (batterySOC >= config.targetSoC) {
+      shouldStop = true;
+      safetyStop = true;
+      reasons.push(`Target SOC reached: ${batterySOC}%`);
+    }
 
-      // Log with academic metrics
-      return await this.logDecision(decision, reasons, {
-        strategy: strategy.name,
-        expectedImprovement: strategy.expectedImprovement
-      });
-      
-    } catch (error) {
-      console.error('❌ Error in academic AI evaluation:', error);
-      return { decision: 'ERROR', reasons: [error.message] };
+    if (gridCheck.constraint) {
+      shouldStop = true;
+      safetyStop = true;
+      reasons.push(this.getGridConstraintReason(gridCheck));
+    }
+
+    // Make decision with academic strategy context
+    let decision = this.makeAcademicDecision(
+      batterySOC, pvPower, load, currentPrice, 
+      gridCheck, config, shouldCharge, shouldStop, 
+      optimization, reasons, strategy, planSlot
+    );
+    
+    if (carbonCheck?.preferred && decision.startsWith('CHARGE GRID') && !decision.includes('NEGATIVE PRICE')) {
+      decision = `CHARGE GRID - CARBON-AWARE: ${carbonCheck.intensity} g/kWh (24h avg ${carbonCheck.averageIntensity} g/kWh, SOC: ${batterySOC}%)`;
+    }
+    
+    return { ...this.finalizeDecision(decision, reasons, batterySOC, config, exportPlan, planSlot), safetyStop };
+  }
+
+  // Export control, backup reserve and CO2 accounting on top of a strategy's decision
+  finalizeDecision(decision, reasons, batterySOC, config, exportPlan, planSlot) {
+    // Export control turns idle/solar states into selling or curtailment
+    if (exportPlan?.mode === 'sell' && decision.includes('Grid constraint')) {
+      // Never push battery energy into an unstable grid
+      exportPlan.mode = 'solar';
+      reasons.push('EXPORT: Battery sale skipped - grid constraint');
+    } else if (exportPlan?.mode === 'sell' && !decision.startsWith('CHARGE GRID')) {
+      decision = `DISCHARGE - PEAK EXPORT: ${exportPlan.exportPrice.toFixed(2)}¢/kWh, selling down to ${exportPlan.minSellSoc}% (SOC: ${batterySOC}%)`;
+    } else if (exportPlan?.mode === 'blocked' && decision.startsWith('EXPORT SOLAR')) {
+      decision = `CURTAIL EXPORT - Negative export price ${exportPlan.exportPrice.toFixed(2)}¢/kWh, battery full (SOC: ${batterySOC}%)`;
+    }
+    
+    // Backup reserve: never discharge below it. Restoring it is up to the day-ahead plan, which
+    // schedules the grid charge in cheap slots (never above maxPriceThreshold).
+    const reserve = { soc: this.getReserveSoc(), storm: !!this.getActiveStorm(), hold: false };
+    if (batterySOC <= reserve.soc && !decision.startsWith('CHARGE')) {
+      reserve.hold = true;
+      decision = `HOLD - RESERVE: SOC ${batterySOC}% ${batterySOC < reserve.soc ? 'below' : 'at'} ${reserve.storm ? 'storm ' : ''}reserve ${reserve.soc}%, loads from grid`;
+      reasons.push(`RESERVE: Battery held at the ${reserve.soc}% backup reserve`);
+      if (exportPlan?.mode === 'sell') exportPlan.mode = 'solar';
+    } else if (batterySOC < reserve.soc && decision.startsWith('CHARGE GRID')) {
+      reasons.push(`RESERVE: Restoring the ${reserve.soc}% backup reserve`);
+    }
+    
+    const carbon = this.getDecisionCarbon(decision, batterySOC, config.targetSoC, planSlot);
+    if (carbon?.co2AvoidedGrams !== null && carbon?.co2AvoidedGrams !== undefined) {
+      reasons.push(`CO2: Charging ${carbon.gridChargeKwh} kWh at ${carbon.intensity} g/kWh (24h avg ${carbon.averageIntensity} g/kWh) ${carbon.co2AvoidedGrams >= 0 ? 'avoids' : 'adds'} ~${Math.abs(carbon.co2AvoidedGrams)} g CO2`);
     }
+
+    return { decision, reasons, exportPlan, reserve, carbon };
   }
 
   // Academic study-based optimization (replaces old method)
-  async academicOptimization() {
+  async academicOptimization(state = this.currentSystemState) {
     const forecast = tibberService.cache.forecast || [];
-    const currentPrice = tibberService.cache.currentPrice;
-    const batterySOC = this.currentSystemState?.battery_soc || 0;
-    const pvPower = this.currentSystemState?.pv_power || 0;
-    const load = this.currentSystemState?.load || 0;
+    const currentPrice = tibberService.getCurrentPrice();
+    const batterySOC = state?.battery_soc || 0;
+    const pvPower = state?.pv_power || 0;
+    const load = state?.load || 0;
     
-    if (!currentPrice || forecast.length < 12) return null;
+    // At least 12 hours of prices, whatever the slot length
+    if (!currentPrice || forecast.length * tibberService.getSlotMinutes() < 12 * 60) return null;
     
     // Calculate net load pnet(t) from study equation (1)
     const netLoad = load - pvPower;
@@ -433,8 +2717,8 @@ class AIChargingEngine {
     const ηc = this.academicParams.chargeEfficiency;
     const ηd = this.academicParams.dischargeEfficiency;
     
-    // Get next 24 hours forecast (day-ahead as per study)
-    const next24h = forecast.slice(0, 24).map(p => p.total);
+    // Get next 24 hours forecast (day-ahead as per study) - 24 hourly or 96 quarter-hour slots
+    const next24h = tibberService.getForecastWindow(this.academicParams.forecastHorizon).map(p => p.total);
     
     if (next24h.length === 0) return null;
     
@@ -472,8 +2756,13 @@ class AIChargingEngine {
     };
   }
 
-  makeAcademicDecision(batterySOC, pvPower, load, currentPrice, gridVoltage, 
-                       config, shouldCharge, shouldStop, optimization, reasons, strategy) {
+  // Outside the site's voltage band (see gridQualityService)
+  getGridConstraintReason(gridCheck) {
+    return `Grid voltage constraint: ${gridCheck.voltage}V (${gridCheck.status}, band ${gridCheck.low}-${gridCheck.high}V)`;
+  }
+
+  makeAcademicDecision(batterySOC, pvPower, load, currentPrice, gridCheck, 
+                       config, shouldCharge, shouldStop, optimization, reasons, strategy, planSlot = null) {
     const pvSurplus = pvPower - load;
     const priceIsNegative = currentPrice ? currentPrice.total < 0 : false;
     
@@ -482,25 +2771,32 @@ class AIChargingEngine {
       if (batterySOC >= config.targetSoC) {
         return `STOP CHARGING - Target SOC ${batterySOC}% reached (${strategy.name})`;
       }
-      if (gridVoltage < 200 || gridVoltage > 250) {
-        return `STOP CHARGING - Grid constraint ${gridVoltage}V`;
+      if (gridCheck.constraint) {
+        return `STOP CHARGING - Grid constraint ${gridCheck.voltage}V`;
       }
       return `STOP CHARGING - Price/safety override`;
     }
     
     // CHARGE scenarios (academic optimization)
     if (shouldCharge) {
+      if (planSlot) {
+        return `CHARGE GRID - DAY-AHEAD PLAN: ${planSlot.price.toFixed(2)}¢/kWh, target ${planSlot.targetSoc}% by ${new Date(planSlot.endsAt).toLocaleTimeString()} (SOC: ${batterySOC}%)`;
+      }
       if (priceIsNegative) {
         return `CHARGE GRID - NEGATIVE PRICE ARBITRAGE: ${Math.abs(currentPrice.total).toFixed(2)}¢/kWh (Study: 12.7% gain potential)`;
       }
       if (optimization?.priceLevel === 'OPTIMAL') {
-        return `CHARGE GRID - ACADEMIC OPTIMAL: ${currentPrice.total.toFixed(2)}¢ ≤ 8¢/kWh (Strategy: ${strategy.name}, SOC: ${batterySOC}%)`;
+        return `CHARGE GRID - ACADEMIC OPTIMAL: ${currentPrice.total.toFixed(2)}¢ ≤ ${this.academicParams.optimalChargeThreshold}¢/kWh (Strategy: ${strategy.name}, SOC: ${batterySOC}%)`;
       }
       return `CHARGE GRID - Below threshold (SOC: ${batterySOC}%, Strategy: ${strategy.name})`;
     }
     
     // DISCHARGE scenarios (peak arbitrage from study)
-    if (optimization?.shouldDischarge && batterySOC > 30) {
+    if (planSlot?.action === 'discharge') {
+      return `DISCHARGE - DAY-AHEAD PLAN: ${planSlot.price.toFixed(2)}¢/kWh, down to ${planSlot.targetSoc}% (SOC: ${batterySOC}%)`;
+    }
+    
+    if (!planSlot && optimization?.shouldDischarge && batterySOC > 30) {
       const expectedValue = (optimization.thresholds.current - optimization.thresholds.avg24h).toFixed(2);
       return `DISCHARGE - Peak arbitrage: ${optimization.thresholds.current.toFixed(2)}¢/kWh (+${expectedValue}¢ vs avg, ${(optimization.volatility * 100).toFixed(1)}% volatility)`;
     }
@@ -522,73 +2818,556 @@ class AIChargingEngine {
     return `MONITOR - SOC: ${batterySOC}%, PV: ${pvPower.toFixed(0)}W, Load: ${load.toFixed(0)}W (Strategy: ${strategy.name})`;
   }
 
-  async applyDecision(decision) {
+  // Cycle life factor at a depth of discharge, interpolated on the DoD curve
+  getCycleFactor(curve, depthOfDischarge) {
+    if (depthOfDischarge <= curve[0].depthOfDischarge) {
+      return curve[0].cycleFactor;
+    }
+    if (depthOfDischarge >= curve[curve.length - 1].depthOfDischarge) {
+      return curve[curve.length - 1].cycleFactor;
+    }
+    
+    const upper = curve.findIndex(point => point.depthOfDischarge >= depthOfDischarge);
+    const a = curve[upper - 1];
+    const b = curve[upper];
+    const t = (depthOfDischarge - a.depthOfDischarge) / (b.depthOfDischarge - a.depthOfDischarge);
+    return a.cycleFactor + t * (b.cycleFactor - a.cycleFactor);
+  }
+
+  // Cycle life at a depth of discharge. ratedCycles holds at ratedDepthOfDischarge, so the
+  // curve is normalised to that point and only its shape matters.
+  getCycleLife(depthOfDischarge) {
+    const params = this.academicParams;
+    const curve = (params.dodCycleCurve || [])
+      .slice()
+      .sort((a, b) => a.depthOfDischarge - b.depthOfDischarge);
+    
+    if (curve.length === 0) {
+      return params.ratedCycles;
+    }
+    
+    const ratedFactor = this.getCycleFactor(curve, params.ratedDepthOfDischarge);
+    return params.ratedCycles * this.getCycleFactor(curve, depthOfDischarge) / ratedFactor;
+  }
+
+  // Degradation cost in ¢ per kWh delivered by the battery
+  getDegradationCost(depthOfDischarge = null) {
+    const params = this.academicParams;
+    const capacity = this.config.batteryCapacity;
+    const dod = depthOfDischarge || Math.max(0.05, params.socMax - params.socMin);
+    const purchaseCost = params.batteryPurchaseCost > 0 ?
+      params.batteryPurchaseCost : capacity * params.batteryCostPerKwh;
+    const cycleLife = this.getCycleLife(dod);
+    const lifetimeKwh = cycleLife * dod * capacity;
+    
+    return {
+      costPerKwh: lifetimeKwh > 0 ? (purchaseCost * 100) / lifetimeKwh : 0,
+      purchaseCost: purchaseCost,
+      cycleLife: cycleLife,
+      depthOfDischarge: dod
+    };
+  }
+
+  // Buying at buyPrice and using the energy at sellPrice only pays off when
+  // the spread covers round-trip losses plus battery wear
+  checkArbitrage(buyPrice, sellPrice) {
+    const roundTrip = this.academicParams.roundTripEfficiency;
+    const losses = Math.max(0, buyPrice * (1 / roundTrip - 1));
+    const wear = this.getDegradationCost().costPerKwh;
+    const spread = sellPrice - buyPrice;
+    const requiredSpread = losses + wear;
+    
+    return {
+      spread: spread,
+      requiredSpread: requiredSpread,
+      losses: losses,
+      wear: wear,
+      profitable: spread > requiredSpread
+    };
+  }
+
+  // Map a decision string to the inverter action it requires (or null)
+  getActionForDecision(decision, planSlot = null) {
+    if (decision.startsWith('STOP') || decision.startsWith('DISCHARGE') || decision.startsWith('HOLD')) {
+      return 'STOP_CHARGING';
+    }
+    
+    if (planSlot) {
+      // While a plan is executing, grid charging is only enabled in planned charge slots
+      return decision.startsWith('CHARGE GRID') ? 'START_CHARGING' : 'STOP_CHARGING';
+    }
+    
+    if (decision.includes('CHARGE')) {
+      return 'START_CHARGING';
+    }
+    
+    return null;
+  }
+
+  // Signature of the price forecast and battery setup the current plan was built from
+  getPlanSignature() {
+    const forecast = tibberService.cache.forecast || [];
+    if (forecast.length === 0) return null;
+    
+    const priceSum = forecast.reduce((sum, p) => sum + (p.total || 0), 0);
+    return [
+      forecast.length,
+      forecast[0].startsAt,
+      forecast[forecast.length - 1].startsAt,
+      priceSum.toFixed(4),
+      this.config.batteryCapacity,
+      loadForecastService.getStatus().lastRefresh,
+      pvForecastService.getStatus().lastRefresh,
+      this.isCarbonAware() ? carbonIntensityService.getStatus().lastRefresh : 'no-carbon',
+      controllableLoadService.getSignature()
+    ].join('|');
+  }
+
+  // Re-learn the consumption and PV profiles from history when they are out of date
+  async refreshForecasts() {
+    try {
+      loadForecastService.setTopicPrefix(this.config.mqttTopicPrefix);
+      await loadForecastService.ensureFresh();
+    } catch (error) {
+      console.error('❌ Error refreshing load forecast:', error.message);
+    }
+    
+    try {
+      pvForecastService.setTopicPrefix(this.config.mqttTopicPrefix);
+      await pvForecastService.ensureFresh();
+    } catch (error) {
+      console.error('❌ Error refreshing PV forecast:', error.message);
+    }
+    
+    if (this.isCarbonAware()) {
+      await carbonIntensityService.ensureFresh();
+    }
+  }
+
+  // Net household load per plan slot (kWh). Load and PV come from the learned profiles;
+  // the running slot uses the measured PV, and without history the measured load is repeated.
+  buildNetLoadForecast(slots) {
+    const currentLoadKw = (this.currentSystemState?.load || 0) / 1000;
+    const currentPvKw = (this.currentSystemState?.pv_power || 0) / 1000;
+    
+    return slots.map((slot, index) => {
+      const startsAt = new Date(slot.startsAt);
+      const expectedLoad = loadForecastService.getExpectedLoad(startsAt);
+      const expectedPv = pvForecastService.getExpectedPv(startsAt);
+      const loadKw = expectedLoad !== null ? expectedLoad / 1000 : currentLoadKw;
+      const pvKw = index === 0 ? currentPvKw : (expectedPv || 0) / 1000;
+      return (loadKw - pvKw) * slot.durationHours;
+    });
+  }
+
+  // Simulates the next hours on PV and load forecast alone: does the sun fill the battery
+  // to the target SOC before the consumption until then empties it?
+  getSolarOutlook(state, batterySOC, targetSoc, hours = 24) {
+    if (!pvForecastService.getStatus().available) return null;
+    
+    const capacity = this.config.batteryCapacity;
+    const minKwh = this.academicParams.socMin * capacity;
+    const maxKwh = this.academicParams.socMax * capacity;
+    const targetKwh = Math.min(maxKwh, targetSoc / 100 * capacity);
+    const hourStart = new Date();
+    hourStart.setMinutes(0, 0, 0);
+    
+    let storedKwh = batterySOC / 100 * capacity;
+    let surplusKwh = 0;
+    let sunStartsAt = null;
+    let reachedAt = null;
+    let emptyAt = null;
+    
+    for (let i = 0; i < hours && !reachedAt && !emptyAt; i++) {
+      const time = new Date(hourStart.getTime() + i * 3600000);
+      const pv = pvForecastService.getExpectedPv(time) || 0;
+      const load = loadForecastService.getExpectedLoad(time) ?? (state?.load || 0);
+      const net = (pv - load) / 1000;
+      
+      if (net > 0) {
+        surplusKwh += net;
+        if (!sunStartsAt) sunStartsAt = time;
+        storedKwh = Math.min(maxKwh, storedKwh + net * this.academicParams.chargeEfficiency);
+      } else {
+        storedKwh += net / this.academicParams.dischargeEfficiency;
+      }
+      
+      if (storedKwh >= targetKwh - 0.01) reachedAt = time;
+      else if (storedKwh <= minKwh) emptyAt = time;
+    }
+    
+    return {
+      surplusKwh,
+      neededKwh: Math.max(0, targetKwh - batterySOC / 100 * capacity),
+      sunStartsAt,
+      reachedAt,
+      emptyAt,
+      coversCharge: !!reachedAt && !!sunStartsAt
+    };
+  }
+
+  isCarbonAware() {
+    return this.settings.carbon.mode !== 'off';
+  }
+
+  getCarbonSettings() {
+    return { ...this.settings.carbon };
+  }
+
+  updateCarbonSettings(changes) {
+    const errors = [];
+    
+    Object.keys(changes).forEach(key => {
+      if (!(key in DEFAULT_CARBON)) {
+        errors.push(`Unknown carbon setting: ${key}`);
+      }
+    });
+    if (changes.mode !== undefined && !CARBON_MODES.includes(changes.mode)) {
+      errors.push(`mode must be one of: ${CARBON_MODES.join(', ')}`);
+    }
+    if (changes.co2Weight !== undefined) {
+      const weight = Number(changes.co2Weight);
+      if (changes.co2Weight === null || changes.co2Weight === '' || !Number.isFinite(weight) || weight < 0 || weight > 1) {
+        errors.push('co2Weight must be between 0 and 1');
+      }
+    }
+    
+    if (errors.length > 0) {
+      const error = new Error(errors.join('; '));
+      error.validationErrors = errors;
+      throw error;
+    }
+    
+    if (changes.mode !== undefined) this.settings.carbon.mode = changes.mode;
+    if (changes.co2Weight !== undefined) this.settings.carbon.co2Weight = Number(changes.co2Weight);
+    this.saveSettings();
+    this.onAcademicParamsChanged();
+    
+    console.log(`🌍 Carbon-aware charging: ${this.settings.carbon.mode}${this.settings.carbon.mode === 'weighted' ? ` (CO2 weight ${this.settings.carbon.co2Weight})` : ''}`);
+    return this.getCarbonSettings();
+  }
+
+  // Share of the carbon intensity in a slot score (0 = price only, 1 = carbon only)
+  getCarbonWeight() {
+    const carbon = this.settings.carbon;
+    if (carbon.mode === 'lowest-carbon') return 1;
+    if (carbon.mode === 'weighted') return carbon.co2Weight;
+    return 0;
+  }
+
+  // Score per price slot in ¢/kWh. The intensity is scaled by average price / average intensity
+  // so both terms carry the same weight at co2Weight 0.5. Null without carbon data.
+  getCarbonScores(prices) {
+    const intensities = prices.map(price => carbonIntensityService.getIntensityAt(new Date(price.startsAt)));
+    const known = intensities.filter(intensity => intensity !== null);
+    if (known.length === 0) return null;
+    
+    const averageIntensity = known.reduce((sum, intensity) => sum + intensity, 0) / known.length;
+    const averagePrice = prices.reduce((sum, price) => sum + price.total, 0) / prices.length;
+    const scale = averageIntensity > 0 ? Math.max(1, Math.abs(averagePrice)) / averageIntensity : 0;
+    const weight = this.getCarbonWeight();
+    
+    return prices.map((price, index) => {
+      const intensity = intensities[index] ?? averageIntensity;
+      return {
+        startsAt: price.startsAt,
+        price: price.total,
+        intensity: intensity,
+        score: (1 - weight) * price.total + weight * intensity * scale
+      };
+    });
+  }
+
+  // Carbon intensity per plan slot for CO2 accounting, plus the carbon-weighted prices the
+  // optimizer plans with when a carbon mode is active
+  getCarbonPlannerParams(slots) {
+    const intensities = slots.map(slot => carbonIntensityService.getIntensityAt(new Date(slot.startsAt)));
+    if (intensities.every(intensity => intensity === null)) return {};
+    
+    const params = { carbonIntensity: intensities };
+    if (this.isCarbonAware()) {
+      const scores = this.getCarbonScores(slots.map(slot => ({ startsAt: slot.startsAt, total: slot.price })));
+      params.scorePrice = scores.map(score => score.score);
+    }
+    return params;
+  }
+
+  // Is the current price slot one of the best-scoring slots of the next 24 hours, counting as
+  // many slots as the charge to targetSoc needs at the C-rate?
+  getCarbonChargeCheck(batterySOC, targetSoc) {
+    const window = tibberService.getForecastWindow(24);
+    const scores = this.getCarbonScores(window);
+    if (!scores) return null;
+    
+    const now = Date.now();
+    const currentIndex = window.findIndex(price =>
+      new Date(price.startsAt).getTime() <= now && new Date(price.endsAt || price.startsAt).getTime() > now
+    );
+    if (currentIndex < 0) return null;
+    
+    const capacity = this.config.batteryCapacity;
+    const slotHours = tibberService.getSlotMinutes() / 60;
+    const neededKwh = Math.max(0, (targetSoc - batterySOC) / 100 * capacity);
+    const needed = Math.max(1, Math.ceil(neededKwh / (capacity * this.academicParams.cRate * slotHours)));
+    const current = scores[currentIndex];
+    const rank = 1 + scores.filter(score => score.score < current.score).length;
+    
+    return {
+      preferred: rank <= needed,
+      rank: rank,
+      needed: needed,
+      slots: scores.length,
+      intensity: current.intensity,
+      averageIntensity: Math.round(scores.reduce((sum, score) => sum + score.intensity, 0) / scores.length)
+    };
+  }
+
+  // Grams of CO2 avoided when gridKwh charged now later replace grid energy at the 24h average
+  // intensity (after round-trip losses). Negative when charging now is dirtier.
+  estimateCo2Avoided(gridKwh) {
+    const intensity = carbonIntensityService.getIntensityAt();
+    const average = carbonIntensityService.getAverageIntensity(24);
+    if (intensity === null || average === null) return null;
+    return Math.round(gridKwh * (average * this.academicParams.roundTripEfficiency - intensity));
+  }
+
+  // Carbon figures for a decision: current intensity and, for grid charging, the CO2 avoided
+  // by the energy charged in the current slot
+  getDecisionCarbon(decision, batterySOC, targetSoc, planSlot) {
+    const intensity = carbonIntensityService.getIntensityAt();
+    if (intensity === null) return null;
+    
+    const average = carbonIntensityService.getAverageIntensity(24);
+    const carbon = {
+      intensity: intensity,
+      averageIntensity: average !== null ? Math.round(average) : null,
+      gridChargeKwh: null,
+      co2AvoidedGrams: null
+    };
+    
+    if (decision.startsWith('CHARGE GRID')) {
+      const capacity = this.config.batteryCapacity;
+      const slotHours = planSlot ? planSlot.durationHours : tibberService.getSlotMinutes() / 60;
+      const storedKwh = planSlot?.batteryKwh > 0 ? planSlot.batteryKwh :
+        Math.min(capacity * this.academicParams.cRate * slotHours, Math.max(0, (targetSoc - batterySOC) / 100 * capacity));
+      const gridKwh = storedKwh / this.academicParams.chargeEfficiency;
+      
+      carbon.gridChargeKwh = Number(gridKwh.toFixed(2));
+      carbon.co2AvoidedGrams = this.estimateCo2Avoided(gridKwh);
+    }
+    
+    return carbon;
+  }
+
+  // Battery and tariff parameters the optimizer plans with
+  getPlannerParams() {
+    return {
+      batteryCapacity: this.config.batteryCapacity,
+      socMin: this.academicParams.socMin,
+      socMax: this.academicParams.socMax,
+      chargeEfficiency: this.academicParams.chargeEfficiency,
+      dischargeEfficiency: this.academicParams.dischargeEfficiency,
+      cRate: this.academicParams.cRate,
+      feedInTariff: this.academicParams.feedInTariff,
+      maxChargePrice: this.academicParams.maxPriceThreshold,
+      degradationCost: this.getDegradationCost().costPerKwh
+    };
+  }
+
+  // Build a new day-ahead plan from the full price forecast
+  replan(reason = 'manual') {
+    const forecast = tibberService.cache.forecast || [];
+    const now = new Date();
+    const slots = scheduleOptimizer.buildSlots(forecast, now);
+    const batterySOC = this.getSystemSoc();
+    
+    // Without a SOC reading the plan would start from a wrong state
+    if (batterySOC === null || batterySOC === undefined || isNaN(batterySOC)) {
+      return null;
+    }
+    
+    if (slots.length === 0) {
+      this.plan = null;
+      this.planSignature = null;
+      return null;
+    }
+    
+    // Controllable loads take their slots first; the battery is planned around their consumption
+    const netLoad = this.buildNetLoadForecast(slots);
+    const loadSchedule = controllableLoadService.schedule(slots, netLoad, this.academicParams.feedInTariff, now);
+    
+    const plan = scheduleOptimizer.optimize({
+      ...this.getPlannerParams(),
+      forecast: forecast,
+      now: now,
+      initialSoc: batterySOC,
+      netLoadForecast: netLoad.map((kwh, index) => kwh + loadSchedule.slotKwh[index]),
+      reserveSoc: slots.map(slot => this.getReserveSoc(new Date(slot.startsAt))),
+      ...this.getCarbonPlannerParams(slots)
+    });
+    
+    if (!plan) return null;
+    
+    plan.reason = reason;
+    this.plan = plan;
+    this.planSignature = this.getPlanSignature();
+    
+    console.log(`📅 Day-ahead plan (${reason}): ${plan.summary.slotCount} slots, ${plan.summary.chargeSlots} charge / ${plan.summary.dischargeSlots} discharge, expected savings €${plan.summary.expectedSavings.toFixed(2)}`);
+    return plan;
+  }
+
+  // Current slot of the plan, re-planning when prices changed or the plan ran out
+  getCurrentPlanSlot() {
+    const signature = this.getPlanSignature();
+    if (!signature) return null;
+    
+    if (!this.plan || signature !== this.planSignature) {
+      this.replan(this.plan ? 'new_prices' : 'initial');
+    }
+    
+    let slot = scheduleOptimizer.getSlotAt(this.plan);
+    if (!slot && this.plan) {
+      this.replan('plan_expired');
+      slot = scheduleOptimizer.getSlotAt(this.plan);
+    }
+    
+    // Re-plan at slot boundaries when the battery drifted away from the plan
+    if (slot && slot.startsAt !== this.lastPlanSlotStart) {
+      this.lastPlanSlotStart = slot.startsAt;
+      const batterySOC = this.getSystemSoc();
+      if (typeof batterySOC === 'number' && Math.abs(batterySOC - slot.startSoc) > 5) {
+        this.replan('soc_drift');
+        slot = scheduleOptimizer.getSlotAt(this.plan);
+        this.lastPlanSlotStart = slot?.startsAt;
+      }
+    }
+    
+    return slot;
+  }
+
+  // Upcoming part of the plan with the projected SOC trajectory
+  getPlan(hours = 48) {
+    if (!this.plan) {
+      this.getCurrentPlanSlot();
+    }
+    if (!this.plan) return null;
+    
+    const now = Date.now();
+    const horizonEnd = now + hours * 3600000;
+    let cumulativeCost = 0;
+    
+    const slots = this.plan.slots
+      .filter(slot => new Date(slot.endsAt).getTime() > now && new Date(slot.startsAt).getTime() < horizonEnd)
+      .map(slot => {
+        cumulativeCost += slot.cost;
+        return {
+          startsAt: slot.startsAt,
+          endsAt: slot.endsAt,
+          price: slot.price,
+          level: slot.level,
+          action: slot.action,
+          gridCharge: slot.gridCharge,
+          expectedSoc: slot.targetSoc,
+          reserveSoc: slot.reserveSoc,
+          expectedGridImportKwh: slot.gridImportKwh,
+          expectedGridExportKwh: slot.gridExportKwh,
+          expectedCost: slot.cost,
+          cumulativeCost: Number(cumulativeCost.toFixed(4))
+        };
+      });
+    
+    return {
+      createdAt: this.plan.createdAt,
+      reason: this.plan.reason,
+      currentSoc: this.getSystemSoc() ?? null,
+      summary: this.plan.summary,
+      slots: slots
+    };
+  }
+
+  // Apply one decision to all inverters.
+  // `forced` carries fixed inverter settings (manual override); otherwise they are chosen automatically
+  async applyDecision(decision, forced = null) {
+    let commandsSent = 0;
+    for (const inverterId of this.getInverterIds()) {
+      if (await this.applyInverterDecision(inverterId, decision, forced, this.getInverterState(inverterId))) {
+        commandsSent++;
+      }
+    }
+    
+    if (commandsSent > 0) {
+      if (this.isShadowMode()) {
+        console.log(`🕶️ Shadow decision: ${decision} would be applied to ${commandsSent} inverter(s)`);
+      } else {
+        console.log(`🔋 Applied decision: ${decision} to ${commandsSent} inverter(s)`);
+      }
+    }
+    return commandsSent;
+  }
+
+  // Send the commands for a decision to a single inverter, using that inverter's measurements.
+  // Returns true when commands were sent (false for duplicates).
+  async applyInverterDecision(inverterId, decision, forced = null, state = this.currentSystemState) {
     try {
       const enableCharging = decision === 'START_CHARGING';
-      const commandValue = this.getOptimalChargingMode(enableCharging);
+      const commandValue = forced?.chargerPriority || this.getOptimalChargingMode(enableCharging, state);
+      const commandKey = forced?.key || `${commandValue}${state?.sellingToGrid ? '|sell' : ''}`;
+      const tracker = this.getInverterTracker(inverterId);
+      
+      // Check if this is the same command as last time for this inverter
+      if (tracker.lastCommand === commandKey) {
+        console.log(`⏭️ Skipping duplicate command for ${inverterId}: ${decision} (${commandValue})`);
+        return false;
+      }
       
-      // Check if this is the same command as last time
-      if (this.lastCommand === commandValue) {
-        console.log(`⏭️ Skipping duplicate command: ${decision} (${commandValue})`);
-        return;
+      if (!this.mqttClient && !this.isShadowMode()) {
+        return false;
       }
       
-      // Send command to all detected inverters
-      let commandsSent = 0;
-      for (let i = 1; i <= this.config.inverterNumber; i++) {
-        const inverterId = `inverter_${i}`;
-        const inverterType = this.config.inverterTypes[inverterId]?.type || 'unknown';
+      const inverterType = this.config.inverterTypes[inverterId]?.type || 'unknown';
+      
+      if (inverterType === 'new') {
+        // New inverter - use charger/output priority
+        const chargerTopic = `${this.config.mqttTopicPrefix}/${inverterId}/charger_source_priority/set`;
+        const outputTopic = `${this.config.mqttTopicPrefix}/${inverterId}/output_source_priority/set`;
+        const outputValue = forced?.outputPriority || this.getOptimalOutputPriority(enableCharging, state);
         
-        if (inverterType === 'new') {
-          // New inverter - use charger/output priority
-          const chargerTopic = `${this.config.mqttTopicPrefix}/${inverterId}/charger_source_priority/set`;
-          const outputTopic = `${this.config.mqttTopicPrefix}/${inverterId}/output_source_priority/set`;
-          const outputValue = this.getOptimalOutputPriority(enableCharging);
-          
-          if (this.mqttClient) {
-            this.mqttClient.publish(chargerTopic, commandValue);
-            this.mqttClient.publish(outputTopic, outputValue);
-            await this.logCommand(chargerTopic, commandValue, true);
-            await this.logCommand(outputTopic, outputValue, true);
-            commandsSent++;
-          }
-        } else {
-          // Legacy inverter - use grid_charge + intelligent energy_pattern
-          const gridChargeTopic = `${this.config.mqttTopicPrefix}/${inverterId}/grid_charge/set`;
-          const energyPatternTopic = `${this.config.mqttTopicPrefix}/${inverterId}/energy_pattern/set`;
-          
-          const gridChargeValue = enableCharging ? 'Enabled' : 'Disabled';
-          const energyPatternValue = this.getOptimalEnergyPattern();
-          
-          if (this.mqttClient) {
-            this.mqttClient.publish(gridChargeTopic, gridChargeValue);
-            this.mqttClient.publish(energyPatternTopic, energyPatternValue);
-            await this.logCommand(gridChargeTopic, gridChargeValue, true);
-            await this.logCommand(energyPatternTopic, energyPatternValue, true);
-            commandsSent++;
-          }
-        }
+        await this.sendCommand(chargerTopic, commandValue, inverterId);
+        await this.sendCommand(outputTopic, outputValue, inverterId);
+      } else {
+        // Legacy inverter - use grid_charge + intelligent energy_pattern
+        const gridChargeTopic = `${this.config.mqttTopicPrefix}/${inverterId}/grid_charge/set`;
+        const energyPatternTopic = `${this.config.mqttTopicPrefix}/${inverterId}/energy_pattern/set`;
+        
+        const gridChargeValue = forced?.gridCharge || (enableCharging ? 'Enabled' : 'Disabled');
+        const energyPatternValue = forced?.energyPattern || this.getOptimalEnergyPattern(state);
+        
+        await this.sendCommand(gridChargeTopic, gridChargeValue, inverterId);
+        await this.sendCommand(energyPatternTopic, energyPatternValue, inverterId);
       }
       
-      this.lastCommand = commandValue;
-      console.log(`🔋 Applied decision: ${decision} to ${commandsSent} inverter(s)`);
+      tracker.lastCommand = commandKey;
+      tracker.lastCommandAt = new Date().toISOString();
+      this.recordChargeAction(tracker, decision);
+      return true;
       
     } catch (error) {
-      console.error('❌ Failed to apply decision:', error);
+      console.error(`❌ Failed to apply decision to ${inverterId}:`, error);
       await this.logCommand('error', decision, false);
+      return false;
     }
   }
 
-  getOptimalChargingMode(enableCharging) {
+  getOptimalChargingMode(enableCharging, state = this.currentSystemState) {
     if (!enableCharging) {
       return 'Solar first';
     }
 
-    const pvPower = this.currentSystemState?.pv_power || 0;
-    const load = this.currentSystemState?.load || 0;
-    const batterySOC = this.currentSystemState?.battery_soc || 0;
+    const pvPower = state?.pv_power || 0;
+    const load = state?.load || 0;
+    const batterySOC = state?.battery_soc || 0;
     const pvSurplus = pvPower - load;
-    const currentPrice = tibberService.cache.currentPrice;
+    const currentPrice = tibberService.getCurrentPrice();
     const priceIsNegative = currentPrice ? currentPrice.total < 0 : false;
 
     // Strong solar surplus - solar only (maximize self-consumption per study)
@@ -601,8 +3380,8 @@ class AIChargingEngine {
       return 'Solar and utility simultaneously';
     }
     
-    // Academic optimal price (≤8¢/kWh) - enable grid charging
-    if (currentPrice && currentPrice.total <= this.academicParams.optimalChargeThreshold) {
+    // Academic optimal price (≤8¢/kWh, plus the hysteresis band while charging) - enable grid charging
+    if (currentPrice && currentPrice.total <= this.getChargeThreshold(state?.gridCharging)) {
       return 'Solar and utility simultaneously';
     }
     
@@ -610,14 +3389,19 @@ class AIChargingEngine {
     return 'Solar first';
   }
 
-  getOptimalOutputPriority(enableCharging) {
-    const pvPower = this.currentSystemState?.pv_power || 0;
-    const load = this.currentSystemState?.load || 0;
-    const batterySOC = this.currentSystemState?.battery_soc || 0;
+  getOptimalOutputPriority(enableCharging, state = this.currentSystemState) {
+    const pvPower = state?.pv_power || 0;
+    const load = state?.load || 0;
+    const batterySOC = state?.battery_soc || 0;
     const pvSurplus = pvPower - load;
-    const currentPrice = tibberService.cache.currentPrice;
+    const currentPrice = tibberService.getCurrentPrice();
     const priceIsNegative = currentPrice ? currentPrice.total < 0 : false;
 
+    // Peak export - battery supplies the load so PV and battery can be sold
+    if (state?.sellingToGrid) {
+      return 'Solar/Battery/Utility';
+    }
+
     if (pvSurplus > 1000) {
       return 'Solar first';
     }
@@ -634,13 +3418,18 @@ class AIChargingEngine {
   }
 
   // Intelligent energy pattern selection for legacy inverters
-  getOptimalEnergyPattern() {
-    const pvPower = this.currentSystemState?.pv_power || 0;
-    const load = this.currentSystemState?.load || 0;
-    const batterySOC = this.currentSystemState?.battery_soc || 0;
-    const currentPrice = tibberService.cache.currentPrice;
+  getOptimalEnergyPattern(state = this.currentSystemState) {
+    const pvPower = state?.pv_power || 0;
+    const load = state?.load || 0;
+    const batterySOC = state?.battery_soc || 0;
+    const currentPrice = tibberService.getCurrentPrice();
     const pvSurplus = pvPower - load;
     
+    // Peak export - battery supplies the load and the surplus is sold
+    if (state?.sellingToGrid) {
+      return 'Load first';
+    }
+    
     // High solar production - prioritize battery charging
     if (pvSurplus > 1000 && batterySOC < 90) {
       return 'Battery first';
@@ -684,9 +3473,7 @@ class AIChargingEngine {
   }
 
   async start() {
-    if (this.evaluationInterval) {
-      clearInterval(this.evaluationInterval);
-    }
+    this.clearEvaluationTimer();
     
     const strategy = this.selectOptimalStrategy();
     console.log(`🚀 Starting AI Engine with ${strategy.name} strategy`);
@@ -702,27 +3489,63 @@ class AIChargingEngine {
 
   startEngine() {
     this.enabled = true;
+    this.scheduleOverrideExpiry();
     
     this.evaluate().catch(error => {
       console.error('❌ Error in initial AI evaluation:', error);
     });
     
-    this.evaluationInterval = setInterval(() => {
-      this.evaluate().catch(error => {
-        console.error('❌ Error in AI evaluation interval:', error);
-      });
-    }, 300000); // 5 minutes
+    this.scheduleNextEvaluation();
     
     console.log('🚀 AI Engine started - Academic optimization active');
     return { success: true, message: 'Academic-optimized AI Charging Engine started' };
   }
 
+  // Next evaluation time: the next price slot boundary, or the next MAX_EVALUATION_GAP_MS tick
+  // of the clock when that is sooner (hourly slots, no forecast)
+  getNextEvaluationTime(now = new Date()) {
+    const gapTick = new Date(Math.floor(now.getTime() / MAX_EVALUATION_GAP_MS + 1) * MAX_EVALUATION_GAP_MS);
+    const slotStart = tibberService.getNextSlotStart(now);
+    return slotStart && slotStart < gapTick ? slotStart : gapTick;
+  }
+
+  scheduleNextEvaluation() {
+    this.clearEvaluationTimer();
+    if (!this.enabled) return;
+    
+    const next = this.getNextEvaluationTime();
+    this.nextEvaluationAt = next;
+    const delay = Math.max(1000, next.getTime() - Date.now() + SLOT_BOUNDARY_DELAY_MS);
+    
+    this.evaluationTimer = setTimeout(async () => {
+      this.evaluationTimer = null;
+      try {
+        await this.evaluate();
+      } catch (error) {
+        console.error('❌ Error in scheduled AI evaluation:', error);
+      }
+      this.scheduleNextEvaluation();
+    }, delay);
+  }
+
+  clearEvaluationTimer() {
+    if (this.evaluationTimer) {
+      clearTimeout(this.evaluationTimer);
+      this.evaluationTimer = null;
+    }
+    this.nextEvaluationAt = null;
+  }
+
   stop() {
     this.enabled = false;
-    if (this.evaluationInterval) {
-      clearInterval(this.evaluationInterval);
-      this.evaluationInterval = null;
+    this.clearEvaluationTimer();
+    if (this.overrideTimer) {
+      clearTimeout(this.overrideTimer);
+      this.overrideTimer = null;
     }
+    commandAckService.clear();
+    this.shedControllableLoads('AI engine stopped')
+      .catch(error => console.error('❌ Error switching off controllable loads:', error.message));
     console.log('ℹ️ AI Charging Engine stopped');
     return { success: true, message: 'AI Charging Engine stopped' };
   }
@@ -732,16 +3555,56 @@ class AIChargingEngine {
     
     return {
       enabled: this.enabled,
+      shadowMode: this.isShadowMode(),
+      override: this.getOverrideStatus(),
+      safeState: this.safeState,
+      peakShaving: this.peakShaving,
+      evaluationErrors: this.evaluationErrors,
       lastDecision: this.lastDecision,
+      inverters: this.getInverterDecisions(),
+      batteryBanks: this.getBatteryBanks(),
+      acknowledgements: commandAckService.getStatus(),
+      loadForecast: loadForecastService.getStatus(),
+      pvForecast: pvForecastService.getStatus(),
+      exportControl: {
+        ...this.getExportControl(),
+        exportPrice: this.settings.exportControl.enabled ? this.getExportPrice() : null
+      },
+      reserve: this.getReserveStatus(),
+      antiFlapping: this.getAntiFlappingStatus(),
+      controllableLoads: controllableLoadService.getStatus(),
+      timerProgram: this.getTimerProgramStatus(),
+      chargeCurrent: this.getChargeCurrentStatus(),
+      carbon: {
+        ...this.getCarbonSettings(),
+        modes: CARBON_MODES,
+        intensity: carbonIntensityService.getStatus(),
+        planCo2AvoidedGrams: this.plan?.summary?.co2AvoidedGrams ?? null
+      },
       config: this.config,
-      hasInterval: !!this.evaluationInterval,
+      batteryDetection: this.batteryDetection,
+      hasInterval: !!this.evaluationTimer,
+      nextEvaluationAt: this.nextEvaluationAt ? this.nextEvaluationAt.toISOString() : null,
+      priceResolution: {
+        resolution: tibberService.getPriceResolution(),
+        slotMinutes: tibberService.getSlotMinutes()
+      },
       academicStrategy: {
         name: strategy.name,
+        active: this.settings.strategy.active,
+        plugin: !!strategy.plugin,
         description: strategy.description,
         expectedImprovement: strategy.expectedImprovement,
         batterySize: this.config.batteryCapacity,
         optimalForBatterySize: this.config.batteryCapacity <= this.SMALL_BATTERY_THRESHOLD
       },
+      plan: this.plan ? {
+        createdAt: this.plan.createdAt,
+        reason: this.plan.reason,
+        currentSlot: scheduleOptimizer.getSlotAt(this.plan),
+        summary: this.plan.summary
+      } : null,
+      degradation: this.getDegradationCost(),
       academicParams: this.academicParams
     };
   }
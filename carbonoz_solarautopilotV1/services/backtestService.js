@@ -0,0 +1,341 @@
+// Backtest Service
+// Replays historical SOC/PV/load and Tibber prices from InfluxDB through the AI
+// charging strategies with a simulated battery. Nothing is published to MQTT.
+
+const moment = require('moment-timezone');
+const influxAIService = require('./influxAIService');
+const scheduleOptimizer = require('./scheduleOptimizer');
+const aiChargingEngine = require('./aiChargingEngine');
+const tibberService = require('./tibberService');
+
+class BacktestService {
+  constructor() {
+    this.maxRangeDays = 92;
+    this.running = false;
+    this.lastResult = null;
+
+    this.strategies = {
+      NO_AI: 'Self-consumption only (no AI)',
+      THRESHOLD: `Academic price threshold (≤${aiChargingEngine.academicParams.optimalChargeThreshold}¢/kWh)`,
+      DAY_AHEAD_PLAN: 'Day-ahead schedule optimizer'
+    };
+  }
+
+  // Slot length of the stored prices: the duration saved with them, otherwise the
+  // resolution Tibber is currently configured for
+  getSlotMinutes(priceHistory) {
+    const stored = priceHistory.find(row => row.durationMinutes > 0);
+    return stored ? stored.durationMinutes : tibberService.getSlotMinutes();
+  }
+
+  // Load history for the date range in price-slot steps (hourly or quarter-hourly)
+  async loadHistory(fromDate, toDate) {
+    const prefix = aiChargingEngine.config.mqttTopicPrefix;
+    const priceHistory = await influxAIService.getTibberPriceHistory(fromDate, toDate);
+    const slotMinutes = this.getSlotMinutes(priceHistory);
+    const slotMs = slotMinutes * 60000;
+    const interval = `${slotMinutes}m`;
+
+    const [socSeries, pvSeries, loadSeries] = await Promise.all([
+      influxAIService.getStateSeries(`${prefix}/total/battery_state_of_charge/state`, fromDate, toDate, interval),
+      influxAIService.getStateSeries(`${prefix}/total/pv_power/state`, fromDate, toDate, interval),
+      influxAIService.getStateSeries(`${prefix}/total/load_power/state`, fromDate, toDate, interval)
+    ]);
+
+    // Average Tibber prices per slot - older hourly prices fill every slot of their hour (stored in €, engine works in cents)
+    const priceBuckets = new Map();
+    priceHistory.forEach(row => {
+      const key = Math.floor(new Date(row.timestamp).getTime() / slotMs) * slotMs;
+      const bucket = priceBuckets.get(key) || { sum: 0, count: 0 };
+      bucket.sum += row.price * 100;
+      bucket.count++;
+      priceBuckets.set(key, bucket);
+    });
+
+    const toMap = series => new Map(series
+      .filter(point => point.value !== null && point.value !== undefined)
+      .map(point => [new Date(point.timestamp).getTime(), point.value]));
+
+    const pvMap = toMap(pvSeries);
+    const loadMap = toMap(loadSeries);
+    const socMap = toMap(socSeries);
+
+    const slots = [];
+    const durationHours = slotMinutes / 60;
+    let lastPrice = null;
+
+    for (let ts = fromDate.getTime(); ts < toDate.getTime(); ts += slotMs) {
+      const bucket = priceBuckets.get(ts);
+      const price = bucket ? bucket.sum / bucket.count : lastPrice;
+      if (price === null || !loadMap.has(ts)) continue;
+
+      lastPrice = price;
+      slots.push({
+        startsAt: new Date(ts).toISOString(),
+        durationHours: durationHours,
+        price: price,
+        pvKwh: Math.max(0, pvMap.get(ts) || 0) / 1000 * durationHours,
+        loadKwh: Math.max(0, loadMap.get(ts) || 0) / 1000 * durationHours,
+        measuredSoc: socMap.has(ts) ? socMap.get(ts) : null
+      });
+    }
+
+    const firstSoc = slots.find(slot => slot.measuredSoc !== null);
+
+    return {
+      slots: slots,
+      slotMinutes: slotMinutes,
+      initialSoc: firstSoc ? firstSoc.measuredSoc : 50
+    };
+  }
+
+  // Simulate one slot of the battery. gridCharge charges from the grid towards
+  // targetSoc; otherwise the inverter runs self-consumption (PV surplus charges,
+  // deficit discharges).
+  simulateSlot(state, slot, action, params) {
+    const capacity = params.batteryCapacity;
+    const ηc = params.chargeEfficiency;
+    const ηd = params.dischargeEfficiency;
+    const maxKwh = capacity * params.cRate * slot.durationHours;
+    const minEnergy = params.socMin * capacity;
+    const maxEnergy = params.socMax * capacity;
+
+    let energy = state.soc / 100 * capacity;
+    let gridImport = 0;
+    let gridExport = 0;
+    let charged = 0;
+    let discharged = 0;
+
+    const netLoad = slot.loadKwh - slot.pvKwh;
+
+    if (netLoad < 0) {
+      // PV surplus charges the battery, the rest is exported
+      const chargeIn = Math.min(-netLoad, maxKwh, Math.max(0, (maxEnergy - energy) / ηc));
+      energy += chargeIn * ηc;
+      charged += chargeIn * ηc;
+      gridExport += -netLoad - chargeIn;
+    } else if (action.gridCharge) {
+      // Grid charging: the load is supplied by the grid, battery does not discharge
+      gridImport += netLoad;
+    } else {
+      const deliverable = Math.max(0, (energy - minEnergy) * ηd);
+      const out = Math.min(netLoad, maxKwh, deliverable);
+      energy -= out / ηd;
+      discharged += out / ηd;
+      gridImport += netLoad - out;
+    }
+
+    if (action.gridCharge) {
+      const targetEnergy = Math.min(maxEnergy, (action.targetSoc ?? 100) / 100 * capacity);
+      const room = Math.max(0, (targetEnergy - energy) / ηc);
+      const gridCharge = Math.min(room, Math.max(0, maxKwh - charged / ηc));
+      energy += gridCharge * ηc;
+      charged += gridCharge * ηc;
+      gridImport += gridCharge;
+    }
+
+    state.soc = energy / capacity * 100;
+
+    return {
+      gridImportKwh: gridImport,
+      gridExportKwh: gridExport,
+      chargedKwh: charged,
+      dischargedKwh: discharged,
+      cost: (gridImport * slot.price - gridExport * params.feedInTariff) / 100
+    };
+  }
+
+  // Prices known at a given time: the rest of today, plus tomorrow after 13:00
+  // (when day-ahead prices are published), in the Tibber timezone
+  getVisibleSlots(slots, index) {
+    const timezone = tibberService.config.timezone || 'Europe/Berlin';
+    const now = moment(slots[index].startsAt).tz(timezone);
+    const horizonEnd = now.clone().startOf('day').add(now.hour() >= 13 ? 2 : 1, 'days').toDate();
+
+    const visible = [];
+    for (let i = index; i < slots.length && new Date(slots[i].startsAt) < horizonEnd; i++) {
+      visible.push(slots[i]);
+    }
+    return visible;
+  }
+
+  // Decision for one slot per strategy
+  decide(strategy, slots, index, state, params, context) {
+    const slot = slots[index];
+
+    if (strategy === 'THRESHOLD') {
+      const academic = aiChargingEngine.academicParams;
+      const cheap = slot.price < 0 || slot.price <= academic.optimalChargeThreshold;
+      const allowed = slot.price <= academic.maxPriceThreshold;
+      const targetSoc = params.targetSoc;
+      return { gridCharge: cheap && allowed && state.soc < targetSoc, targetSoc: targetSoc };
+    }
+
+    if (strategy === 'DAY_AHEAD_PLAN') {
+      const visible = this.getVisibleSlots(slots, index);
+      const horizonKey = `${visible.length}|${visible[visible.length - 1].startsAt}`;
+      let planSlot = context.plan ? scheduleOptimizer.getSlotAt(context.plan, new Date(slot.startsAt)) : null;
+
+      // Re-plan when new prices become visible or the battery drifted from the plan
+      if (!planSlot || horizonKey !== context.horizonKey || Math.abs(state.soc - planSlot.startSoc) > 5) {
+        const loadKw = slot.loadKwh / slot.durationHours;
+        const pvKw = slot.pvKwh / slot.durationHours;
+
+        context.plan = scheduleOptimizer.optimize({
+          ...params,
+          forecast: visible.map(s => ({ startsAt: s.startsAt, total: s.price })),
+          now: new Date(slot.startsAt),
+          initialSoc: state.soc,
+          netLoadForecast: visible.map((s, i) => (loadKw - (i === 0 ? pvKw : 0)) * s.durationHours)
+        });
+        context.horizonKey = horizonKey;
+        context.replans++;
+        planSlot = context.plan ? scheduleOptimizer.getSlotAt(context.plan, new Date(slot.startsAt)) : null;
+      }
+
+      if (planSlot && planSlot.action === 'charge' && planSlot.gridCharge) {
+        return { gridCharge: state.soc < planSlot.targetSoc, targetSoc: planSlot.targetSoc };
+      }
+      return { gridCharge: false };
+    }
+
+    // NO_AI baseline: inverter in plain self-consumption
+    return { gridCharge: false };
+  }
+
+  simulate(strategy, history, params) {
+    const state = { soc: history.initialSoc };
+    const context = { plan: null, horizonKey: null, replans: 0 };
+    const totals = {
+      cost: 0,
+      gridImportKwh: 0,
+      gridExportKwh: 0,
+      chargedKwh: 0,
+      dischargedKwh: 0,
+      loadKwh: 0,
+      pvKwh: 0,
+      gridChargeHours: 0
+    };
+    const trace = [];
+
+    history.slots.forEach((slot, index) => {
+      const action = this.decide(strategy, history.slots, index, state, params, context);
+      const result = this.simulateSlot(state, slot, action, params);
+
+      totals.cost += result.cost;
+      totals.gridImportKwh += result.gridImportKwh;
+      totals.gridExportKwh += result.gridExportKwh;
+      totals.chargedKwh += result.chargedKwh;
+      totals.dischargedKwh += result.dischargedKwh;
+      totals.loadKwh += slot.loadKwh;
+      totals.pvKwh += slot.pvKwh;
+      if (action.gridCharge) totals.gridChargeHours += slot.durationHours;
+
+      trace.push({
+        startsAt: slot.startsAt,
+        price: Number(slot.price.toFixed(3)),
+        soc: Number(state.soc.toFixed(1)),
+        gridCharge: !!action.gridCharge,
+        cost: Number(result.cost.toFixed(4))
+      });
+    });
+
+    const selfSufficiency = totals.loadKwh > 0 ?
+      Math.max(0, 1 - totals.gridImportKwh / totals.loadKwh) : 0;
+
+    return {
+      strategy: strategy,
+      description: this.strategies[strategy],
+      metrics: {
+        cost: Number(totals.cost.toFixed(2)),
+        gridImportKwh: Number(totals.gridImportKwh.toFixed(2)),
+        gridExportKwh: Number(totals.gridExportKwh.toFixed(2)),
+        cycles: Number((totals.dischargedKwh / params.batteryCapacity).toFixed(2)),
+        wearCost: Number((totals.dischargedKwh * (params.degradationCost || 0) / 100).toFixed(2)),
+        selfSufficiency: Number((selfSufficiency * 100).toFixed(1)),
+        gridChargeHours: Number(totals.gridChargeHours.toFixed(2)),
+        finalSoc: Number(state.soc.toFixed(1)),
+        replans: context.replans
+      },
+      trace: trace
+    };
+  }
+
+  async run(options = {}) {
+    const fromDate = new Date(options.from);
+    const toDate = new Date(options.to);
+
+    // A plain date as end of range means "including that day"
+    if (/^\d{4}-\d{2}-\d{2}$/.test(options.to)) {
+      toDate.setDate(toDate.getDate() + 1);
+    }
+
+    if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime())) {
+      throw new Error('Invalid date range');
+    }
+    if (fromDate >= toDate) {
+      throw new Error('Start date must be before end date');
+    }
+    if ((toDate - fromDate) / 86400000 > this.maxRangeDays) {
+      throw new Error(`Date range must not exceed ${this.maxRangeDays} days`);
+    }
+    if (this.running) {
+      throw new Error('A backtest is already running');
+    }
+
+    this.running = true;
+
+    try {
+      fromDate.setMinutes(0, 0, 0);
+      const history = await this.loadHistory(fromDate, toDate);
+
+      if (history.slots.length === 0) {
+        throw new Error('No historical load and price data found for the selected range');
+      }
+
+      if (typeof options.initialSoc === 'number') {
+        history.initialSoc = options.initialSoc;
+      }
+
+      const params = {
+        ...aiChargingEngine.getPlannerParams(),
+        targetSoc: options.targetSoc || 80
+      };
+      if (options.batteryCapacity > 0) {
+        params.batteryCapacity = options.batteryCapacity;
+      }
+
+      const requested = (options.strategies || ['THRESHOLD', 'DAY_AHEAD_PLAN'])
+        .filter(name => this.strategies[name] && name !== 'NO_AI');
+
+      const baseline = this.simulate('NO_AI', history, params);
+      const results = requested.map(strategy => {
+        const result = this.simulate(strategy, history, params);
+        result.vsBaseline = {
+          costSavings: Number((baseline.metrics.cost - result.metrics.cost).toFixed(2)),
+          gridImportDelta: Number((result.metrics.gridImportKwh - baseline.metrics.gridImportKwh).toFixed(2)),
+          selfSufficiencyDelta: Number((result.metrics.selfSufficiency - baseline.metrics.selfSufficiency).toFixed(1))
+        };
+        return result;
+      });
+
+      this.lastResult = {
+        createdAt: new Date().toISOString(),
+        range: { from: fromDate.toISOString(), to: toDate.toISOString() },
+        slotCount: history.slots.length,
+        slotMinutes: history.slotMinutes,
+        initialSoc: history.initialSoc,
+        params: params,
+        baseline: baseline,
+        strategies: results
+      };
+
+      console.log(`🧪 Backtest complete: ${history.slots.length} slots of ${history.slotMinutes} min, baseline €${baseline.metrics.cost.toFixed(2)}`);
+      return this.lastResult;
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new BacktestService();
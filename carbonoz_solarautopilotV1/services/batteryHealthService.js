@@ -0,0 +1,355 @@
+// services/batteryHealthService.js
+// Battery state-of-health from the energy counters. The nameplate (Ah × V) says what the battery
+// could store when new; this measures what it stores now. Charge and discharge runs are cut at
+// the SOC turning points, and the net energy of each run (battery_energy_in/out) is divided by
+// its SOC change:
+//   charge capacity    = energy in per 100 % SOC (includes the charging losses)
+//   discharge capacity = energy out per 100 % SOC (after the discharging losses)
+// Their ratio is the round-trip efficiency; the geometric mean is the energy the cells hold.
+// Full and partial cycles are combined weighted by their SOC change. Every run and estimate is
+// written to InfluxDB (ai_battery_cycle, ai_battery_health); once enough SOC range has been
+// measured the engine plans with the measured capacity, and a warning is raised when the fade
+// against the nameplate exceeds the threshold.
+
+const fs = require('fs');
+const path = require('path');
+const aiChargingEngine = require('./aiChargingEngine');
+const influxAIService = require('./influxAIService');
+const warningService = require('./warningService');
+
+const DEFAULT_BATTERY_HEALTH = {
+  enabled: true,
+  // Capacity when new in kWh (null = nameplate of the battery banks, Ah × V)
+  nominalCapacityKwh: null,
+  // Runs with a smaller SOC change are not used (SOC is reported in 1 % steps)
+  minSocDelta: 20,
+  // Latest runs per direction the estimate is built from
+  sampleWindow: 20,
+  // SOC range the discharge runs must cover before the planner uses the measured capacity
+  minTotalSocDelta: 100,
+  // Warn when the capacity has faded this far below the nominal capacity (null = off)
+  fadeWarningPercent: 20
+};
+
+// A run counts as a full cycle from this SOC change
+const FULL_CYCLE_SOC_DELTA = 70;
+// The SOC has to move back this far before a run ends (filters SOC jitter)
+const REVERSAL_SOC_DELTA = 2;
+// Without readings for longer the counters cannot be trusted and the run is dropped
+const MAX_GAP_MS = 30 * 60 * 1000;
+const MAX_CYCLES = 100;
+
+class BatteryHealthService {
+  constructor() {
+    this.configFile = path.join(__dirname, '..', 'data', 'battery_health_config.json');
+    this.config = this.loadConfig();
+    this.lastReading = null;  // { soc, energyIn, energyOut, at }
+    this.segment = null;      // running charge or discharge run
+    this.cycles = [];         // finished runs, newest first
+    this.estimate = null;
+    this.fadeWarning = null;  // { at, fadePercent } while the fade is above the threshold
+    this.fadeRaised = false;  // warning raised for the current fadeWarning
+  }
+
+  loadConfig() {
+    try {
+      if (fs.existsSync(this.configFile)) {
+        const saved = JSON.parse(fs.readFileSync(this.configFile, 'utf8'));
+        return { ...DEFAULT_BATTERY_HEALTH, ...saved };
+      }
+    } catch (error) {
+      console.error('Error loading battery health config:', error.message);
+    }
+    return { ...DEFAULT_BATTERY_HEALTH };
+  }
+
+  saveConfig() {
+    try {
+      fs.writeFileSync(this.configFile, JSON.stringify(this.config, null, 2));
+    } catch (error) {
+      console.error('Error saving battery health config:', error.message);
+    }
+  }
+
+  updateConfig(changes) {
+    const errors = [];
+    const parsed = {};
+    const limits = {
+      nominalCapacityKwh: [1, 1000],
+      minSocDelta: [5, 80],
+      sampleWindow: [3, 100],
+      minTotalSocDelta: [20, 1000],
+      fadeWarningPercent: [5, 50]
+    };
+    const optional = ['nominalCapacityKwh', 'fadeWarningPercent'];
+
+    for (const [key, rawValue] of Object.entries(changes || {})) {
+      const value = Number(rawValue);
+      if (!(key in DEFAULT_BATTERY_HEALTH)) {
+        errors.push(`Unknown setting: ${key}`);
+      } else if (key === 'enabled') {
+        if (typeof rawValue !== 'boolean') errors.push('enabled must be true or false');
+        else parsed.enabled = rawValue;
+      } else if (optional.includes(key) && (rawValue === null || rawValue === '')) {
+        parsed[key] = null;
+      } else if (typeof rawValue === 'boolean' || !Number.isFinite(value) || value < limits[key][0] || value > limits[key][1]) {
+        errors.push(`${key} must be between ${limits[key][0]} and ${limits[key][1]}${optional.includes(key) ? ' (or empty)' : ''}`);
+      } else {
+        parsed[key] = value;
+      }
+    }
+
+    if (errors.length > 0) {
+      const error = new Error(errors.join('; '));
+      error.validationErrors = errors;
+      throw error;
+    }
+
+    this.config = { ...this.config, ...parsed };
+    this.saveConfig();
+    if (!this.config.enabled) {
+      this.segment = null;
+    }
+    this.updateEstimate(false);
+    console.log(`🔋 Battery health estimation ${this.config.enabled ? 'enabled' : 'disabled'}`);
+    return { ...this.config };
+  }
+
+  // Restore the runs measured before a restart
+  async start() {
+    this.cycles = (await influxAIService.getBatteryCycles(MAX_CYCLES)).filter(cycle => cycle.capacityKwh > 0);
+    this.updateEstimate(false);
+    if (this.estimate) {
+      console.log(`🔋 Battery health restored: ${this.estimate.capacityKwh} kWh from ${this.cycles.length} runs`);
+    }
+  }
+
+  // Called for every battery SOC and energy counter message
+  handleReading(state, now = new Date()) {
+    if (!this.config.enabled) return;
+
+    const soc = state?.battery_soc;
+    const energyIn = state?.battery_energy_in;
+    const energyOut = state?.battery_energy_out;
+    if (![soc, energyIn, energyOut].every(value => typeof value === 'number' && !isNaN(value))) return;
+
+    const last = this.lastReading;
+    this.lastReading = { soc, energyIn, energyOut, at: now.toISOString() };
+    if (!last || !this.segment || now - new Date(last.at) > MAX_GAP_MS) {
+      this.segment = this.newSegment(null, soc, now);
+      return;
+    }
+
+    // The counters are daily totals: a lower value means the counter was reset at midnight
+    const deltaIn = energyIn >= last.energyIn ? energyIn - last.energyIn : energyIn;
+    const deltaOut = energyOut >= last.energyOut ? energyOut - last.energyOut : energyOut;
+    this.trackSegment(soc, deltaIn, deltaOut, now);
+  }
+
+  newSegment(direction, soc, now, energyIn = 0, energyOut = 0) {
+    const point = { soc, at: now.toISOString(), energyIn, energyOut };
+    return {
+      direction: direction,
+      startSoc: soc,
+      startAt: point.at,
+      energyIn: energyIn,
+      energyOut: energyOut,
+      extreme: point,      // first reading at the highest (charge) or lowest (discharge) SOC
+      plateauEnd: point    // last reading at that SOC
+    };
+  }
+
+  trackSegment(soc, deltaIn, deltaOut, now) {
+    let segment = this.segment;
+    segment.energyIn += deltaIn;
+    segment.energyOut += deltaOut;
+    const point = { soc, at: now.toISOString(), energyIn: segment.energyIn, energyOut: segment.energyOut };
+
+    // Before the SOC moves the run has no direction; it starts at the last reading at that SOC
+    if (!segment.direction) {
+      if (soc === segment.startSoc) {
+        this.segment = this.newSegment(null, soc, now);
+        return;
+      }
+      segment.direction = soc > segment.startSoc ? 'charge' : 'discharge';
+    }
+
+    const sign = segment.direction === 'charge' ? 1 : -1;
+    const move = (soc - segment.extreme.soc) * sign;
+    if (move > 0) {
+      segment.extreme = point;
+      segment.plateauEnd = point;
+    } else if (move === 0) {
+      segment.plateauEnd = point;
+    } else if (-move >= REVERSAL_SOC_DELTA) {
+      this.closeSegment(segment);
+      // The next run starts where the SOC left the turning point
+      const start = segment.plateauEnd;
+      segment = this.newSegment(
+        segment.direction === 'charge' ? 'discharge' : 'charge',
+        start.soc,
+        new Date(start.at),
+        segment.energyIn - start.energyIn,
+        segment.energyOut - start.energyOut
+      );
+      segment.extreme = { ...point, energyIn: segment.energyIn, energyOut: segment.energyOut };
+      segment.plateauEnd = segment.extreme;
+      this.segment = segment;
+    }
+  }
+
+  // Turn a finished run into a capacity sample
+  closeSegment(segment) {
+    const end = segment.extreme;
+    const socDelta = Math.abs(end.soc - segment.startSoc);
+    if (socDelta < this.config.minSocDelta) return null;
+
+    // Net energy: a charge run can include short discharges and the other way round
+    const energyKwh = segment.direction === 'charge' ?
+      end.energyIn - end.energyOut :
+      end.energyOut - end.energyIn;
+    if (energyKwh <= 0) return null;
+
+    const capacityKwh = energyKwh / socDelta * 100;
+    const nominal = this.getNominalCapacity();
+    if (nominal && (capacityKwh < nominal * 0.3 || capacityKwh > nominal * 1.5)) {
+      console.log(`⚠️ Battery ${segment.direction} run ignored: ${capacityKwh.toFixed(1)} kWh per 100% is implausible for ${nominal} kWh`);
+      return null;
+    }
+
+    const cycle = {
+      direction: segment.direction,
+      start: segment.startAt,
+      end: end.at,
+      startSoc: segment.startSoc,
+      endSoc: end.soc,
+      socDelta: socDelta,
+      energyKwh: Number(energyKwh.toFixed(3)),
+      capacityKwh: Number(capacityKwh.toFixed(2)),
+      full: socDelta >= FULL_CYCLE_SOC_DELTA
+    };
+    this.cycles.unshift(cycle);
+    this.cycles = this.cycles.slice(0, MAX_CYCLES);
+    influxAIService.saveBatteryCycle(cycle);
+    console.log(`🔋 Battery ${cycle.direction} ${cycle.startSoc}% → ${cycle.endSoc}%: ${cycle.energyKwh} kWh = ${cycle.capacityKwh} kWh per 100%`);
+
+    this.updateEstimate(true);
+    return cycle;
+  }
+
+  getNominalCapacity() {
+    if (this.config.nominalCapacityKwh) return this.config.nominalCapacityKwh;
+    const nameplate = aiChargingEngine.getBatteryBanks().totalCapacityKwh;
+    return nameplate > 0 ? nameplate : null;
+  }
+
+  // Capacity per 100 % SOC over the latest runs of one direction, weighted by their SOC change
+  summarize(direction) {
+    const samples = this.cycles.filter(cycle => cycle.direction === direction).slice(0, this.config.sampleWindow);
+    const socDelta = samples.reduce((sum, cycle) => sum + cycle.socDelta, 0);
+    const energyKwh = samples.reduce((sum, cycle) => sum + cycle.energyKwh, 0);
+    return {
+      samples: samples.length,
+      fullCycles: samples.filter(cycle => cycle.full).length,
+      socDelta: socDelta,
+      capacityKwh: socDelta > 0 ? energyKwh / socDelta * 100 : null
+    };
+  }
+
+  getEstimate() {
+    const charge = this.summarize('charge');
+    const discharge = this.summarize('discharge');
+    if (discharge.capacityKwh === null) return null;
+
+    const round = (value, digits = 2) => value !== null ? Number(value.toFixed(digits)) : null;
+    const efficiency = charge.capacityKwh !== null ? Math.min(1, discharge.capacityKwh / charge.capacityKwh) : null;
+    const capacityKwh = charge.capacityKwh !== null ?
+      Math.sqrt(charge.capacityKwh * discharge.capacityKwh) :
+      discharge.capacityKwh;
+    const nominal = this.getNominalCapacity();
+    const soh = nominal ? capacityKwh / nominal * 100 : null;
+
+    return {
+      capacityKwh: round(capacityKwh),
+      chargeCapacityKwh: round(charge.capacityKwh),
+      dischargeCapacityKwh: round(discharge.capacityKwh),
+      efficiency: round(efficiency, 3),
+      nominalCapacityKwh: nominal,
+      sohPercent: round(soh, 1),
+      fadePercent: soh !== null ? round(Math.max(0, 100 - soh), 1) : null,
+      charge: charge.samples,
+      discharge: discharge.samples,
+      fullCycles: charge.fullCycles + discharge.fullCycles,
+      socCovered: discharge.socDelta,
+      reliable: discharge.socDelta >= this.config.minTotalSocDelta,
+      confidence: round(Math.min(0.99, discharge.socDelta / (this.config.minTotalSocDelta * 2)))
+    };
+  }
+
+  // save: write to InfluxDB and warn (false when restoring or after a settings change)
+  updateEstimate(save) {
+    const estimate = this.config.enabled ? this.getEstimate() : null;
+    this.estimate = estimate ? { ...estimate, updatedAt: new Date().toISOString() } : null;
+
+    if (estimate && save) {
+      influxAIService.saveBatteryHealth(estimate);
+    }
+    // The planner works with the measured capacity once enough SOC range has been measured
+    aiChargingEngine.setMeasuredCapacity(estimate?.reliable ? estimate : null);
+    this.checkFade(estimate, save);
+    return this.estimate;
+  }
+
+  checkFade(estimate, raise) {
+    const threshold = this.config.fadeWarningPercent;
+    if (threshold === null || !estimate?.reliable || estimate.fadePercent === null || estimate.fadePercent < threshold) {
+      this.fadeWarning = null;
+      this.fadeRaised = false;
+      return;
+    }
+    if (!this.fadeWarning) {
+      this.fadeWarning = { at: new Date().toISOString(), fadePercent: estimate.fadePercent };
+    }
+    // Restoring or a settings change only shows the fade; the warning follows with the next measured run
+    if (!raise || this.fadeRaised) return;
+    this.fadeRaised = true;
+
+    const warning = warningService.raiseSystemWarning({
+      warningTypeId: 'battery-health',
+      title: 'Battery capacity fade',
+      description: `Measured capacity ${estimate.capacityKwh} kWh is ${estimate.fadePercent}% below the nominal ${estimate.nominalCapacityKwh} kWh (limit ${threshold}%)`,
+      priority: 'medium',
+      triggered: {
+        parameter: 'battery_capacity_fade',
+        value: estimate.fadePercent,
+        threshold: threshold,
+        condition: 'gte'
+      }
+    });
+    if (warning) {
+      console.log(`⚠️ Warning raised: ${warning.title}`);
+    }
+  }
+
+  // Weekly capacity, efficiency and fade from InfluxDB
+  async getHistory(days = 365) {
+    return await influxAIService.getBatteryHealthHistory(days);
+  }
+
+  getStatus() {
+    return {
+      ...this.config,
+      estimate: this.estimate,
+      fadeWarning: this.fadeWarning,
+      running: this.segment && this.segment.direction ? {
+        direction: this.segment.direction,
+        startSoc: this.segment.startSoc,
+        startAt: this.segment.startAt,
+        soc: this.segment.extreme.soc
+      } : null,
+      cycles: this.cycles.slice(0, 20)
+    };
+  }
+}
+
+module.exports = new BatteryHealthService();
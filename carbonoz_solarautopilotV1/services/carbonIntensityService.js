@@ -0,0 +1,270 @@
+// services/carbonIntensityService.js
+// Grid carbon intensity (gCO2eq/kWh) for the hours ahead, used by the carbon-aware charging
+// modes of the AI engine. Data comes from a pluggable source: Electricity Maps (API key and
+// zone from the carbon settings), a local JSON file, or any source added with registerSource().
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const ELECTRICITY_MAPS_URL = 'https://api.electricitymap.org/v3';
+
+class CarbonIntensityService {
+  constructor() {
+    this.configFile = path.join(__dirname, '..', 'data', 'carbon_config.json');
+    this.settingsFile = path.join(__dirname, '..', 'data', 'settings.json');
+    this.config = this.loadConfig();
+    this.sources = {};
+    this.points = [];           // [{ startsAt, endsAt, intensity }] sorted by time
+    this.origin = null;         // forecast | history | file | <custom>
+    this.lastRefresh = null;
+    this.lastError = null;
+    this.refreshPromise = null;
+
+    this.registerSource('electricitymaps', () => this.fetchElectricityMaps());
+    this.registerSource('file', () => this.readFile());
+  }
+
+  loadConfig() {
+    const defaults = {
+      source: 'electricitymaps',  // electricitymaps | file | registered source name
+      file: 'data/carbon_intensity.json',
+      refreshMinutes: 60
+    };
+
+    try {
+      if (fs.existsSync(this.configFile)) {
+        const saved = JSON.parse(fs.readFileSync(this.configFile, 'utf8'));
+        return { ...defaults, ...saved };
+      }
+    } catch (error) {
+      console.error('Error loading carbon config:', error.message);
+    }
+
+    return defaults;
+  }
+
+  saveConfig() {
+    try {
+      fs.writeFileSync(this.configFile, JSON.stringify(this.config, null, 2));
+    } catch (error) {
+      console.error('Error saving carbon config:', error.message);
+    }
+  }
+
+  // A source is an async function returning { points: [{ startsAt, intensity }], origin }
+  registerSource(name, fetchFn) {
+    this.sources[name] = fetchFn;
+  }
+
+  updateConfig(changes) {
+    const errors = [];
+
+    if (changes.source !== undefined && !this.sources[changes.source]) {
+      errors.push(`source must be one of: ${Object.keys(this.sources).join(', ')}`);
+    }
+    if (changes.file !== undefined && (typeof changes.file !== 'string' || changes.file.trim() === '')) {
+      errors.push('file must be a path');
+    }
+    if (changes.refreshMinutes !== undefined) {
+      const minutes = Number(changes.refreshMinutes);
+      if (!Number.isFinite(minutes) || minutes < 5 || minutes > 1440) {
+        errors.push('refreshMinutes must be between 5 and 1440');
+      }
+    }
+
+    if (errors.length > 0) {
+      const error = new Error(errors.join('; '));
+      error.validationErrors = errors;
+      throw error;
+    }
+
+    ['source', 'file', 'refreshMinutes'].forEach(key => {
+      if (changes[key] !== undefined) {
+        this.config[key] = key === 'refreshMinutes' ? Number(changes[key]) : changes[key];
+      }
+    });
+    this.saveConfig();
+    this.lastRefresh = null;
+    return this.config;
+  }
+
+  isStale() {
+    if (!this.lastRefresh) return true;
+    return Date.now() - this.lastRefresh.getTime() > this.config.refreshMinutes * 60000;
+  }
+
+  async ensureFresh() {
+    if (!this.isStale()) return this.points;
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.refresh().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
+  async refresh() {
+    const source = this.sources[this.config.source];
+    this.lastRefresh = new Date();
+
+    if (!source) {
+      this.lastError = `Unknown carbon source "${this.config.source}"`;
+      return this.points;
+    }
+
+    try {
+      const result = await source();
+      const points = this.normalizePoints(result?.points || []);
+      if (points.length > 0) {
+        this.points = points;
+        this.origin = result.origin || this.config.source;
+        this.lastError = null;
+        console.log(`🌍 Carbon intensity updated: ${points.length} points from ${this.config.source} (${this.origin})`);
+      } else {
+        this.lastError = 'Carbon source returned no data';
+      }
+    } catch (error) {
+      this.lastError = error.message;
+      console.error(`❌ Error refreshing carbon intensity from ${this.config.source}:`, error.message);
+    }
+
+    return this.points;
+  }
+
+  // Sort, drop invalid rows and give every point an end (next point or +1h).
+  // Of two rows for the same time the later one wins.
+  normalizePoints(rows) {
+    const byTime = new Map();
+    rows
+      .map(row => ({
+        startsAt: new Date(row.startsAt || row.datetime),
+        intensity: Number(row.intensity ?? row.carbonIntensity)
+      }))
+      .filter(row => !isNaN(row.startsAt.getTime()) && Number.isFinite(row.intensity) && row.intensity >= 0)
+      .forEach(row => byTime.set(row.startsAt.getTime(), row));
+    const sorted = Array.from(byTime.values()).sort((a, b) => a.startsAt - b.startsAt);
+
+    return sorted.map((row, index) => {
+      const next = sorted[index + 1];
+      const end = next ? next.startsAt : new Date(row.startsAt.getTime() + 3600000);
+      return {
+        startsAt: row.startsAt.toISOString(),
+        endsAt: end.toISOString(),
+        intensity: Math.round(row.intensity)
+      };
+    });
+  }
+
+  getElectricityMapsSettings() {
+    try {
+      const settings = JSON.parse(fs.readFileSync(this.settingsFile, 'utf8'));
+      return { apiKey: settings.apiKey, zone: settings.selectedZone };
+    } catch (error) {
+      return { apiKey: null, zone: null };
+    }
+  }
+
+  // Forecast endpoint where the API plan includes it; otherwise yesterday's hourly history
+  // repeated 24 hours later, completed by the latest value
+  async fetchElectricityMaps() {
+    const { apiKey, zone } = this.getElectricityMapsSettings();
+    if (!apiKey || !zone) {
+      throw new Error('Electricity Maps API key or zone not configured');
+    }
+
+    const request = endpoint => axios.get(`${ELECTRICITY_MAPS_URL}/carbon-intensity/${endpoint}`, {
+      params: { zone },
+      headers: { 'auth-token': apiKey },
+      timeout: 10000
+    }).then(response => response.data);
+
+    try {
+      const data = await request('forecast');
+      if (Array.isArray(data.forecast) && data.forecast.length > 0) {
+        return { points: data.forecast, origin: 'forecast' };
+      }
+    } catch (error) {
+      console.log(`ℹ️ Electricity Maps forecast unavailable (${error.response?.status || error.message}), using history`);
+    }
+
+    const [history, latest] = await Promise.all([
+      request('history'),
+      request('latest').catch(() => null)
+    ]);
+
+    const points = (history.history || []).map(row => ({
+      startsAt: new Date(new Date(row.datetime).getTime() + 24 * 3600000),
+      intensity: row.carbonIntensity
+    }));
+    if (latest && typeof latest.carbonIntensity === 'number') {
+      const hour = new Date(latest.datetime || Date.now());
+      hour.setMinutes(0, 0, 0);
+      points.push({ startsAt: hour, intensity: latest.carbonIntensity });
+    }
+
+    return { points, origin: 'history' };
+  }
+
+  // Local file: [{ "datetime": "...", "carbonIntensity": 320 }] or { "forecast": [...] }
+  // ("startsAt"/"intensity" work as well). A file in any other shape is reported, not ignored.
+  async readFile() {
+    const file = path.isAbsolute(this.config.file) ? this.config.file : path.join(__dirname, '..', this.config.file);
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const rows = Array.isArray(data) ? data : (data && (data.forecast || data.history));
+    const format = 'expected [{ "datetime": "2025-01-01T00:00:00Z", "carbonIntensity": 320 }, ...] or { "forecast": [...] }';
+
+    if (!Array.isArray(rows)) {
+      throw new Error(`${this.config.file}: ${format}`);
+    }
+    const invalid = rows.findIndex(row =>
+      !row || isNaN(new Date(row.startsAt || row.datetime).getTime()) || !Number.isFinite(Number(row.intensity ?? row.carbonIntensity))
+    );
+    if (invalid >= 0) {
+      throw new Error(`${this.config.file}: entry ${invalid + 1} has no valid time or intensity, ${format}`);
+    }
+    return { points: rows, origin: 'file' };
+  }
+
+  // Intensity (gCO2eq/kWh) at a point in time, or null without data
+  getIntensityAt(date = new Date()) {
+    const ts = date.getTime();
+    const point = this.points.find(p =>
+      new Date(p.startsAt).getTime() <= ts && new Date(p.endsAt).getTime() > ts
+    );
+    return point ? point.intensity : null;
+  }
+
+  // Average intensity over the next `hours` hours (null without data)
+  getAverageIntensity(hours = 24, from = new Date()) {
+    const start = from.getTime();
+    const end = start + hours * 3600000;
+    const values = this.points
+      .filter(p => new Date(p.endsAt).getTime() > start && new Date(p.startsAt).getTime() < end)
+      .map(p => p.intensity);
+    if (values.length === 0) return null;
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+  }
+
+  getForecast(hours = 48) {
+    const now = Date.now();
+    const end = now + hours * 3600000;
+    return this.points.filter(p => new Date(p.endsAt).getTime() > now && new Date(p.startsAt).getTime() < end);
+  }
+
+  getStatus() {
+    return {
+      available: this.getIntensityAt() !== null,
+      source: this.config.source,
+      sources: Object.keys(this.sources),
+      origin: this.origin,
+      current: this.getIntensityAt(),
+      average24h: this.getAverageIntensity(24),
+      points: this.points.length,
+      lastRefresh: this.lastRefresh ? this.lastRefresh.toISOString() : null,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = new CarbonIntensityService();
@@ -0,0 +1,219 @@
+// services/commandAckService.js
+// Confirms that the inverter actually took a setting published on a .../set topic
+// by watching the matching .../state topic. Unconfirmed commands are re-published
+// with backoff. Each command is logged to ai_commands as pending when it is published and
+// again as confirmed or failed once the outcome is known.
+
+const influxAIService = require('./influxAIService');
+const warningService = require('./warningService');
+const telegramService = require('./telegramService');
+
+class CommandAckService {
+  constructor() {
+    this.config = {
+      timeoutMs: 60 * 1000,        // Time to wait for the state topic after each publish
+      maxRetries: 2,               // Re-publishes before the command is marked failed
+      backoffFactor: 2,            // Each retry waits backoffFactor times longer
+      failureWarningThreshold: 3   // Consecutive failures that raise a warning
+    };
+
+    this.pending = new Map();      // state topic -> pending command
+    this.consecutiveFailures = 0;
+    this.stats = { confirmed: 0, retried: 0, failed: 0 };
+    this.recentFailures = [];
+    this.lastWarningAt = null;
+  }
+
+  getStateTopic(setTopic) {
+    return setTopic.replace(/\/set$/, '/state');
+  }
+
+  // Numbers are compared by value, so a state of "30.0" or "5000.00" confirms "30" / "5000"
+  normalizeValue(value) {
+    const text = String(value).trim().toLowerCase();
+    if (/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/.test(text) && Number.isFinite(Number(text))) {
+      return String(Number(text));
+    }
+    return text;
+  }
+
+  // Start waiting for the acknowledgement of a published command.
+  // options.resend re-publishes the command, options.onFailure runs once it is given up.
+  track(topic, value, options = {}) {
+    if (!topic.endsWith('/set')) {
+      return null;
+    }
+
+    const stateTopic = this.getStateTopic(topic);
+    const previous = this.pending.get(stateTopic);
+    if (previous) {
+      // A newer command for the same setting supersedes the old one
+      clearTimeout(previous.timer);
+    }
+
+    const entry = {
+      topic,
+      stateTopic,
+      value: String(value),
+      inverterId: options.inverterId || null,
+      attempts: 1,
+      sentAt: new Date(),
+      lastSentAt: new Date(),
+      resend: options.resend || null,
+      onFailure: options.onFailure || null,
+      timer: null
+    };
+
+    this.pending.set(stateTopic, entry);
+    this.scheduleTimeout(entry);
+    return entry;
+  }
+
+  scheduleTimeout(entry) {
+    const delay = this.config.timeoutMs * Math.pow(this.config.backoffFactor, entry.attempts - 1);
+    entry.timer = setTimeout(() => this.handleTimeout(entry), delay);
+  }
+
+  // Called from handleMqttMessage for every incoming message
+  handleStateMessage(topic, message) {
+    const entry = this.pending.get(topic);
+    if (!entry) {
+      return false;
+    }
+
+    if (this.normalizeValue(message) !== this.normalizeValue(entry.value)) {
+      // The inverter may still report the previous value until it has applied the change
+      return false;
+    }
+
+    clearTimeout(entry.timer);
+    this.pending.delete(topic);
+    this.consecutiveFailures = 0;
+    this.stats.confirmed++;
+
+    const seconds = ((Date.now() - entry.sentAt.getTime()) / 1000).toFixed(1);
+    console.log(`✅ Command acknowledged: ${entry.topic} = ${entry.value} (${seconds}s, attempt ${entry.attempts})`);
+    influxAIService.saveCommand(entry.topic, entry.value, true, {
+      ack: 'confirmed',
+      attempts: entry.attempts
+    }).catch(error => console.error('❌ Error logging acknowledged command:', error.message));
+    return true;
+  }
+
+  async handleTimeout(entry) {
+    if (this.pending.get(entry.stateTopic) !== entry) {
+      return;
+    }
+
+    if (entry.attempts <= this.config.maxRetries && entry.resend) {
+      entry.attempts++;
+      entry.lastSentAt = new Date();
+      this.stats.retried++;
+      console.log(`🔁 No acknowledgement for ${entry.topic} = ${entry.value}, retrying (attempt ${entry.attempts}/${this.config.maxRetries + 1})`);
+
+      try {
+        entry.resend();
+      } catch (error) {
+        console.error(`❌ Error re-publishing ${entry.topic}:`, error.message);
+      }
+
+      this.scheduleTimeout(entry);
+      return;
+    }
+
+    await this.markFailed(entry);
+  }
+
+  async markFailed(entry) {
+    this.pending.delete(entry.stateTopic);
+    this.consecutiveFailures++;
+    this.stats.failed++;
+
+    const failure = {
+      timestamp: new Date().toISOString(),
+      topic: entry.topic,
+      value: entry.value,
+      inverterId: entry.inverterId,
+      attempts: entry.attempts
+    };
+    this.recentFailures.unshift(failure);
+    this.recentFailures = this.recentFailures.slice(0, 20);
+
+    console.error(`❌ Command not acknowledged after ${entry.attempts} attempt(s): ${entry.topic} = ${entry.value}`);
+
+    await influxAIService.saveCommand(entry.topic, entry.value, false, {
+      ack: 'failed',
+      attempts: entry.attempts
+    });
+
+    if (entry.onFailure) {
+      try {
+        entry.onFailure(failure);
+      } catch (error) {
+        console.error('❌ Error in command failure handler:', error.message);
+      }
+    }
+
+    if (this.consecutiveFailures >= this.config.failureWarningThreshold) {
+      await this.raiseWarning(failure);
+    }
+  }
+
+  async raiseWarning(failure) {
+    const count = this.consecutiveFailures;
+    this.consecutiveFailures = 0;
+    this.lastWarningAt = failure.timestamp;
+
+    const warning = warningService.raiseSystemWarning({
+      warningTypeId: 'ai-command-ack',
+      title: 'Inverter not accepting AI commands',
+      description: `${count} consecutive commands were not confirmed by the inverter. Last: ${failure.topic} = ${failure.value}`,
+      priority: 'high',
+      triggered: {
+        parameter: 'command_failures',
+        value: count,
+        threshold: this.config.failureWarningThreshold,
+        condition: 'gte'
+      }
+    });
+
+    if (warning) {
+      console.log(`⚠️ Warning raised: ${warning.title}`);
+    }
+
+    try {
+      await telegramService.sendAIChargingNotification('commandFailed', {
+        topic: failure.topic,
+        value: failure.value,
+        attempts: failure.attempts,
+        failures: count
+      });
+    } catch (error) {
+      console.error('❌ Error sending command failure notification:', error.message);
+    }
+  }
+
+  clear() {
+    this.pending.forEach(entry => clearTimeout(entry.timer));
+    this.pending.clear();
+  }
+
+  getStatus() {
+    return {
+      config: this.config,
+      pending: Array.from(this.pending.values()).map(entry => ({
+        topic: entry.topic,
+        value: entry.value,
+        inverterId: entry.inverterId,
+        attempts: entry.attempts,
+        sentAt: entry.sentAt.toISOString()
+      })),
+      consecutiveFailures: this.consecutiveFailures,
+      stats: this.stats,
+      recentFailures: this.recentFailures,
+      lastWarningAt: this.lastWarningAt
+    };
+  }
+}
+
+module.exports = new CommandAckService();
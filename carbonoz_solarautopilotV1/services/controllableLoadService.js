@@ -0,0 +1,348 @@
+// services/controllableLoadService.js
+// Deferrable loads (EV charger, immersion heater, ...) switched over MQTT - e.g. the command
+// topic of a Home Assistant MQTT switch or a zigbee2mqtt plug. Each load needs an amount of
+// energy (or run time) by a daily deadline; it is scheduled in the cheapest or PV-surplus
+// price slots before that deadline, and its planned consumption is added to the net load the
+// battery planner works with, so loads and battery charging do not compete for the same hours.
+
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment-timezone');
+const tibberService = require('./tibberService');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MAX_NAME_LENGTH = 60;
+
+const LOAD_DEFAULTS = {
+  name: '',
+  commandTopic: '',
+  payloadOn: 'ON',
+  payloadOff: 'OFF',
+  powerW: 0,
+  // Either the energy needed per cycle or the run time at powerW
+  energyKwh: null,
+  runMinutes: null,
+  // Daily window: the load may run from `from` (optional) until `deadline`
+  from: null,
+  deadline: '07:00',
+  enabled: true
+};
+
+class ControllableLoadService {
+  constructor() {
+    this.configFile = path.join(__dirname, '..', 'data', 'controllable_loads.json');
+    this.runtimeFile = path.join(__dirname, '..', 'data', 'controllable_loads_runtime.json');
+    this.loads = this.loadConfig();
+    // Runtime per load id: { on, cycleDeadline, deliveredKwh, lastUpdate, lastSwitch }.
+    // Kept on disk so a restart during a cycle does not run the load again from zero.
+    this.runtime = this.loadRuntime();
+    this.lastSchedule = null;
+  }
+
+  loadConfig() {
+    try {
+      if (fs.existsSync(this.configFile)) {
+        const saved = JSON.parse(fs.readFileSync(this.configFile, 'utf8'));
+        return (saved.loads || []).map(load => ({ ...LOAD_DEFAULTS, ...load }));
+      }
+    } catch (error) {
+      console.error('Error loading controllable loads:', error.message);
+    }
+    return [];
+  }
+
+  saveConfig() {
+    try {
+      fs.writeFileSync(this.configFile, JSON.stringify({ loads: this.loads }, null, 2));
+    } catch (error) {
+      console.error('Error saving controllable loads:', error.message);
+    }
+  }
+
+  // Energy is not counted for the time the add-on was down: it is unknown whether the load ran
+  loadRuntime() {
+    try {
+      if (fs.existsSync(this.runtimeFile)) {
+        const saved = JSON.parse(fs.readFileSync(this.runtimeFile, 'utf8'));
+        const now = new Date().toISOString();
+        return Object.fromEntries(Object.entries(saved).map(([id, runtime]) => [id, { ...runtime, lastUpdate: now }]));
+      }
+    } catch (error) {
+      console.error('Error loading controllable load runtime:', error.message);
+    }
+    return {};
+  }
+
+  saveRuntime() {
+    try {
+      fs.writeFileSync(this.runtimeFile, JSON.stringify(this.runtime, null, 2));
+    } catch (error) {
+      console.error('Error saving controllable load runtime:', error.message);
+    }
+  }
+
+  getTimezone() {
+    return tibberService.config?.timezone || 'Europe/Berlin';
+  }
+
+  getLoads() {
+    return this.loads.map(load => ({ ...load }));
+  }
+
+  // Changes whenever loads are added, removed or edited (part of the plan signature)
+  getSignature() {
+    return JSON.stringify(this.loads.map(load => [load.id, load.enabled, load.powerW, load.energyKwh, load.runMinutes, load.from, load.deadline]));
+  }
+
+  validate(load, existingId = null) {
+    const errors = [];
+
+    if (typeof load.id !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/i.test(load.id)) {
+      errors.push('id must be letters, digits, - or _');
+    } else if (load.id !== existingId && this.loads.some(other => other.id === load.id)) {
+      errors.push(`A load with id ${load.id} already exists`);
+    }
+    if (typeof load.name !== 'string' || load.name.trim() === '' || load.name.length > MAX_NAME_LENGTH || /[\u0000-\u001f]/.test(load.name)) {
+      errors.push(`name must be a text of 1-${MAX_NAME_LENGTH} characters`);
+    }
+    if (typeof load.commandTopic !== 'string' || load.commandTopic.trim() === '' || /[#+]/.test(load.commandTopic)) {
+      errors.push('commandTopic must be an MQTT topic without wildcards');
+    }
+    if (typeof load.payloadOn !== 'string' || typeof load.payloadOff !== 'string' || load.payloadOn === load.payloadOff) {
+      errors.push('payloadOn and payloadOff must be different texts');
+    }
+    if (!Number.isFinite(load.powerW) || load.powerW <= 0 || load.powerW > 50000) {
+      errors.push('powerW must be between 1 and 50000');
+    }
+    const hasEnergy = load.energyKwh !== null;
+    const hasRunTime = load.runMinutes !== null;
+    if (hasEnergy === hasRunTime) {
+      errors.push('Set either energyKwh or runMinutes');
+    } else if (hasEnergy && (!Number.isFinite(load.energyKwh) || load.energyKwh <= 0 || load.energyKwh > 200)) {
+      errors.push('energyKwh must be between 0 and 200');
+    } else if (hasRunTime && (!Number.isFinite(load.runMinutes) || load.runMinutes <= 0 || load.runMinutes > 1440)) {
+      errors.push('runMinutes must be between 1 and 1440');
+    }
+    if (typeof load.deadline !== 'string' || !TIME_PATTERN.test(load.deadline)) {
+      errors.push('deadline must be HH:MM');
+    }
+    if (load.from !== null && (typeof load.from !== 'string' || !TIME_PATTERN.test(load.from))) {
+      errors.push('from must be HH:MM or null');
+    }
+    if (typeof load.enabled !== 'boolean') {
+      errors.push('enabled must be true or false');
+    }
+
+    if (errors.length > 0) {
+      const error = new Error(errors.join('; '));
+      error.validationErrors = errors;
+      throw error;
+    }
+  }
+
+  // Numbers arrive as text from forms; empty fields mean "not set"
+  parseLoad(changes, base = LOAD_DEFAULTS) {
+    const load = { ...base };
+    for (const key of ['id', ...Object.keys(LOAD_DEFAULTS)]) {
+      if (changes[key] === undefined) continue;
+      const value = changes[key];
+      if (['powerW', 'energyKwh', 'runMinutes'].includes(key)) {
+        load[key] = value === null || value === '' ? null : Number(value);
+      } else if (key === 'from') {
+        load[key] = value === '' ? null : value;
+      } else {
+        load[key] = value;
+      }
+    }
+    if (typeof load.id === 'string') load.id = load.id.trim();
+    if (typeof load.name === 'string') load.name = load.name.trim();
+    if (load.name === '' || load.name === null || load.name === undefined) load.name = load.id;
+    return load;
+  }
+
+  addLoad(changes) {
+    const load = this.parseLoad(changes || {});
+    this.validate(load);
+    this.loads.push(load);
+    this.saveConfig();
+    console.log(`🔌 Controllable load added: ${load.name} (${load.powerW}W, deadline ${load.deadline})`);
+    return { ...load };
+  }
+
+  updateLoad(id, changes) {
+    const index = this.loads.findIndex(load => load.id === id);
+    if (index < 0) return null;
+
+    const load = this.parseLoad({ ...(changes || {}), id: changes?.id ?? id }, this.loads[index]);
+    this.validate(load, id);
+    this.loads[index] = load;
+    if (load.id !== id) {
+      this.runtime[load.id] = this.runtime[id];
+      delete this.runtime[id];
+      this.saveRuntime();
+    }
+    this.saveConfig();
+    return { ...load };
+  }
+
+  removeLoad(id) {
+    const index = this.loads.findIndex(load => load.id === id);
+    if (index < 0) return null;
+
+    const [load] = this.loads.splice(index, 1);
+    const runtime = this.runtime[id] || null;
+    delete this.runtime[id];
+    this.saveConfig();
+    this.saveRuntime();
+    return { ...load, runtime };
+  }
+
+  getRequiredKwh(load) {
+    return load.energyKwh !== null ? load.energyKwh : load.powerW / 1000 * load.runMinutes / 60;
+  }
+
+  // Window of the current cycle: until the next deadline, from `from` (if set) before it
+  getCycle(load, now = new Date()) {
+    const tz = this.getTimezone();
+    const local = moment(now).tz(tz);
+    const [hour, minute] = load.deadline.split(':').map(Number);
+    let deadline = local.clone().set({ hour, minute, second: 0, millisecond: 0 });
+    if (!deadline.isAfter(local)) {
+      deadline = deadline.add(1, 'day');
+    }
+
+    let from = null;
+    if (load.from) {
+      const [fromHour, fromMinute] = load.from.split(':').map(Number);
+      from = deadline.clone().set({ hour: fromHour, minute: fromMinute });
+      if (!from.isBefore(deadline)) {
+        from = from.subtract(1, 'day');
+      }
+    }
+
+    return { from: from ? from.toDate() : null, deadline: deadline.toDate() };
+  }
+
+  getRuntime(load, now = new Date()) {
+    const cycle = this.getCycle(load, now);
+    let runtime = this.runtime[load.id];
+    // A new cycle starts once the previous deadline has passed
+    if (!runtime || runtime.cycleDeadline !== cycle.deadline.toISOString()) {
+      runtime = {
+        on: runtime?.on || false,
+        cycleDeadline: cycle.deadline.toISOString(),
+        deliveredKwh: 0,
+        lastUpdate: now.toISOString(),
+        lastSwitch: runtime?.lastSwitch || null
+      };
+      this.runtime[load.id] = runtime;
+    }
+    return runtime;
+  }
+
+  // Count the energy used while a load was switched on since the last update
+  updateProgress(now = new Date()) {
+    for (const load of this.loads) {
+      const runtime = this.getRuntime(load, now);
+      const hours = Math.max(0, (now - new Date(runtime.lastUpdate)) / 3600000);
+      if (runtime.on) {
+        runtime.deliveredKwh += load.powerW / 1000 * hours;
+      }
+      runtime.lastUpdate = now.toISOString();
+    }
+    this.saveRuntime();
+  }
+
+  // A switch command was sent to the load
+  recordSwitch(load, on, now = new Date()) {
+    const runtime = this.getRuntime(load, now);
+    runtime.on = on;
+    runtime.lastSwitch = now.toISOString();
+    this.saveRuntime();
+    return runtime;
+  }
+
+  // Assign every enabled load to the slots before its deadline, earliest deadline first.
+  // A slot costs the feed-in tariff for the part covered by the expected PV surplus and the
+  // grid price for the rest. netLoadKwh: expected load minus PV per slot (kWh).
+  schedule(slots, netLoadKwh = [], feedInTariff = 0, now = new Date()) {
+    const surplus = slots.map((slot, index) => Math.max(0, -(netLoadKwh[index] || 0)));
+    const slotKwh = slots.map(() => 0);
+    const loads = {};
+
+    const pending = this.loads
+      .filter(load => load.enabled)
+      .map(load => ({ load, cycle: this.getCycle(load, now), runtime: this.getRuntime(load, now) }))
+      .sort((a, b) => a.cycle.deadline - b.cycle.deadline);
+
+    for (const { load, cycle, runtime } of pending) {
+      const requiredKwh = this.getRequiredKwh(load);
+      let remaining = Math.max(0, requiredKwh - runtime.deliveredKwh);
+      const windowStart = Math.max(now.getTime(), cycle.from ? cycle.from.getTime() : 0);
+      const windowEnd = cycle.deadline.getTime();
+
+      const candidates = slots.map((slot, index) => {
+        const start = Math.max(new Date(slot.startsAt).getTime(), windowStart);
+        const end = Math.min(new Date(slot.endsAt).getTime(), windowEnd);
+        const energy = end > start ? load.powerW / 1000 * (end - start) / 3600000 : 0;
+        if (energy <= 0) return null;
+        const solar = Math.min(surplus[index], energy);
+        const cost = (solar * feedInTariff + (energy - solar) * slot.price) / energy;
+        return { index, energy, cost };
+      }).filter(Boolean).sort((a, b) => a.cost - b.cost || a.index - b.index);
+
+      const assigned = [];
+      for (const candidate of candidates) {
+        if (remaining <= 1e-6) break;
+        const take = Math.min(candidate.energy, remaining);
+        surplus[candidate.index] -= Math.min(surplus[candidate.index], take);
+        slotKwh[candidate.index] += take;
+        remaining -= take;
+        assigned.push({ index: candidate.index, kwh: take, cost: candidate.cost });
+      }
+      assigned.sort((a, b) => a.index - b.index);
+
+      loads[load.id] = {
+        requiredKwh: Number(requiredKwh.toFixed(2)),
+        deliveredKwh: Number(runtime.deliveredKwh.toFixed(2)),
+        deadline: cycle.deadline.toISOString(),
+        from: cycle.from ? cycle.from.toISOString() : null,
+        slots: assigned.map(entry => ({
+          startsAt: slots[entry.index].startsAt,
+          endsAt: slots[entry.index].endsAt,
+          kwh: Number(entry.kwh.toFixed(3)),
+          cost: Number(entry.cost.toFixed(2))
+        })),
+        // Energy the window before the deadline cannot provide
+        shortfallKwh: Number(Math.max(0, remaining).toFixed(2))
+      };
+    }
+
+    this.lastSchedule = { createdAt: now.toISOString(), loads };
+    return { loads, slotKwh };
+  }
+
+  // Should the load be on now according to the schedule?
+  shouldRun(load, schedule, now = new Date()) {
+    const entry = schedule.loads[load.id];
+    if (!entry) return false;
+    const ts = now.getTime();
+    return entry.slots.some(slot => new Date(slot.startsAt).getTime() <= ts && new Date(slot.endsAt).getTime() > ts);
+  }
+
+  getStatus() {
+    return this.loads.map(load => {
+      const runtime = this.runtime[load.id] || null;
+      return {
+        ...load,
+        requiredKwh: Number(this.getRequiredKwh(load).toFixed(2)),
+        on: runtime?.on || false,
+        deliveredKwh: runtime ? Number(runtime.deliveredKwh.toFixed(2)) : 0,
+        lastSwitch: runtime?.lastSwitch || null,
+        schedule: this.lastSchedule?.loads[load.id] || null
+      };
+    });
+  }
+}
+
+module.exports = new ControllableLoadService();
@@ -0,0 +1,219 @@
+// services/gridQualityService.js
+// Grid voltage limits per site and a log of grid-quality events. The band the engine accepts
+// for grid charging is the nominal voltage ± tolerance (EN 50160: 230 V ± 10 %), so 120 V,
+// 230 V and 240 V split-phase installs all work. A missing reading is not a fault: 0 V only
+// counts as an outage once the grid has been seen with a valid voltage.
+// Every sag, swell or outage is written to InfluxDB (ai_grid_event) with its duration and the
+// lowest and highest voltage measured while it lasted.
+
+const fs = require('fs');
+const path = require('path');
+const influxAIService = require('./influxAIService');
+
+const DEFAULT_GRID_QUALITY = {
+  // Nominal voltage as reported by the inverter (L-N, or L-L on split-phase 240 V)
+  nominalVoltage: 230,
+  // Accepted band: nominal ± tolerancePercent
+  tolerancePercent: 10,
+  // Below this share of the nominal voltage the grid is considered down
+  outagePercent: 50,
+  // Shorter excursions are treated as measurement noise and not recorded
+  minEventSeconds: 5
+};
+
+const EVENT_LABELS = {
+  sag: 'Voltage sag',
+  swell: 'Voltage swell',
+  outage: 'Grid outage'
+};
+
+const MAX_EVENTS = 50;
+
+class GridQualityService {
+  constructor() {
+    this.configFile = path.join(__dirname, '..', 'data', 'grid_quality_config.json');
+    this.config = this.loadConfig();
+    this.lastReading = null;  // { voltage, status, at }
+    this.lastValidAt = null;  // last reading inside or outside the band, but above 0 V
+    this.event = null;        // running event: { type, start, minVoltage, maxVoltage }
+    this.events = [];         // finished events since start, newest first
+  }
+
+  loadConfig() {
+    try {
+      if (fs.existsSync(this.configFile)) {
+        const saved = JSON.parse(fs.readFileSync(this.configFile, 'utf8'));
+        return { ...DEFAULT_GRID_QUALITY, ...saved };
+      }
+    } catch (error) {
+      console.error('Error loading grid quality config:', error.message);
+    }
+    return { ...DEFAULT_GRID_QUALITY };
+  }
+
+  saveConfig() {
+    try {
+      fs.writeFileSync(this.configFile, JSON.stringify(this.config, null, 2));
+    } catch (error) {
+      console.error('Error saving grid quality config:', error.message);
+    }
+  }
+
+  updateConfig(changes) {
+    const errors = [];
+    const parsed = {};
+    const limits = {
+      nominalVoltage: [100, 480],
+      tolerancePercent: [1, 25],
+      outagePercent: [10, 90],
+      minEventSeconds: [0, 3600]
+    };
+
+    for (const [key, rawValue] of Object.entries(changes || {})) {
+      const value = Number(rawValue);
+      if (!(key in DEFAULT_GRID_QUALITY)) {
+        errors.push(`Unknown setting: ${key}`);
+      } else if (rawValue === null || rawValue === '' || typeof rawValue === 'boolean' || !Number.isFinite(value)) {
+        errors.push(`${key} must be a number`);
+      } else if (value < limits[key][0] || value > limits[key][1]) {
+        errors.push(`${key} must be between ${limits[key][0]} and ${limits[key][1]}`);
+      } else {
+        parsed[key] = value;
+      }
+    }
+
+    const merged = { ...this.config, ...parsed };
+    if (errors.length === 0 && merged.outagePercent >= 100 - merged.tolerancePercent) {
+      errors.push('outagePercent must be below the lower end of the tolerance band');
+    }
+
+    if (errors.length > 0) {
+      const error = new Error(errors.join('; '));
+      error.validationErrors = errors;
+      throw error;
+    }
+
+    this.config = merged;
+    this.saveConfig();
+    const band = this.getBand();
+    console.log(`⚡ Grid voltage band: ${band.low}-${band.high}V (nominal ${this.config.nominalVoltage}V)`);
+    return { ...this.config };
+  }
+
+  getBand() {
+    const { nominalVoltage, tolerancePercent, outagePercent } = this.config;
+    return {
+      low: Math.round(nominalVoltage * (1 - tolerancePercent / 100) * 10) / 10,
+      high: Math.round(nominalVoltage * (1 + tolerancePercent / 100) * 10) / 10,
+      outage: Math.round(nominalVoltage * outagePercent / 100 * 10) / 10
+    };
+  }
+
+  // status: missing, normal, sag, swell or outage. constraint: grid charging must stop.
+  classify(voltage) {
+    const band = this.getBand();
+    const value = typeof voltage === 'number' && !isNaN(voltage) ? voltage : null;
+    let status;
+
+    if (value === null || (value <= 0 && !this.lastValidAt)) {
+      status = 'missing';
+    } else if (value < band.outage) {
+      status = 'outage';
+    } else if (value < band.low) {
+      status = 'sag';
+    } else if (value > band.high) {
+      status = 'swell';
+    } else {
+      status = 'normal';
+    }
+
+    return {
+      status: status,
+      voltage: value,
+      low: band.low,
+      high: band.high,
+      constraint: status !== 'normal' && status !== 'missing'
+    };
+  }
+
+  // Called for every grid_voltage message
+  handleReading(voltage, now = new Date()) {
+    const check = this.classify(voltage);
+    if (check.status === 'missing') return check;
+
+    if (check.voltage > 0) {
+      this.lastValidAt = now.toISOString();
+    }
+    this.lastReading = { voltage: check.voltage, status: check.status, at: now.toISOString() };
+
+    if (this.event && this.event.type !== check.status) {
+      this.closeEvent(now);
+    }
+    if (check.status !== 'normal') {
+      if (!this.event) {
+        this.event = { type: check.status, start: now.toISOString(), minVoltage: check.voltage, maxVoltage: check.voltage };
+        console.log(`⚡ ${EVENT_LABELS[check.status]} started: ${check.voltage}V (band ${check.low}-${check.high}V)`);
+      }
+      this.event.minVoltage = Math.min(this.event.minVoltage, check.voltage);
+      this.event.maxVoltage = Math.max(this.event.maxVoltage, check.voltage);
+    }
+    return check;
+  }
+
+  // The event ends with the first reading outside it; short excursions are dropped
+  closeEvent(now) {
+    const event = this.event;
+    this.event = null;
+
+    const durationSeconds = Math.round((now - new Date(event.start)) / 1000);
+    if (durationSeconds < this.config.minEventSeconds) return null;
+
+    const entry = {
+      ...event,
+      end: now.toISOString(),
+      durationSeconds: durationSeconds,
+      nominalVoltage: this.config.nominalVoltage
+    };
+    this.events.unshift(entry);
+    this.events = this.events.slice(0, MAX_EVENTS);
+    influxAIService.saveGridEvent(entry);
+    console.log(`⚡ ${EVENT_LABELS[event.type]} ended after ${durationSeconds}s (${event.minVoltage}-${event.maxVoltage}V)`);
+    return entry;
+  }
+
+  // Events of the last days from InfluxDB, summarised per type
+  async getReport(days = 30) {
+    const events = await influxAIService.getGridEvents(days);
+    const summary = {};
+
+    for (const type of Object.keys(EVENT_LABELS)) {
+      const ofType = events.filter(event => event.type === type);
+      summary[type] = {
+        label: EVENT_LABELS[type],
+        count: ofType.length,
+        totalSeconds: ofType.reduce((sum, event) => sum + event.durationSeconds, 0),
+        longestSeconds: ofType.reduce((max, event) => Math.max(max, event.durationSeconds), 0),
+        minVoltage: ofType.length > 0 ? Math.min(...ofType.map(event => event.minVoltage)) : null,
+        maxVoltage: ofType.length > 0 ? Math.max(...ofType.map(event => event.maxVoltage)) : null
+      };
+    }
+
+    return {
+      days: days,
+      summary: summary,
+      events: events.slice(0, 20)
+    };
+  }
+
+  getStatus() {
+    return {
+      ...this.config,
+      band: this.getBand(),
+      lastReading: this.lastReading,
+      activeEvent: this.event,
+      events: this.events
+    };
+  }
+}
+
+module.exports = new GridQualityService();
@@ -28,7 +28,7 @@ class InfluxAIService {
     }
   }
 
-  async saveDecision(decision, reasons, systemState, tibberData) {
+  async saveDecision(decision, reasons, systemState, tibberData, options = {}) {
     if (!this.initialized) {
       return false;
     }
@@ -37,7 +37,9 @@ class InfluxAIService {
       measurement: 'ai_decisions',
       tags: {
         decision_type: this.extractDecisionType(decision),
-        source: 'AI_ENGINE'
+        source: 'AI_ENGINE',
+        dry_run: (!!options.dryRun).toString(),
+        inverter: options.inverterId || 'all'
       },
       fields: {
         decision: decision,
@@ -54,11 +56,19 @@ class InfluxAIService {
       timestamp: new Date()
     };
 
+    // Carbon-aware charging: intensity and grams of CO2 avoided by grid charging
+    if (options.carbon) {
+      point.fields.carbon_intensity = options.carbon.intensity;
+      if (typeof options.carbon.co2AvoidedGrams === 'number') {
+        point.fields.co2_avoided = options.carbon.co2AvoidedGrams;
+      }
+    }
+
     this.queueWrite(point);
     return true;
   }
 
-  async saveCommand(topic, value, success = true) {
+  async saveCommand(topic, value, success = true, options = {}) {
     if (!this.initialized) {
       return false;
     }
@@ -68,11 +78,38 @@ class InfluxAIService {
       tags: {
         topic: topic,
         success: success.toString(),
-        source: 'AI_ENGINE'
+        source: 'AI_ENGINE',
+        dry_run: (!!options.dryRun).toString(),
+        ack: options.ack || 'none'
       },
       fields: {
         value: value.toString(),
-        success_flag: success ? 1 : 0
+        success_flag: success ? 1 : 0,
+        attempts: options.attempts || 1
+      },
+      timestamp: new Date()
+    };
+
+    this.queueWrite(point);
+    return true;
+  }
+
+  // Fail-safe watchdog triggers and recoveries
+  async saveWatchdogEvent(trigger, type, reason, options = {}) {
+    if (!this.initialized) {
+      return false;
+    }
+
+    const point = {
+      measurement: 'ai_watchdog',
+      tags: {
+        trigger: trigger,
+        type: type,
+        dry_run: (!!options.dryRun).toString()
+      },
+      fields: {
+        reason: reason,
+        triggered: type === 'triggered' ? 1 : 0
       },
       timestamp: new Date()
     };
@@ -81,6 +118,240 @@ class InfluxAIService {
     return true;
   }
 
+  async getWatchdogEvents(limit = 50) {
+    if (!this.initialized) {
+      return [];
+    }
+
+    try {
+      const result = await this.influx.query(`
+        SELECT * FROM ai_watchdog 
+        ORDER BY time DESC 
+        LIMIT ${limit}
+      `);
+
+      return result.map(row => ({
+        timestamp: row.time,
+        trigger: row.trigger,
+        type: row.type,
+        reason: row.reason,
+        dryRun: row.dry_run === 'true'
+      }));
+    } catch (error) {
+      console.error('Error retrieving watchdog events from InfluxDB:', error.message);
+      return [];
+    }
+  }
+
+  // Demand interval that raised the monthly grid import peak (capacity tariffs)
+  async saveGridPeak(month, averagePower, intervalStart) {
+    if (!this.initialized) {
+      return false;
+    }
+
+    const point = {
+      measurement: 'ai_grid_peak',
+      tags: {
+        month: month
+      },
+      fields: {
+        average_power: averagePower
+      },
+      timestamp: intervalStart
+    };
+
+    this.queueWrite(point);
+    return true;
+  }
+
+  async getMonthlyGridPeaks(months = 12) {
+    if (!this.initialized) {
+      return [];
+    }
+
+    try {
+      const result = await this.influx.query(`
+        SELECT MAX(average_power) AS peak FROM ai_grid_peak 
+        WHERE time > now() - ${Math.ceil(months * 31)}d 
+        GROUP BY month
+      `);
+
+      return result
+        .map(row => ({
+          month: row.month,
+          averagePower: row.peak,
+          at: row.time
+        }))
+        .sort((a, b) => a.month.localeCompare(b.month));
+    } catch (error) {
+      console.error('Error retrieving grid peaks from InfluxDB:', error.message);
+      return [];
+    }
+  }
+
+  // Grid voltage sag, swell or outage, stamped with its start
+  async saveGridEvent(event) {
+    if (!this.initialized) {
+      return false;
+    }
+
+    const point = {
+      measurement: 'ai_grid_event',
+      tags: {
+        type: event.type
+      },
+      fields: {
+        duration_seconds: event.durationSeconds,
+        min_voltage: event.minVoltage,
+        max_voltage: event.maxVoltage,
+        nominal_voltage: event.nominalVoltage
+      },
+      timestamp: new Date(event.start)
+    };
+
+    this.queueWrite(point);
+    return true;
+  }
+
+  async getGridEvents(days = 30) {
+    if (!this.initialized) {
+      return [];
+    }
+
+    try {
+      const result = await this.influx.query(`
+        SELECT * FROM ai_grid_event
+        WHERE time > now() - ${Math.ceil(days)}d
+        ORDER BY time DESC
+        LIMIT 1000
+      `);
+
+      return result.map(row => ({
+        start: row.time,
+        type: row.type,
+        durationSeconds: row.duration_seconds,
+        minVoltage: row.min_voltage,
+        maxVoltage: row.max_voltage,
+        nominalVoltage: row.nominal_voltage
+      }));
+    } catch (error) {
+      console.error('Error retrieving grid events from InfluxDB:', error.message);
+      return [];
+    }
+  }
+
+  // Charge or discharge run measured by the battery health estimator, stamped with its end
+  async saveBatteryCycle(cycle) {
+    if (!this.initialized) {
+      return false;
+    }
+
+    const point = {
+      measurement: 'ai_battery_cycle',
+      tags: {
+        direction: cycle.direction,
+        full: cycle.full.toString()
+      },
+      fields: {
+        start_soc: cycle.startSoc,
+        end_soc: cycle.endSoc,
+        soc_delta: cycle.socDelta,
+        energy_kwh: cycle.energyKwh,
+        capacity_kwh: cycle.capacityKwh
+      },
+      timestamp: new Date(cycle.end)
+    };
+
+    this.queueWrite(point);
+    return true;
+  }
+
+  async getBatteryCycles(limit = 100) {
+    if (!this.initialized) {
+      return [];
+    }
+
+    try {
+      const result = await this.influx.query(`
+        SELECT * FROM ai_battery_cycle
+        ORDER BY time DESC
+        LIMIT ${limit}
+      `);
+
+      return result.map(row => ({
+        direction: row.direction,
+        end: row.time,
+        startSoc: row.start_soc,
+        endSoc: row.end_soc,
+        socDelta: row.soc_delta,
+        energyKwh: row.energy_kwh,
+        capacityKwh: row.capacity_kwh,
+        full: row.full === 'true'
+      }));
+    } catch (error) {
+      console.error('Error retrieving battery cycles from InfluxDB:', error.message);
+      return [];
+    }
+  }
+
+  // Battery state-of-health estimate (capacity, efficiency, fade)
+  async saveBatteryHealth(estimate) {
+    if (!this.initialized) {
+      return false;
+    }
+
+    const fields = {
+      capacity_kwh: estimate.capacityKwh,
+      discharge_capacity_kwh: estimate.dischargeCapacityKwh,
+      soc_covered: estimate.socCovered
+    };
+    // Unknown until charge runs or a nominal capacity are available
+    if (estimate.chargeCapacityKwh !== null) fields.charge_capacity_kwh = estimate.chargeCapacityKwh;
+    if (estimate.efficiency !== null) fields.efficiency = estimate.efficiency;
+    if (estimate.nominalCapacityKwh !== null) fields.nominal_capacity_kwh = estimate.nominalCapacityKwh;
+    if (estimate.sohPercent !== null) fields.soh_percent = estimate.sohPercent;
+    if (estimate.fadePercent !== null) fields.fade_percent = estimate.fadePercent;
+
+    const point = {
+      measurement: 'ai_battery_health',
+      tags: {
+        reliable: estimate.reliable.toString()
+      },
+      fields: fields,
+      timestamp: new Date()
+    };
+
+    this.queueWrite(point);
+    return true;
+  }
+
+  async getBatteryHealthHistory(days = 365) {
+    if (!this.initialized) {
+      return [];
+    }
+
+    try {
+      const result = await this.influx.query(`
+        SELECT LAST(capacity_kwh) AS capacity_kwh, LAST(efficiency) AS efficiency,
+               LAST(soh_percent) AS soh_percent, LAST(fade_percent) AS fade_percent
+        FROM ai_battery_health
+        WHERE time > now() - ${Math.ceil(days)}d
+        GROUP BY time(7d) fill(none)
+      `);
+
+      return result.map(row => ({
+        timestamp: row.time,
+        capacityKwh: row.capacity_kwh,
+        efficiency: row.efficiency,
+        sohPercent: row.soh_percent,
+        fadePercent: row.fade_percent
+      }));
+    } catch (error) {
+      console.error('Error retrieving battery health from InfluxDB:', error.message);
+      return [];
+    }
+  }
+
   async getDecisionHistory(limit = 50) {
     if (!this.initialized) {
       return [];
@@ -110,7 +381,13 @@ class InfluxAIService {
           currentPrice: row.current_price,
           priceLevel: row.price_level,
           averagePrice: row.average_price
-        }
+        },
+        carbon: row.carbon_intensity !== null && row.carbon_intensity !== undefined ? {
+          intensity: row.carbon_intensity,
+          co2AvoidedGrams: row.co2_avoided ?? null
+        } : null,
+        inverterId: row.inverter && row.inverter !== 'all' ? row.inverter : null,
+        dryRun: row.dry_run === 'true'
       }));
     } catch (error) {
       console.error('Error retrieving AI decision history from InfluxDB:', error.message);
@@ -137,6 +414,9 @@ class InfluxAIService {
         topic: row.topic,
         value: row.value,
         success: row.success === 'true',
+        dryRun: row.dry_run === 'true',
+        ack: row.ack || 'none',
+        attempts: row.attempts || 1,
         source: row.source
       }));
     } catch (error) {
@@ -175,7 +455,13 @@ class InfluxAIService {
           currentPrice: row.current_price,
           priceLevel: row.price_level,
           averagePrice: row.average_price
-        }
+        },
+        carbon: row.carbon_intensity !== null && row.carbon_intensity !== undefined ? {
+          intensity: row.carbon_intensity,
+          co2AvoidedGrams: row.co2_avoided ?? null
+        } : null,
+        inverterId: row.inverter && row.inverter !== 'all' ? row.inverter : null,
+        dryRun: row.dry_run === 'true'
       }));
     } catch (error) {
       console.error('Error retrieving AI decisions by time range from InfluxDB:', error.message);
@@ -238,6 +524,32 @@ class InfluxAIService {
     }
   }
 
+  async getStateSeries(topic, fromDate, toDate, interval = '1h', fill = 'previous') {
+    if (!this.initialized) {
+      return [];
+    }
+
+    try {
+      const query = `
+        SELECT mean("value") AS "value" FROM "state" 
+        WHERE "topic" = '${topic}' 
+        AND time >= '${fromDate.toISOString()}' 
+        AND time < '${toDate.toISOString()}'
+        GROUP BY time(${interval}) fill(${fill})
+      `;
+
+      const result = await this.influx.query(query);
+      
+      return result.map(row => ({
+        timestamp: row.time,
+        value: row.value
+      }));
+    } catch (error) {
+      console.error(`Error getting state series for ${topic}:`, error.message);
+      return [];
+    }
+  }
+
   async getTibberPriceDataCount(fromDate) {
     if (!this.initialized) {
       return 0;
@@ -257,27 +569,32 @@ class InfluxAIService {
     }
   }
 
+  // Slot prices (hourly or quarter-hourly) from the stored forecasts; installations that
+  // only have the sampled current prices fall back to tibber_prices
   async getTibberPriceHistory(fromDate, toDate) {
     if (!this.initialized) {
       return [];
     }
 
     try {
-      const query = `
-        SELECT * FROM tibber_prices 
+      const range = `
         WHERE time >= '${fromDate.toISOString()}' 
         AND time <= '${toDate.toISOString()}'
         ORDER BY time ASC
       `;
 
-      const result = await this.influx.query(query);
+      let result = await this.influx.query(`SELECT * FROM tibber_forecast ${range}`);
+      if (result.length === 0) {
+        result = await this.influx.query(`SELECT * FROM tibber_prices ${range}`);
+      }
       
       return result.map(row => ({
         timestamp: row.time,
         price: row.total || row.energy || 0,
         currency: row.currency,
         level: row.level,
-        tax: row.tax
+        tax: row.tax,
+        durationMinutes: row.duration_minutes || null
       }));
     } catch (error) {
       console.error('Error getting Tibber price history:', error.message);
@@ -0,0 +1,158 @@
+// services/inverterTimerService.js
+// Turns the day-ahead plan into the inverter's own time-of-use table (six time points, each
+// with a start time, a SOC target and a grid-charge flag). Written to the inverter, the table
+// keeps following the plan when the add-on, Home Assistant or the MQTT broker is down.
+//
+// A time point runs from its time until the next point (the last one until the first, the
+// table repeats daily). With grid charge on, the inverter charges from the grid up to the SOC
+// target; with grid charge off, the battery is not discharged below the SOC target.
+
+const moment = require('moment-timezone');
+
+class InverterTimerService {
+  // Build the table for the 24 hours from the running plan slot.
+  // options: { now, timezone, points (6), minSoc (SOC target beyond the plan) }
+  buildProgram(plan, options = {}) {
+    if (!plan || !Array.isArray(plan.slots) || plan.slots.length === 0) return null;
+
+    const now = options.now || new Date();
+    const points = options.points || 6;
+    const minSoc = options.minSoc ?? 10;
+    const timezone = options.timezone || 'Europe/Berlin';
+
+    const first = plan.slots.find(slot => new Date(slot.endsAt) > now);
+    if (!first) return null;
+    const start = new Date(first.startsAt).getTime();
+    const end = start + 24 * 3600000;
+
+    let segments = plan.slots
+      .filter(slot => new Date(slot.startsAt).getTime() >= start && new Date(slot.startsAt).getTime() < end)
+      .map(slot => this.toSegment(slot, minSoc, end));
+
+    // Beyond the plan the battery is used normally (no grid charging, down to minSoc)
+    const planEnd = segments[segments.length - 1].end;
+    if (planEnd < end) {
+      segments.push({ start: planEnd, end: end, gridCharge: false, soc: minSoc });
+    }
+
+    segments = this.mergeEqual(segments);
+    while (segments.length > points) {
+      segments = this.mergeCheapest(segments);
+    }
+    // The table repeats daily: the last point continues into the first
+    const wrapped = segments.length > 1 && this.sameSettings(segments[0], segments[segments.length - 1]);
+    if (wrapped) {
+      segments.shift();
+    }
+
+    // The program is identified by the plan's change points only. The window start and the
+    // padding points below move with the clock and would otherwise cause a rewrite every slot.
+    const key = JSON.stringify(segments.map((segment, index) => [
+      index === 0 && !wrapped ? null : segment.start,
+      segment.gridCharge,
+      Math.round(segment.soc)
+    ]));
+
+    while (segments.length < points) {
+      segments = this.splitLongest(segments);
+    }
+
+    const timePoints = segments
+      .map(segment => ({
+        time: moment(segment.start).tz(timezone).format('HH:mm'),
+        soc: Math.round(segment.soc),
+        gridCharge: segment.gridCharge,
+        startsAt: new Date(segment.start).toISOString(),
+        endsAt: new Date(segment.end).toISOString()
+      }))
+      .sort((a, b) => a.time.localeCompare(b.time))
+      .map((point, index) => ({ point: index + 1, ...point }));
+
+    return {
+      createdAt: now.toISOString(),
+      planCreatedAt: plan.createdAt,
+      key: key,
+      points: timePoints
+    };
+  }
+
+  // Grid-charge slots aim at the SOC at their end; other slots hold the battery at the
+  // lowest SOC the plan lets it reach
+  toSegment(slot, minSoc, horizonEnd) {
+    const gridCharge = slot.action === 'charge' && !!slot.gridCharge;
+    const floor = Math.max(minSoc, slot.reserveSoc || 0);
+    return {
+      start: new Date(slot.startsAt).getTime(),
+      end: Math.min(new Date(slot.endsAt).getTime(), horizonEnd),
+      gridCharge: gridCharge,
+      soc: gridCharge ? slot.targetSoc : Math.max(floor, Math.min(slot.startSoc, slot.targetSoc))
+    };
+  }
+
+  sameSettings(a, b) {
+    return a.gridCharge === b.gridCharge && Math.round(a.soc) === Math.round(b.soc);
+  }
+
+  // Neighbouring slots with the same settings - and consecutive grid-charge slots, which
+  // simply charge to the last target - become one time point
+  mergeEqual(segments) {
+    return segments.reduce((merged, segment) => {
+      const previous = merged[merged.length - 1];
+      if (previous && (this.sameSettings(previous, segment) || (previous.gridCharge && segment.gridCharge))) {
+        previous.end = segment.end;
+        previous.soc = Math.max(previous.soc, segment.soc);
+      } else {
+        merged.push({ ...segment });
+      }
+      return merged;
+    }, []);
+  }
+
+  // Join the two neighbours whose settings differ least. Joined grid-charge points charge to
+  // the higher target; otherwise the lower SOC target is kept so no planned discharge is lost.
+  mergeCheapest(segments) {
+    let best = null;
+    for (let i = 0; i < segments.length - 1; i++) {
+      const a = segments[i];
+      const b = segments[i + 1];
+      const cost = (a.gridCharge !== b.gridCharge ? 1000 : 0) + Math.abs(a.soc - b.soc);
+      const duration = b.end - a.start;
+      if (!best || cost < best.cost || (cost === best.cost && duration < best.duration)) {
+        best = { index: i, cost, duration };
+      }
+    }
+
+    const a = segments[best.index];
+    const b = segments[best.index + 1];
+    const gridCharge = a.gridCharge === b.gridCharge ? a.gridCharge :
+      (a.end - a.start >= b.end - b.start ? a.gridCharge : b.gridCharge);
+    const socs = [a, b].filter(segment => segment.gridCharge === gridCharge).map(segment => segment.soc);
+    const merged = {
+      start: a.start,
+      end: b.end,
+      gridCharge: gridCharge,
+      soc: gridCharge ? Math.max(...socs) : Math.min(...socs)
+    };
+
+    return [...segments.slice(0, best.index), merged, ...segments.slice(best.index + 2)];
+  }
+
+  // Fewer changes than time points: the longest point is split (same settings, on a quarter hour)
+  splitLongest(segments) {
+    let index = 0;
+    segments.forEach((segment, i) => {
+      if (segment.end - segment.start > segments[index].end - segments[index].start) index = i;
+    });
+
+    const segment = segments[index];
+    const middle = segment.start + Math.round((segment.end - segment.start) / 2 / 900000) * 900000;
+    return [
+      ...segments.slice(0, index),
+      { ...segment, end: middle },
+      { ...segment, start: middle },
+      ...segments.slice(index + 1)
+    ];
+  }
+}
+
+module.exports = new InverterTimerService();
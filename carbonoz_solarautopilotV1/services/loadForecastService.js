@@ -0,0 +1,238 @@
+// services/loadForecastService.js
+// Household load forecast learned from the load_power history in the InfluxDB "state" measurement.
+// One profile per hour of the week, recent weeks weighted higher; public holidays use the Sunday
+// profile and a level factor from the last days follows seasonal changes.
+
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment-timezone');
+const influxAIService = require('./influxAIService');
+const tibberService = require('./tibberService');
+
+const HOURS_PER_WEEK = 168;
+const Z_80 = 1.2816; // 10th/90th percentile of a normal distribution
+
+class LoadForecastService {
+  constructor() {
+    this.configFile = path.join(__dirname, '..', 'data', 'load_forecast_config.json');
+    this.config = this.loadConfig();
+    this.topic = null;
+    this.profile = null;      // 168 hour-of-week buckets
+    this.levelFactor = 1;
+    this.lastRefresh = null;
+    this.sampleCount = 0;
+    this.refreshPromise = null;
+  }
+
+  loadConfig() {
+    const defaults = {
+      historyDays: 56,            // Weeks of history the profile is learned from
+      halfLifeDays: 14,           // Weight of a sample halves every halfLifeDays
+      levelDays: 7,               // Recent days compared against the profile for seasonality
+      minLevelFactor: 0.7,
+      maxLevelFactor: 1.3,
+      refreshMinutes: 60,
+      minSamplesPerHour: 2,
+      // Recurring (MM-DD) or one-off (YYYY-MM-DD) days that follow the Sunday profile
+      holidays: ['01-01', '05-01', '12-25', '12-26']
+    };
+
+    try {
+      if (fs.existsSync(this.configFile)) {
+        const saved = JSON.parse(fs.readFileSync(this.configFile, 'utf8'));
+        return { ...defaults, ...saved };
+      }
+    } catch (error) {
+      console.error('Error loading load forecast config:', error.message);
+    }
+
+    return defaults;
+  }
+
+  getTimezone() {
+    return tibberService.config?.timezone || 'Europe/Berlin';
+  }
+
+  setTopicPrefix(prefix) {
+    const topic = `${prefix}/total/load_power/state`;
+    if (topic !== this.topic) {
+      this.topic = topic;
+      this.profile = null;
+      this.lastRefresh = null;
+    }
+  }
+
+  isHoliday(time) {
+    return this.config.holidays.includes(time.format('MM-DD')) ||
+      this.config.holidays.includes(time.format('YYYY-MM-DD'));
+  }
+
+  // Hour-of-week bucket (0 = Sunday 00:00); holidays are treated as Sundays
+  getBucket(date) {
+    const time = moment(date).tz(this.getTimezone());
+    const day = this.isHoliday(time) ? 0 : time.day();
+    return day * 24 + time.hour();
+  }
+
+  isStale() {
+    if (!this.lastRefresh) return true;
+    return Date.now() - this.lastRefresh.getTime() > this.config.refreshMinutes * 60000;
+  }
+
+  async ensureFresh() {
+    if (!this.isStale()) return this.profile;
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.refresh().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
+  // Learn the hour-of-week profile from the load history
+  async refresh() {
+    if (!this.topic) {
+      return null;
+    }
+
+    const now = new Date();
+    const fromDate = new Date(now.getTime() - this.config.historyDays * 86400000);
+    const series = await influxAIService.getStateSeries(this.topic, fromDate, now, '1h', 'none');
+
+    // A failed or empty query keeps the last profile and is retried on the next call
+    const samples = series.filter(point => typeof point.value === 'number' && point.value >= 0);
+    if (samples.length === 0) {
+      console.warn('⚠️ Load forecast: no load history returned, keeping the previous profile');
+      return this.profile;
+    }
+    this.lastRefresh = now;
+
+    const decay = Math.LN2 / (this.config.halfLifeDays * 86400000);
+    const buckets = Array.from({ length: HOURS_PER_WEEK }, () => ({ weight: 0, sum: 0, sumSquares: 0, count: 0 }));
+
+    for (const point of samples) {
+      const timestamp = new Date(point.timestamp);
+      const weight = Math.exp(-decay * (now.getTime() - timestamp.getTime()));
+      const bucket = buckets[this.getBucket(timestamp)];
+      bucket.weight += weight;
+      bucket.sum += weight * point.value;
+      bucket.sumSquares += weight * point.value * point.value;
+      bucket.count++;
+    }
+
+    // Hours without enough history borrow the average of the same hour on other days
+    const hourly = Array.from({ length: 24 }, () => ({ weight: 0, sum: 0, sumSquares: 0, count: 0 }));
+    buckets.forEach((bucket, index) => {
+      const hour = hourly[index % 24];
+      hour.weight += bucket.weight;
+      hour.sum += bucket.sum;
+      hour.sumSquares += bucket.sumSquares;
+      hour.count += bucket.count;
+    });
+
+    this.profile = buckets.map((bucket, index) => {
+      const source = bucket.count >= this.config.minSamplesPerHour ? bucket : hourly[index % 24];
+      if (source.weight === 0) {
+        return null;
+      }
+      const mean = source.sum / source.weight;
+      const variance = Math.max(0, source.sumSquares / source.weight - mean * mean);
+      return {
+        mean: mean,
+        stdDev: Math.sqrt(variance),
+        samples: bucket.count
+      };
+    });
+
+    this.levelFactor = this.calculateLevelFactor(samples, now);
+    this.sampleCount = samples.length;
+
+    console.log(`📈 Load forecast updated from ${samples.length} hourly samples (level factor ${this.levelFactor.toFixed(2)})`);
+    return this.profile;
+  }
+
+  // Ratio of the recent load to what the profile expects for the same hours
+  calculateLevelFactor(samples, now) {
+    const since = now.getTime() - this.config.levelDays * 86400000;
+    let actual = 0;
+    let expected = 0;
+
+    for (const point of samples) {
+      const timestamp = new Date(point.timestamp);
+      if (timestamp.getTime() < since) continue;
+      const bucket = this.profile[this.getBucket(timestamp)];
+      if (!bucket) continue;
+      actual += point.value;
+      expected += bucket.mean;
+    }
+
+    if (expected <= 0) return 1;
+    return Math.min(this.config.maxLevelFactor, Math.max(this.config.minLevelFactor, actual / expected));
+  }
+
+  // Expected load (W) for the hour containing `date`, or null without history
+  getExpectedLoad(date) {
+    if (!this.profile) return null;
+    const bucket = this.profile[this.getBucket(date)];
+    return bucket ? bucket.mean * this.levelFactor : null;
+  }
+
+  // Hourly forecast with an 80% confidence band. Without history the current load is repeated.
+  async getForecast(hours = 48, currentLoad = null) {
+    await this.ensureFresh();
+
+    const start = moment().tz(this.getTimezone()).startOf('hour');
+    const points = [];
+
+    for (let i = 0; i < hours; i++) {
+      const slotStart = start.clone().add(i, 'hours');
+      const bucket = this.profile ? this.profile[this.getBucket(slotStart.toDate())] : null;
+      const holiday = this.isHoliday(slotStart);
+
+      let expected;
+      let band;
+      if (bucket) {
+        expected = bucket.mean * this.levelFactor;
+        band = Z_80 * bucket.stdDev * this.levelFactor;
+      } else {
+        expected = currentLoad || 0;
+        band = expected * 0.5;
+      }
+
+      points.push({
+        startsAt: slotStart.toISOString(),
+        endsAt: slotStart.clone().add(1, 'hour').toISOString(),
+        expected: Math.round(expected),
+        lower: Math.round(Math.max(0, expected - band)),
+        upper: Math.round(expected + band),
+        holiday: holiday,
+        samples: bucket ? bucket.samples : 0
+      });
+    }
+
+    const totalKwh = points.reduce((sum, point) => sum + point.expected, 0) / 1000;
+
+    return {
+      source: this.profile ? 'history' : 'persistence',
+      generatedAt: new Date().toISOString(),
+      lastRefresh: this.lastRefresh ? this.lastRefresh.toISOString() : null,
+      timezone: this.getTimezone(),
+      sampleCount: this.sampleCount,
+      levelFactor: Number(this.levelFactor.toFixed(3)),
+      totalKwh: Number(totalKwh.toFixed(2)),
+      points: points
+    };
+  }
+
+  getStatus() {
+    return {
+      available: !!this.profile,
+      topic: this.topic,
+      lastRefresh: this.lastRefresh ? this.lastRefresh.toISOString() : null,
+      sampleCount: this.sampleCount,
+      levelFactor: Number(this.levelFactor.toFixed(3))
+    };
+  }
+}
+
+module.exports = new LoadForecastService();
@@ -0,0 +1,329 @@
+// services/peakShavingService.js
+// Peak shaving for small main fuses and capacity-based grid tariffs. Every grid_power / load_power
+// message is checked against the import limit - not only the engine's evaluations - and close to
+// the limit the battery is discharged into the load and grid charging is stopped until the
+// household demand has dropped again.
+// Import is also averaged per demand interval (15 min by default, aligned to the clock) to track
+// the monthly peak a capacity tariff bills; every new monthly peak is written to InfluxDB.
+
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment-timezone');
+const aiChargingEngine = require('./aiChargingEngine');
+const tibberService = require('./tibberService');
+const influxAIService = require('./influxAIService');
+
+const DEFAULT_PEAK_SHAVING = {
+  enabled: false,
+  // Import limit in W: the main fuse (3 × 25 A ≈ 17 kW) or the capacity-tariff target
+  maxImportPower: 11000,
+  // Shaving starts at triggerFactor × limit and ends when the demand is below releaseFactor × limit
+  triggerFactor: 0.9,
+  releaseFactor: 0.75,
+  // The battery is not discharged below this SOC; grid charging is still stopped
+  minSoc: 20,
+  // Shaving continues at least this long after import was last above the trigger
+  minHoldSeconds: 120,
+  // Averaging interval of the capacity tariff
+  demandIntervalMinutes: 15
+};
+
+const DEMAND_INTERVALS = [15, 30, 60];
+const MAX_EVENTS = 50;
+
+class PeakShavingService {
+  constructor() {
+    this.configFile = path.join(__dirname, '..', 'data', 'peak_shaving_config.json');
+    this.config = this.loadConfig();
+    this.active = null;     // { since, discharge, peakW, lastAboveAt }
+    this.lastImport = null; // { power, demand, at }
+    this.demand = null;     // running demand interval
+    this.lastInterval = null;
+    this.monthPeak = null;  // { month, averagePower, at }
+    this.events = [];       // shaving starts and ends, newest first
+    this.busy = false;
+  }
+
+  loadConfig() {
+    try {
+      if (fs.existsSync(this.configFile)) {
+        const saved = JSON.parse(fs.readFileSync(this.configFile, 'utf8'));
+        return { ...DEFAULT_PEAK_SHAVING, ...saved };
+      }
+    } catch (error) {
+      console.error('Error loading peak shaving config:', error.message);
+    }
+    return { ...DEFAULT_PEAK_SHAVING };
+  }
+
+  saveConfig() {
+    try {
+      fs.writeFileSync(this.configFile, JSON.stringify(this.config, null, 2));
+    } catch (error) {
+      console.error('Error saving peak shaving config:', error.message);
+    }
+  }
+
+  updateConfig(changes) {
+    const errors = [];
+    const parsed = {};
+    const limits = {
+      maxImportPower: [500, 100000],
+      triggerFactor: [0.5, 1],
+      releaseFactor: [0.3, 1],
+      minSoc: [0, 100],
+      minHoldSeconds: [0, 3600]
+    };
+
+    for (const [key, rawValue] of Object.entries(changes || {})) {
+      const value = Number(rawValue);
+      if (!(key in DEFAULT_PEAK_SHAVING)) {
+        errors.push(`Unknown setting: ${key}`);
+      } else if (key === 'enabled') {
+        if (typeof rawValue !== 'boolean') errors.push('enabled must be true or false');
+        else parsed.enabled = rawValue;
+      } else if (key === 'demandIntervalMinutes') {
+        if (!DEMAND_INTERVALS.includes(value)) errors.push(`demandIntervalMinutes must be one of ${DEMAND_INTERVALS.join(', ')}`);
+        else parsed[key] = value;
+      } else if (rawValue === null || rawValue === '' || typeof rawValue === 'boolean' || !Number.isFinite(value)) {
+        errors.push(`${key} must be a number`);
+      } else if (value < limits[key][0] || value > limits[key][1]) {
+        errors.push(`${key} must be between ${limits[key][0]} and ${limits[key][1]}`);
+      } else {
+        parsed[key] = value;
+      }
+    }
+
+    const merged = { ...this.config, ...parsed };
+    if (errors.length === 0 && merged.releaseFactor >= merged.triggerFactor) {
+      errors.push('releaseFactor must be below triggerFactor');
+    }
+
+    if (errors.length > 0) {
+      const error = new Error(errors.join('; '));
+      error.validationErrors = errors;
+      throw error;
+    }
+
+    if (merged.demandIntervalMinutes !== this.config.demandIntervalMinutes) {
+      this.demand = null;
+    }
+    this.config = merged;
+    this.saveConfig();
+    console.log(`📉 Peak shaving ${this.config.enabled ? `enabled (limit ${this.config.maxImportPower}W)` : 'disabled'}`);
+    return { ...this.config };
+  }
+
+  // Restore this month's peak after a restart
+  async start() {
+    const month = moment().tz(this.getTimezone()).format('YYYY-MM');
+    const peaks = await influxAIService.getMonthlyGridPeaks(1);
+    const current = peaks.find(peak => peak.month === month);
+    if (current && (!this.monthPeak || current.averagePower > this.monthPeak.averagePower)) {
+      this.monthPeak = {
+        month: current.month,
+        averagePower: current.averagePower,
+        at: new Date(current.at).toISOString()
+      };
+    }
+  }
+
+  getTimezone() {
+    return tibberService.config?.timezone || 'Europe/Berlin';
+  }
+
+  // Grid import (W, export = 0): grid_power, or load minus PV when no grid meter is published
+  getImport(state) {
+    if (typeof state?.grid_power === 'number' && !isNaN(state.grid_power)) {
+      return Math.max(0, state.grid_power);
+    }
+    return this.getDemand(state);
+  }
+
+  // What the household would draw from the grid without the battery (load minus PV)
+  getDemand(state) {
+    if (typeof state?.load !== 'number' || isNaN(state.load)) return null;
+    const pv = typeof state.pv_power === 'number' && !isNaN(state.pv_power) ? state.pv_power : 0;
+    return Math.max(0, state.load - pv);
+  }
+
+  // Called for every grid_power and load_power message
+  handleMeasurement(state, now = new Date()) {
+    const power = this.getImport(state);
+    if (power === null) return;
+
+    this.lastImport = { power: power, demand: this.getDemand(state), at: now.toISOString() };
+    this.trackDemand(power, now);
+    this.check(now).catch(error => console.error('❌ Peak shaving check failed:', error.message));
+  }
+
+  async check(now = new Date()) {
+    if (this.busy) return;
+    this.busy = true;
+
+    try {
+      const config = this.config;
+      // Only while the engine controls the inverters
+      if (!config.enabled || !aiChargingEngine.enabled) {
+        if (this.active) {
+          await this.release(!config.enabled ? 'Peak shaving switched off' : 'AI engine stopped');
+        }
+        return;
+      }
+      if (!this.lastImport) return;
+
+      const { power } = this.lastImport;
+      const triggerW = config.maxImportPower * config.triggerFactor;
+      const releaseW = config.maxImportPower * config.releaseFactor;
+      const soc = aiChargingEngine.getSystemSoc();
+      const canDischarge = typeof soc === 'number' && !isNaN(soc) && soc > config.minSoc;
+
+      if (power >= triggerW) {
+        if (!this.active || this.active.discharge !== canDischarge) {
+          await this.activate(power, soc, canDischarge, now);
+        }
+        this.active.peakW = Math.max(this.active.peakW, power);
+        this.active.lastAboveAt = now.toISOString();
+      } else if (this.active) {
+        // While the battery covers the load, import is low; the demand without it decides
+        const demand = this.lastImport.demand ?? power;
+        const heldMs = now - new Date(this.active.lastAboveAt);
+        if (this.active.discharge && !canDischarge) {
+          await this.activate(power, soc, false, now);
+        } else if (demand <= releaseW && heldMs >= config.minHoldSeconds * 1000) {
+          await this.release(`Demand ${Math.round(demand)}W below ${Math.round(releaseW)}W`);
+        }
+      }
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  async activate(power, soc, discharge, now) {
+    const limit = this.config.maxImportPower;
+    const reasons = [
+      `PEAK SHAVING: Grid import ${Math.round(power)}W at ${Math.round(power / limit * 100)}% of the ${limit}W limit`,
+      discharge ?
+        `Battery discharging into the load (SOC ${soc}%), grid charging stopped` :
+        `Battery at ${this.config.minSoc}% minimum SOC - only grid charging stopped`
+    ];
+
+    if (!this.active) {
+      this.recordEvent('started', reasons[0]);
+    }
+    this.active = {
+      since: this.active?.since || now.toISOString(),
+      discharge: discharge,
+      peakW: Math.max(this.active?.peakW || 0, power),
+      lastAboveAt: now.toISOString()
+    };
+    console.log(`📉 ${reasons.join(' - ')}`);
+    await aiChargingEngine.applyPeakShaving(reasons, discharge);
+  }
+
+  async release(reason) {
+    this.recordEvent('released', `${reason} (peak ${Math.round(this.active.peakW)}W)`);
+    this.active = null;
+    await aiChargingEngine.clearPeakShaving();
+  }
+
+  recordEvent(type, reason) {
+    this.events.unshift({ timestamp: new Date().toISOString(), type, reason });
+    this.events = this.events.slice(0, MAX_EVENTS);
+    console.log(`📉 Peak shaving ${type}: ${reason}`);
+  }
+
+  // Demand interval containing `now`, aligned to the local clock
+  getDemandInterval(now) {
+    const length = this.config.demandIntervalMinutes * 60000;
+    const hour = moment(now).tz(this.getTimezone()).startOf('hour').valueOf();
+    const start = hour + Math.floor((now.getTime() - hour) / length) * length;
+    return { start, end: start + length };
+  }
+
+  // Energy-weighted import per demand interval; each reading is held until the next one
+  trackDemand(power, now) {
+    const ts = now.getTime();
+    const { start, end } = this.getDemandInterval(now);
+    let demand = this.demand;
+
+    if (demand && demand.start !== start) {
+      // A reading older than one interval means the data stopped - the interval is not counted
+      const contiguous = ts - demand.lastTs < end - start;
+      if (contiguous) {
+        demand.energyWs += demand.lastImport * (demand.end - demand.lastTs) / 1000;
+        this.closeDemandInterval(demand);
+      }
+      demand = contiguous && demand.end === start ?
+        { start, end, from: start, energyWs: 0, lastTs: start, lastImport: demand.lastImport } : null;
+    }
+    if (!demand) {
+      demand = { start, end, from: ts, energyWs: 0, lastTs: ts, lastImport: power };
+    }
+
+    demand.energyWs += demand.lastImport * (ts - demand.lastTs) / 1000;
+    demand.lastTs = ts;
+    demand.lastImport = power;
+    this.demand = demand;
+  }
+
+  getAverage(demand, until = demand.lastTs) {
+    const seconds = (until - demand.from) / 1000;
+    return seconds > 0 ? demand.energyWs / seconds : demand.lastImport;
+  }
+
+  // Finished interval: raise the monthly peak when its average is higher. Intervals with
+  // readings for less than half of their length (e.g. after a restart) are not counted.
+  closeDemandInterval(demand) {
+    if (demand.end - demand.from < (demand.end - demand.start) / 2) return;
+
+    const averagePower = Math.round(this.getAverage(demand, demand.end));
+    const month = moment(demand.start).tz(this.getTimezone()).format('YYYY-MM');
+    this.lastInterval = {
+      start: new Date(demand.start).toISOString(),
+      end: new Date(demand.end).toISOString(),
+      averagePower: averagePower
+    };
+
+    if (!this.monthPeak || this.monthPeak.month !== month || averagePower > this.monthPeak.averagePower) {
+      this.monthPeak = { month, averagePower, at: this.lastInterval.start };
+      influxAIService.saveGridPeak(month, averagePower, new Date(demand.start));
+      console.log(`📈 Grid import peak ${month}: ${averagePower}W (${this.config.demandIntervalMinutes} min average)`);
+    }
+  }
+
+  // Peaks of the last months from InfluxDB, with the running month from memory
+  async getMonthlyPeaks(months = 12) {
+    const peaks = await influxAIService.getMonthlyGridPeaks(months);
+    if (this.monthPeak) {
+      const stored = peaks.find(peak => peak.month === this.monthPeak.month);
+      if (!stored) {
+        peaks.push({ ...this.monthPeak });
+      } else if (this.monthPeak.averagePower > stored.averagePower) {
+        Object.assign(stored, this.monthPeak);
+      }
+    }
+    return peaks.sort((a, b) => a.month.localeCompare(b.month));
+  }
+
+  getStatus() {
+    const config = this.config;
+    return {
+      ...config,
+      triggerPower: Math.round(config.maxImportPower * config.triggerFactor),
+      releasePower: Math.round(config.maxImportPower * config.releaseFactor),
+      active: this.active,
+      lastImport: this.lastImport,
+      currentInterval: this.demand ? {
+        start: new Date(this.demand.start).toISOString(),
+        end: new Date(this.demand.end).toISOString(),
+        averagePower: Math.round(this.getAverage(this.demand))
+      } : null,
+      lastInterval: this.lastInterval,
+      monthPeak: this.monthPeak,
+      events: this.events
+    };
+  }
+}
+
+module.exports = new PeakShavingService();
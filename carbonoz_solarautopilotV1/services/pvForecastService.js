@@ -0,0 +1,409 @@
+// services/pvForecastService.js
+// PV production forecast learned from the own pv_power history in InfluxDB.
+// A clear-sky envelope per day-of-year and hour (high percentile of the production seen
+// around that date) is scaled by how clear the last days were. An optional local weather
+// feed (cloud cover or irradiance via MQTT or a Home Assistant entity) replaces the
+// history-based clearness for the hours it covers.
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const moment = require('moment-timezone');
+const influxAIService = require('./influxAIService');
+const tibberService = require('./tibberService');
+
+const WEATHER_SOURCES = ['none', 'mqtt', 'homeassistant'];
+const WEATHER_TYPES = ['cloud_cover', 'irradiance'];
+
+class PvForecastService {
+  constructor() {
+    this.configFile = path.join(__dirname, '..', 'data', 'pv_forecast_config.json');
+    this.config = this.loadConfig();
+    this.topic = null;
+    this.samplesByDay = null;   // day-of-year -> [{ hour, value }]
+    this.envelopeCache = {};
+    this.peakPower = 0;
+    this.clearness = null;      // { expected, min, max, days }
+    this.weather = null;        // latest weather feed reading
+    this.lastRefresh = null;
+    this.sampleCount = 0;
+    this.refreshPromise = null;
+  }
+
+  loadConfig() {
+    const defaults = {
+      historyDays: 365,           // History the clear-sky envelope is learned from
+      seasonWindowDays: 10,       // +/- days around the day-of-year used for the envelope
+      envelopePercentile: 0.9,    // Percentile of the samples treated as "clear sky"
+      recentDays: 7,              // Days used to estimate the current clearness
+      recentDecay: 0.6,           // Weight factor per day of age (yesterday = 1)
+      refreshMinutes: 60,
+      weather: {
+        source: 'none',           // none | mqtt | homeassistant
+        type: 'cloud_cover',      // cloud_cover (%) | irradiance (W/m²)
+        mqttTopic: '',
+        haEntity: '',
+        maxAgeMinutes: 120        // Readings older than this are ignored
+      }
+    };
+
+    try {
+      if (fs.existsSync(this.configFile)) {
+        const saved = JSON.parse(fs.readFileSync(this.configFile, 'utf8'));
+        return {
+          ...defaults,
+          ...saved,
+          weather: { ...defaults.weather, ...(saved.weather || {}) }
+        };
+      }
+    } catch (error) {
+      console.error('Error loading PV forecast config:', error.message);
+    }
+
+    return defaults;
+  }
+
+  getTimezone() {
+    return tibberService.config?.timezone || 'Europe/Berlin';
+  }
+
+  setTopicPrefix(prefix) {
+    const topic = `${prefix}/total/pv_power/state`;
+    if (topic !== this.topic) {
+      this.topic = topic;
+      this.samplesByDay = null;
+      this.lastRefresh = null;
+    }
+  }
+
+  // MQTT topic of the weather feed, or null when not configured
+  getWeatherTopic() {
+    const weather = this.config.weather;
+    if (!WEATHER_SOURCES.includes(weather.source) || !WEATHER_TYPES.includes(weather.type)) {
+      return null;
+    }
+    return weather.source === 'mqtt' && weather.mqttTopic ? weather.mqttTopic : null;
+  }
+
+  isStale() {
+    if (!this.lastRefresh) return true;
+    return Date.now() - this.lastRefresh.getTime() > this.config.refreshMinutes * 60000;
+  }
+
+  async ensureFresh() {
+    if (!this.isStale()) return this.samplesByDay;
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.refresh().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
+  async refresh() {
+    if (!this.topic) {
+      return null;
+    }
+
+    const now = new Date();
+    const fromDate = new Date(now.getTime() - this.config.historyDays * 86400000);
+    const series = await influxAIService.getStateSeries(this.topic, fromDate, now, '1h', 'none');
+    this.lastRefresh = now;
+
+    if (this.config.weather.source === 'homeassistant') {
+      await this.fetchHomeAssistantWeather();
+    }
+
+    const samples = series.filter(point => typeof point.value === 'number' && point.value >= 0);
+    this.sampleCount = samples.length;
+    this.envelopeCache = {};
+
+    if (samples.length === 0) {
+      this.samplesByDay = null;
+      this.clearness = null;
+      this.peakPower = 0;
+      return null;
+    }
+
+    const timezone = this.getTimezone();
+    const byDay = {};
+    let peak = 0;
+    for (const point of samples) {
+      const time = moment(point.timestamp).tz(timezone);
+      const day = time.dayOfYear();
+      if (!byDay[day]) byDay[day] = [];
+      byDay[day].push({ hour: time.hour(), value: point.value });
+      peak = Math.max(peak, point.value);
+    }
+
+    this.samplesByDay = byDay;
+    this.peakPower = peak;
+    this.clearness = this.calculateClearness(samples, now);
+
+    console.log(`☀️ PV forecast updated from ${samples.length} hourly samples (peak ${Math.round(peak)}W, clearness ${(this.clearness.expected * 100).toFixed(0)}%)`);
+    return this.samplesByDay;
+  }
+
+  // Clear-sky production (W) for a day-of-year and hour: a high percentile of all
+  // samples at that hour within the seasonal window
+  getEnvelope(dayOfYear, hour) {
+    const key = `${dayOfYear}-${hour}`;
+    if (key in this.envelopeCache) return this.envelopeCache[key];
+    if (!this.samplesByDay) return null;
+
+    const values = [];
+    const window = this.config.seasonWindowDays;
+    for (let offset = -window; offset <= window; offset++) {
+      const day = ((dayOfYear - 1 + offset + 366) % 366) + 1;
+      const daySamples = this.samplesByDay[day];
+      if (!daySamples) continue;
+      daySamples.forEach(sample => {
+        if (sample.hour === hour) values.push(sample.value);
+      });
+    }
+
+    let envelope = null;
+    if (values.length > 0) {
+      values.sort((a, b) => a - b);
+      envelope = values[Math.min(values.length - 1, Math.floor(values.length * this.config.envelopePercentile))];
+    }
+
+    this.envelopeCache[key] = envelope;
+    return envelope;
+  }
+
+  // Ratio of actual to clear-sky energy for the last full days, most recent weighted highest
+  calculateClearness(samples, now) {
+    const timezone = this.getTimezone();
+    const today = moment(now).tz(timezone).startOf('day');
+    const days = {};
+
+    for (const point of samples) {
+      const time = moment(point.timestamp).tz(timezone);
+      const age = today.diff(time.clone().startOf('day'), 'days');
+      if (age < 1 || age > this.config.recentDays) continue;
+
+      const envelope = this.getEnvelope(time.dayOfYear(), time.hour());
+      if (!envelope) continue;
+
+      if (!days[age]) days[age] = { actual: 0, clearSky: 0 };
+      days[age].actual += point.value;
+      days[age].clearSky += envelope;
+    }
+
+    let weightSum = 0;
+    let weighted = 0;
+    const ratios = [];
+    Object.entries(days).forEach(([age, day]) => {
+      if (day.clearSky <= 0) return;
+      const ratio = Math.min(1, day.actual / day.clearSky);
+      const weight = Math.pow(this.config.recentDecay, Number(age) - 1);
+      weighted += ratio * weight;
+      weightSum += weight;
+      ratios.push(ratio);
+    });
+
+    if (weightSum === 0) {
+      return { expected: 0.6, min: 0.2, max: 1, days: 0 };
+    }
+
+    return {
+      expected: weighted / weightSum,
+      min: Math.min(...ratios),
+      max: Math.max(...ratios),
+      days: ratios.length
+    };
+  }
+
+  // Weather feed: a number for "now", or a list of { time, value } (also cloud_cover / irradiance keys)
+  setWeatherReading(payload) {
+    let data = payload;
+    if (typeof data === 'string') {
+      try {
+        data = JSON.parse(data);
+      } catch (error) {
+        data = parseFloat(data);
+      }
+    }
+
+    const receivedAt = new Date();
+    const readValue = entry => {
+      const value = entry.value ?? entry[this.config.weather.type] ?? entry.cloud_coverage;
+      return typeof value === 'number' ? value : parseFloat(value);
+    };
+
+    let readings;
+    if (typeof data === 'number') {
+      readings = [{ time: receivedAt, value: data }];
+    } else if (Array.isArray(data)) {
+      readings = data.map(entry => ({ time: new Date(entry.time || entry.datetime), value: readValue(entry) }));
+    } else if (data && typeof data === 'object') {
+      readings = [{ time: new Date(data.time || receivedAt), value: readValue(data) }];
+    } else {
+      return false;
+    }
+
+    readings = readings.filter(reading => !isNaN(reading.value) && !isNaN(reading.time.getTime()));
+    if (readings.length === 0) return false;
+
+    this.weather = { receivedAt, readings };
+    return true;
+  }
+
+  async fetchHomeAssistantWeather() {
+    const entity = this.config.weather.haEntity;
+    const token = process.env.SUPERVISOR_TOKEN;
+    if (!entity || !token) return false;
+
+    try {
+      const response = await axios.get(`http://supervisor/core/api/states/${entity}`, {
+        headers: { Authorization: `Bearer ${token}` },
+        timeout: 10000
+      });
+      const state = response.data;
+      const attributes = state.attributes || {};
+
+      if (Array.isArray(attributes.forecast)) {
+        return this.setWeatherReading(attributes.forecast);
+      }
+      if (attributes.cloud_coverage !== undefined) {
+        return this.setWeatherReading(attributes.cloud_coverage);
+      }
+      return this.setWeatherReading(state.state);
+    } catch (error) {
+      console.error(`Error reading weather entity ${entity}:`, error.message);
+      return false;
+    }
+  }
+
+  // Weather reading covering the given hour (single readings cover the next 3 hours)
+  getWeatherFor(date) {
+    if (!this.weather) return null;
+    if (Date.now() - this.weather.receivedAt.getTime() > this.config.weather.maxAgeMinutes * 60000) {
+      return null;
+    }
+
+    const time = date.getTime();
+    const readings = this.weather.readings;
+    if (readings.length === 1) {
+      const start = readings[0].time.getTime();
+      return time >= start - 3600000 && time < start + 3 * 3600000 ? readings[0].value : null;
+    }
+
+    const match = readings.find(reading => Math.abs(reading.time.getTime() - time) < 1800000);
+    return match ? match.value : null;
+  }
+
+  // Clearness (0-1) from a weather reading for an hour with the given clear-sky production
+  weatherClearness(value, envelope) {
+    if (this.config.weather.type === 'irradiance') {
+      if (!envelope || !this.peakPower) return null;
+      return Math.min(1, Math.max(0, (value / 1000) * this.peakPower / envelope));
+    }
+    // Kasten & Czeplak: reduction of global radiation by cloud cover
+    const cover = Math.min(100, Math.max(0, value)) / 100;
+    return 1 - 0.75 * Math.pow(cover, 3.4);
+  }
+
+  getExpectedPvDetail(date) {
+    if (!this.samplesByDay || !this.clearness) return null;
+
+    const time = moment(date).tz(this.getTimezone());
+    const envelope = this.getEnvelope(time.dayOfYear(), time.hour()) || 0;
+
+    let clearness = this.clearness.expected;
+    let lower = this.clearness.min;
+    let upper = this.clearness.max;
+    let source = 'history';
+
+    const reading = this.getWeatherFor(date);
+    if (reading !== null && envelope > 0) {
+      const fromWeather = this.weatherClearness(reading, envelope);
+      if (fromWeather !== null) {
+        clearness = fromWeather;
+        lower = Math.max(0, fromWeather - 0.15);
+        upper = Math.min(1, fromWeather + 0.15);
+        source = 'weather';
+      }
+    }
+
+    return {
+      clearSky: envelope,
+      expected: envelope * clearness,
+      lower: envelope * lower,
+      upper: envelope * upper,
+      clearness: clearness,
+      source: source
+    };
+  }
+
+  // Expected PV production (W) for the hour containing `date`, or null without history
+  getExpectedPv(date) {
+    const detail = this.getExpectedPvDetail(date);
+    return detail ? detail.expected : null;
+  }
+
+  async getForecast(hours = 48) {
+    await this.ensureFresh();
+
+    const start = moment().tz(this.getTimezone()).startOf('hour');
+    const points = [];
+
+    for (let i = 0; i < hours; i++) {
+      const slotStart = start.clone().add(i, 'hours');
+      const detail = this.getExpectedPvDetail(slotStart.toDate());
+
+      points.push({
+        startsAt: slotStart.toISOString(),
+        endsAt: slotStart.clone().add(1, 'hour').toISOString(),
+        expected: detail ? Math.round(detail.expected) : 0,
+        lower: detail ? Math.round(detail.lower) : 0,
+        upper: detail ? Math.round(detail.upper) : 0,
+        clearSky: detail ? Math.round(detail.clearSky) : 0,
+        source: detail ? detail.source : 'none'
+      });
+    }
+
+    const totalKwh = points.reduce((sum, point) => sum + point.expected, 0) / 1000;
+
+    return {
+      source: this.samplesByDay ? 'history' : 'none',
+      generatedAt: new Date().toISOString(),
+      lastRefresh: this.lastRefresh ? this.lastRefresh.toISOString() : null,
+      timezone: this.getTimezone(),
+      sampleCount: this.sampleCount,
+      peakPower: Math.round(this.peakPower),
+      clearness: this.clearness,
+      weather: this.getWeatherStatus(),
+      totalKwh: Number(totalKwh.toFixed(2)),
+      points: points
+    };
+  }
+
+  getWeatherStatus() {
+    return {
+      source: this.config.weather.source,
+      type: this.config.weather.type,
+      lastReading: this.weather ? this.weather.receivedAt.toISOString() : null,
+      readings: this.weather ? this.weather.readings.length : 0
+    };
+  }
+
+  getPeakPower() {
+    return this.peakPower || null;
+  }
+
+  getStatus() {
+    return {
+      available: !!this.samplesByDay,
+      topic: this.topic,
+      lastRefresh: this.lastRefresh ? this.lastRefresh.toISOString() : null,
+      sampleCount: this.sampleCount,
+      peakPower: Math.round(this.peakPower),
+      clearness: this.clearness ? Number(this.clearness.expected.toFixed(3)) : null,
+      weather: this.getWeatherStatus()
+    };
+  }
+}
+
+module.exports = new PvForecastService();
@@ -0,0 +1,273 @@
+// Day-ahead Schedule Optimizer
+// Dynamic programming over discretised battery SOC for the whole price horizon.
+// Produces an hour-by-hour (or per price slot) charge/hold/discharge plan that
+// minimises grid cost given efficiencies, C-rate and SOC limits.
+
+// Longest the plan waits for a cheaper slot before restoring a battery below the reserve
+const RESERVE_RESTORE_HOURS = 12;
+
+class ScheduleOptimizer {
+  constructor() {
+    this.socStep = 1; // % SOC resolution of the DP grid
+    this.defaultSlotMinutes = 60;
+  }
+
+  // Build slots with start/end times and duration from a Tibber-style forecast
+  buildSlots(forecast, now = new Date()) {
+    const sorted = (forecast || [])
+      .filter(p => p && p.startsAt && typeof p.total === 'number')
+      .sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt));
+
+    const slots = [];
+    for (let i = 0; i < sorted.length; i++) {
+      const start = new Date(sorted[i].startsAt);
+      const next = sorted[i + 1] ? new Date(sorted[i + 1].startsAt) : null;
+      const previousDuration = slots.length > 0 ? slots[slots.length - 1].durationHours * 3600000 : null;
+      const durationMs = next ? next - start : (previousDuration || this.defaultSlotMinutes * 60000);
+      const end = new Date(start.getTime() + durationMs);
+
+      // Skip slots that are already over
+      if (end <= now) continue;
+
+      slots.push({
+        startsAt: start.toISOString(),
+        endsAt: end.toISOString(),
+        durationHours: durationMs / 3600000,
+        price: sorted[i].total,
+        level: sorted[i].level
+      });
+    }
+
+    return slots;
+  }
+
+  // Optimise the battery schedule.
+  // params: {
+  //   forecast, batteryCapacity (kWh), initialSoc (%), socMin/socMax (0-1),
+  //   chargeEfficiency, dischargeEfficiency, cRate, feedInTariff (¢/kWh),
+  //   maxChargePrice (¢/kWh, optional), netLoadForecast (kWh per slot, optional),
+  //   degradationCost (¢ per kWh discharged, optional), reserveSoc (% per slot, optional),
+  //   scorePrice (¢/kWh per slot used instead of the price when optimising, optional),
+  //   carbonIntensity (gCO2eq/kWh per slot for CO2 accounting, optional),
+  //   horizonHours (optional), now (optional)
+  // }
+  optimize(params) {
+    const now = params.now || new Date();
+    let slots = this.buildSlots(params.forecast, now);
+
+    if (params.horizonHours) {
+      const horizonEnd = now.getTime() + params.horizonHours * 3600000;
+      slots = slots.filter(slot => new Date(slot.startsAt).getTime() < horizonEnd);
+    }
+
+    if (slots.length === 0 || !params.batteryCapacity || params.batteryCapacity <= 0) {
+      return null;
+    }
+
+    const capacity = params.batteryCapacity;
+    const ηc = params.chargeEfficiency || 0.95;
+    const ηd = params.dischargeEfficiency || 0.95;
+    const cRate = params.cRate || 1.0;
+    const feedInTariff = params.feedInTariff || 0;
+    const maxChargePrice = typeof params.maxChargePrice === 'number' ? params.maxChargePrice : null;
+    const netLoadForecast = params.netLoadForecast || [];
+    const degradationCost = params.degradationCost || 0;
+    const reserveSoc = params.reserveSoc || [];
+    const scorePrice = params.scorePrice || [];
+    const carbonIntensity = params.carbonIntensity || [];
+
+    const step = this.socStep;
+    const minIdx = Math.ceil(((params.socMin ?? 0.2) * 100) / step);
+    const maxIdx = Math.floor(((params.socMax ?? 1.0) * 100) / step);
+    const kwhPerStep = capacity * step / 100;
+
+    // Clamp the starting SOC into the allowed band
+    const initialSoc = Math.max(0, Math.min(100, params.initialSoc || 0));
+    const startIdx = Math.max(minIdx, Math.min(maxIdx, Math.round(initialSoc / step)));
+
+    // Remaining battery energy is valued at the average horizon price so the
+    // optimiser does not simply dump the battery at the end of the horizon
+    const avgPrice = slots.reduce((sum, slot) => sum + slot.price, 0) / slots.length;
+    const terminalValuePerKwh = Math.max(0, avgPrice) * ηd;
+
+    // A battery below the reserve is brought back up in the cheapest slots: every kWh missing
+    // at the end of a slot costs the price spread / RESERVE_RESTORE_HOURS per hour, so the plan
+    // waits at most that long for a cheaper slot. The price cap still applies.
+    const prices = slots.map(slot => slot.price);
+    const reservePenalty = Math.max(1, Math.max(...prices) - Math.min(...prices)) / RESERVE_RESTORE_HOURS;
+
+    const T = slots.length;
+    const states = maxIdx - minIdx + 1;
+    const valueNext = new Array(states);
+    for (let s = 0; s < states; s++) {
+      valueNext[s] = -((s + minIdx) * kwhPerStep) * terminalValuePerKwh;
+    }
+
+    // policy[t][s] = next state index chosen at slot t from state s
+    const policy = new Array(T);
+    let future = valueNext;
+
+    for (let t = T - 1; t >= 0; t--) {
+      const slot = slots[t];
+      const netLoad = typeof netLoadForecast[t] === 'number' ? netLoadForecast[t] : 0;
+      const maxStepKwh = capacity * cRate * slot.durationHours;
+      const maxDeltaSteps = Math.max(1, Math.floor(maxStepKwh / kwhPerStep));
+      const gridChargeAllowed = maxChargePrice === null || slot.price <= maxChargePrice;
+      // Backup reserve: no discharging below the reserve of this slot
+      const reserveIdx = typeof reserveSoc[t] === 'number' ? Math.ceil(reserveSoc[t] / step) - minIdx : -Infinity;
+      // ...and the reserve of the next slot should be reached by the end of this one
+      const nextReserve = typeof reserveSoc[t + 1] === 'number' ? reserveSoc[t + 1] : reserveSoc[t];
+      const requiredIdx = typeof nextReserve === 'number' ? Math.ceil(nextReserve / step) - minIdx : -Infinity;
+
+      const current = new Array(states);
+      const choice = new Array(states);
+
+      for (let s = 0; s < states; s++) {
+        let best = Infinity;
+        let bestNext = s;
+
+        const lo = Math.max(0, s - maxDeltaSteps);
+        const hi = Math.min(states - 1, s + maxDeltaSteps);
+
+        for (let n = lo; n <= hi; n++) {
+          if (n < s && n < reserveIdx) continue;
+
+          const flow = this.slotEnergyFlow(n - s, kwhPerStep, ηc, ηd, netLoad);
+
+          // Grid charging above the price cap is only allowed if PV surplus covers it
+          if (flow.gridChargeKwh > 0 && !gridChargeAllowed) continue;
+
+          const price = typeof scorePrice[t] === 'number' ? scorePrice[t] : slot.price;
+          const shortfallKwh = Math.max(0, requiredIdx - n) * kwhPerStep;
+          const cost = this.slotCost(flow, price, feedInTariff, degradationCost) +
+            shortfallKwh * slot.durationHours * reservePenalty + future[n];
+          if (cost < best - 1e-9) {
+            best = cost;
+            bestNext = n;
+          }
+        }
+
+        current[s] = best;
+        choice[s] = bestNext;
+      }
+
+      policy[t] = choice;
+      future = current;
+    }
+
+    // Roll the policy forward from the current SOC to build the plan
+    const plan = [];
+    let s = startIdx - minIdx;
+    let totalCost = 0;
+    let baselineCost = 0;
+    let wearCost = 0;
+    let co2Grams = 0;
+    let baselineCo2Grams = 0;
+
+    for (let t = 0; t < T; t++) {
+      const slot = slots[t];
+      const netLoad = typeof netLoadForecast[t] === 'number' ? netLoadForecast[t] : 0;
+      const n = policy[t][s];
+      const flow = this.slotEnergyFlow(n - s, kwhPerStep, ηc, ηd, netLoad);
+      const cost = this.slotCost(flow, slot.price, feedInTariff, degradationCost);
+      const idleFlow = this.slotEnergyFlow(0, kwhPerStep, ηc, ηd, netLoad);
+      const idleCost = this.slotCost(idleFlow, slot.price, feedInTariff);
+
+      let action = 'hold';
+      if (n > s) action = 'charge';
+      else if (n < s) action = 'discharge';
+
+      totalCost += cost;
+      baselineCost += idleCost;
+      wearCost += flow.dischargedKwh * degradationCost;
+      
+      const intensity = typeof carbonIntensity[t] === 'number' ? carbonIntensity[t] : null;
+      if (intensity !== null) {
+        co2Grams += flow.gridImportKwh * intensity;
+        baselineCo2Grams += idleFlow.gridImportKwh * intensity;
+      }
+
+      plan.push({
+        startsAt: slot.startsAt,
+        endsAt: slot.endsAt,
+        durationHours: slot.durationHours,
+        price: slot.price,
+        level: slot.level,
+        action: action,
+        gridCharge: flow.gridChargeKwh > 0,
+        startSoc: (s + minIdx) * step,
+        targetSoc: (n + minIdx) * step,
+        reserveSoc: typeof reserveSoc[t] === 'number' ? reserveSoc[t] : null,
+        carbonIntensity: intensity,
+        co2Grams: intensity !== null ? Math.round(flow.gridImportKwh * intensity) : null,
+        batteryKwh: Number(((n - s) * kwhPerStep).toFixed(3)),
+        netLoadKwh: Number(netLoad.toFixed(3)),
+        gridImportKwh: Number(flow.gridImportKwh.toFixed(3)),
+        gridExportKwh: Number(flow.gridExportKwh.toFixed(3)),
+        cost: Number((cost / 100).toFixed(4)) // € (prices are in cents)
+      });
+
+      s = n;
+    }
+
+    return {
+      createdAt: new Date().toISOString(),
+      slots: plan,
+      summary: {
+        slotCount: plan.length,
+        horizonStart: plan[0].startsAt,
+        horizonEnd: plan[plan.length - 1].endsAt,
+        initialSoc: startIdx * step,
+        finalSoc: plan[plan.length - 1].targetSoc,
+        expectedCost: Number((totalCost / 100).toFixed(4)),
+        baselineCost: Number((baselineCost / 100).toFixed(4)),
+        expectedSavings: Number(((baselineCost - totalCost) / 100).toFixed(4)),
+        wearCost: Number((wearCost / 100).toFixed(4)),
+        co2Grams: Math.round(co2Grams),
+        co2AvoidedGrams: Math.round(baselineCo2Grams - co2Grams),
+        chargeSlots: plan.filter(p => p.action === 'charge').length,
+        dischargeSlots: plan.filter(p => p.action === 'discharge').length
+      }
+    };
+  }
+
+  // Energy balance for one slot. deltaSteps > 0 charges, < 0 discharges.
+  // netLoad is household load minus PV in kWh (negative = surplus)
+  slotEnergyFlow(deltaSteps, kwhPerStep, ηc, ηd, netLoad) {
+    const storedDelta = deltaSteps * kwhPerStep;
+    let batteryGridSide = 0; // kWh drawn (+) or delivered (-) at the AC side
+
+    if (storedDelta > 0) {
+      batteryGridSide = storedDelta / ηc;
+    } else if (storedDelta < 0) {
+      batteryGridSide = storedDelta * ηd;
+    }
+
+    const grid = netLoad + batteryGridSide;
+    const pvSurplus = Math.max(0, -netLoad);
+
+    return {
+      gridImportKwh: Math.max(0, grid),
+      gridExportKwh: Math.max(0, -grid),
+      gridChargeKwh: Math.max(0, batteryGridSide - pvSurplus),
+      dischargedKwh: Math.max(0, -storedDelta)
+    };
+  }
+
+  // Cost in cents for one slot (negative = revenue), including battery wear
+  slotCost(flow, price, feedInTariff, degradationCost = 0) {
+    return flow.gridImportKwh * price - flow.gridExportKwh * feedInTariff +
+      (flow.dischargedKwh || 0) * degradationCost;
+  }
+
+  // Find the plan slot covering the given time
+  getSlotAt(plan, time = new Date()) {
+    if (!plan || !plan.slots) return null;
+    const ts = time.getTime();
+    return plan.slots.find(slot =>
+      new Date(slot.startsAt).getTime() <= ts && new Date(slot.endsAt).getTime() > ts
+    ) || null;
+  }
+}
+
+module.exports = new ScheduleOptimizer();
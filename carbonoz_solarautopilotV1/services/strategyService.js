@@ -0,0 +1,169 @@
+// services/strategyService.js
+// Strategy plugins for the AI engine. Built-in strategies live in strategies/, own strategies
+// in data/strategies/ (a file there replaces a built-in strategy of the same name).
+//
+// A strategy is a CommonJS module exporting:
+//   name         - unique id, e.g. 'time-of-use'
+//   description  - shown in the strategy picker
+//   options      - default options (optional); numbers, strings and booleans can be changed
+//                  through /api/ai/strategy
+//   evaluate(context) -> { action, reasons } (may be async)
+//
+// context = {
+//   now, timezone, localTime ('HH:mm'),
+//   state:     { battery_soc, pv_power, load, grid_power, grid_voltage, battery_power, gridCharging },
+//   prices:    { current, forecast (next 48h), average24h, slotMinutes },
+//   forecasts: { planSlot, load(date), pv(date), carbon(date) },
+//   config:    { targetSoC, minimumSoC, reserveSoc, batteryCapacity, academicParams },
+//   options    (defaults merged with the saved options)
+// }
+// action: 'charge' (grid charging), 'stop' (no grid charging), 'discharge', 'hold' (keep the
+// battery, loads from grid) or 'idle' (no change)
+
+const fs = require('fs');
+const path = require('path');
+
+const STRATEGY_ACTIONS = ['charge', 'stop', 'discharge', 'hold', 'idle'];
+const OPTION_TYPES = ['number', 'string', 'boolean'];
+
+class StrategyService {
+  constructor() {
+    this.directories = [
+      { path: path.join(__dirname, '..', 'strategies'), source: 'built-in' },
+      { path: path.join(__dirname, '..', 'data', 'strategies'), source: 'custom' }
+    ];
+    this.strategies = {};
+    this.errors = [];
+    this.load();
+  }
+
+  // (Re)load every *.js file of the strategy directories
+  load() {
+    this.strategies = {};
+    this.errors = [];
+
+    for (const directory of this.directories) {
+      if (!fs.existsSync(directory.path)) continue;
+
+      const files = fs.readdirSync(directory.path).filter(file => file.endsWith('.js')).sort();
+      for (const file of files) {
+        const filePath = path.join(directory.path, file);
+        try {
+          delete require.cache[require.resolve(filePath)];
+          const strategy = require(filePath);
+          const problems = this.validate(strategy);
+          if (problems.length > 0) {
+            throw new Error(problems.join('; '));
+          }
+          this.strategies[strategy.name] = { module: strategy, source: directory.source, file: file };
+        } catch (error) {
+          this.errors.push({ file: file, source: directory.source, error: error.message });
+          console.error(`❌ Strategy ${file} not loaded: ${error.message}`);
+        }
+      }
+    }
+
+    console.log(`🧩 Strategies loaded: ${Object.keys(this.strategies).join(', ') || 'none'}`);
+    return this.list();
+  }
+
+  validate(strategy) {
+    const problems = [];
+    if (!strategy || typeof strategy !== 'object') {
+      return ['module must export an object'];
+    }
+    if (typeof strategy.name !== 'string' || !/^[a-z0-9][a-z0-9-_]*$/i.test(strategy.name)) {
+      problems.push('name must be an id (letters, digits, - and _)');
+    } else if (strategy.name === 'auto') {
+      problems.push('name "auto" is reserved for the battery-size strategies');
+    }
+    if (typeof strategy.evaluate !== 'function') {
+      problems.push('evaluate(context) must be a function');
+    }
+    if (strategy.options !== undefined) {
+      if (!strategy.options || typeof strategy.options !== 'object' || Array.isArray(strategy.options)) {
+        problems.push('options must be an object');
+      } else {
+        Object.entries(strategy.options).forEach(([key, value]) => {
+          if (value !== null && !OPTION_TYPES.includes(typeof value)) {
+            problems.push(`option ${key} must be a number, string, boolean or null`);
+          }
+        });
+      }
+    }
+    return problems;
+  }
+
+  get(name) {
+    return this.strategies[name]?.module || null;
+  }
+
+  list() {
+    return Object.values(this.strategies).map(entry => ({
+      name: entry.module.name,
+      description: entry.module.description || '',
+      options: { ...(entry.module.options || {}) },
+      source: entry.source,
+      file: entry.file
+    }));
+  }
+
+  // Saved options checked against the strategy's defaults; returns { options, errors }
+  validateOptions(name, options) {
+    const strategy = this.get(name);
+    const defaults = strategy?.options || {};
+    const parsed = {};
+    const errors = [];
+
+    for (const [key, value] of Object.entries(options || {})) {
+      if (!(key in defaults)) {
+        errors.push(`Unknown option for ${name}: ${key}`);
+        continue;
+      }
+      const type = defaults[key] === null ? null : typeof defaults[key];
+      if (value === null) {
+        parsed[key] = null;
+      } else if (type === null) {
+        // Options without a default type take numbers where the text is one
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+        parsed[key] = Number.isFinite(number) ? number : value;
+      } else if (type === 'number') {
+        const number = Number(value);
+        if (value === '' || typeof value === 'boolean' || !Number.isFinite(number)) {
+          errors.push(`${key} must be a number`);
+        } else {
+          parsed[key] = number;
+        }
+      } else if (type === 'boolean') {
+        if (typeof value !== 'boolean') errors.push(`${key} must be true or false`);
+        else parsed[key] = value;
+      } else if (typeof value !== 'string') {
+        errors.push(`${key} must be text`);
+      } else {
+        parsed[key] = value;
+      }
+    }
+
+    return { options: parsed, errors };
+  }
+
+  // Run a strategy and check its result
+  async evaluate(name, context) {
+    const strategy = this.get(name);
+    if (!strategy) {
+      throw new Error(`Strategy ${name} is not loaded`);
+    }
+
+    const result = await strategy.evaluate(context);
+    if (!result || !STRATEGY_ACTIONS.includes(result.action)) {
+      throw new Error(`Strategy ${name} returned an invalid action (expected ${STRATEGY_ACTIONS.join(', ')})`);
+    }
+
+    return {
+      action: result.action,
+      reasons: Array.isArray(result.reasons) ? result.reasons.map(String) : []
+    };
+  }
+}
+
+module.exports = new StrategyService();
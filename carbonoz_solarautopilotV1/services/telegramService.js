@@ -20,7 +20,9 @@ const defaultConfig = {
     chargingStarted: false,
     chargingStopped: false,
     optimalPrice: false,
-    negativePrice: false
+    negativePrice: false,
+    commandFailed: false,
+    watchdog: false
   }
 };
 
@@ -312,6 +314,19 @@ function formatAIChargingMessage(eventType, data) {
       message += `💲 Current Price: ${data.price}¢/kWh\n`;
       message += `⚡ Maximum charging recommended\n`;
       break;
+      
+    case 'commandFailed':
+      message = `⚠️ *AI Command Not Acknowledged*\n\n`;
+      message += `🤖 The inverter did not confirm ${data.failures} consecutive AI commands\n\n`;
+      message += `📡 Last: ${data.topic} = ${data.value}\n`;
+      message += `🔁 Attempts: ${data.attempts}\n`;
+      break;
+      
+    case 'watchdog':
+      message = `🐕 *AI Watchdog Triggered*\n\n`;
+      message += `⚠️ ${data.trigger}: ${data.reason}\n\n`;
+      message += `🛡️ Safe state sent: grid charge ${data.profile.gridCharge}, ${data.profile.chargerPriority}\n`;
+      break;
   }
   
   if (data.systemState) {
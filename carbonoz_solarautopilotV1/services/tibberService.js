@@ -2,6 +2,12 @@ const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 
+// Tibber priceInfo resolutions and their slot length
+const PRICE_RESOLUTIONS = {
+  HOURLY: 60,
+  QUARTER_HOURLY: 15
+};
+
 class TibberService {
   constructor() {
     this.apiUrl = 'https://api.tibber.com/v1-beta/gql';
@@ -53,7 +59,8 @@ class TibberService {
       minimumSoC: 20,
       maxPriceThreshold: null,
       usePriceLevels: true,
-      allowedPriceLevels: ['VERY_CHEAP', 'CHEAP', 'NORMAL']
+      allowedPriceLevels: ['VERY_CHEAP', 'CHEAP', 'NORMAL'],
+      priceResolution: 'HOURLY'
     };
     
     try {
@@ -130,7 +137,7 @@ class TibberService {
       `;
       
       const forecastQuery = `
-        SELECT "total", "energy", "tax", "level", "currency"
+        SELECT "total", "energy", "tax", "level", "currency", "duration_minutes"
         FROM "tibber_forecast" 
         WHERE time > now() - 2h AND time < now() + 48h
         ORDER BY time ASC
@@ -147,14 +154,21 @@ class TibberService {
       }
       
       const currentPrice = currentResult[0];
-      const forecast = forecastResult.map(row => ({
-        total: row.total,
-        energy: row.energy,
-        tax: row.tax,
-        level: row.level,
-        currency: row.currency,
-        startsAt: row.time
-      }));
+      // One point per slot start - a level change or resolution switch can leave older duplicates
+      const bySlot = new Map();
+      forecastResult.forEach(row => {
+        bySlot.set(new Date(row.time).getTime(), {
+          total: row.total,
+          energy: row.energy,
+          tax: row.tax,
+          level: row.level,
+          currency: row.currency,
+          startsAt: new Date(row.time).toISOString(),
+          durationMinutes: row.duration_minutes || null
+        });
+      });
+      const forecast = Array.from(bySlot.values())
+        .sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt));
       
       console.log(`✅ Loaded Tibber cache from InfluxDB: current price + ${forecast.length} forecast points`);
       
@@ -168,13 +182,13 @@ class TibberService {
           startsAt: currentPrice.time
         },
         priceInfo: null,
-        forecast: forecast.map(price => ({
+        forecast: this.addSlotTimes(forecast.map(price => ({
           ...price,
           total: price.total * 100,
           energy: price.energy * 100,
           tax: price.tax * 100,
           currency: 'cent'
-        })),
+        }))),
         consumption: null,
         timestamp: Date.now()
       };
@@ -272,7 +286,8 @@ class TibberService {
             fields: {
               total: (price.total || 0) / 100,
               energy: (price.energy || 0) / 100,
-              tax: (price.tax || 0) / 100
+              tax: (price.tax || 0) / 100,
+              duration_minutes: price.durationMinutes || this.getSlotMinutes()
             },
             timestamp: new Date(price.startsAt)
           });
@@ -456,6 +471,91 @@ class TibberService {
     }
   }
 
+  getPriceResolution() {
+    return PRICE_RESOLUTIONS[this.config.priceResolution] ? this.config.priceResolution : 'HOURLY';
+  }
+
+  // Length of a price slot in minutes: from the cached prices, otherwise the configured resolution
+  getSlotMinutes() {
+    const forecast = this.cache.forecast || [];
+    for (let i = 1; i < forecast.length; i++) {
+      const minutes = (new Date(forecast[i].startsAt) - new Date(forecast[i - 1].startsAt)) / 60000;
+      if (minutes > 0) return minutes;
+    }
+    return PRICE_RESOLUTIONS[this.getPriceResolution()];
+  }
+
+  // priceInfo selection for the configured resolution
+  getPriceInfoFields() {
+    const priceFields = `
+                  total
+                  energy
+                  tax
+                  startsAt
+                  level`;
+
+    return `
+              priceInfo(resolution: ${this.getPriceResolution()}) {
+                current {${priceFields}
+                  currency
+                }
+                today {${priceFields}
+                }
+                tomorrow {${priceFields}
+                }
+              }`;
+  }
+
+  // Tibber returns €/kWh; the cache works in cents
+  convertPrice(price) {
+    return {
+      ...price,
+      total: price.total * 100,
+      energy: price.energy * 100,
+      tax: price.tax * 100,
+      currency: 'cent'
+    };
+  }
+
+  // Add endsAt/durationMinutes to each price slot (the last slot keeps the previous length)
+  addSlotTimes(prices) {
+    let previousMinutes = PRICE_RESOLUTIONS[this.getPriceResolution()];
+
+    return prices.map((price, index) => {
+      const start = new Date(price.startsAt);
+      const next = prices[index + 1] ? new Date(prices[index + 1].startsAt) : null;
+      const minutes = next && next > start ? (next - start) / 60000 : (price.durationMinutes || previousMinutes);
+      previousMinutes = minutes;
+
+      return {
+        ...price,
+        endsAt: new Date(start.getTime() + minutes * 60000).toISOString(),
+        durationMinutes: minutes
+      };
+    });
+  }
+
+  async updatePriceCache(priceInfo) {
+    const convertedCurrent = this.convertPrice(priceInfo.current);
+    const convertedToday = priceInfo.today.map(price => this.convertPrice(price));
+    const convertedTomorrow = (priceInfo.tomorrow || []).map(price => this.convertPrice(price));
+
+    this.cache.currentPrice = convertedCurrent;
+    this.cache.priceInfo = {
+      ...priceInfo,
+      current: convertedCurrent,
+      today: convertedToday,
+      tomorrow: convertedTomorrow
+    };
+    this.cache.forecast = this.addSlotTimes([...convertedToday, ...convertedTomorrow]);
+    this.lastUpdate = new Date();
+    await this.saveCache();
+
+    console.log(`✅ Price: ${convertedCurrent.total.toFixed(2)} cent (${convertedCurrent.level}, ${this.cache.forecast.length} slots of ${this.getSlotMinutes()} min)`);
+
+    return this.cache.priceInfo;
+  }
+
   async getCurrentPriceInfo(homeId = null) {
     const targetHomeId = homeId || this.config.homeId;
     
@@ -465,37 +565,13 @@ class TibberService {
       return await this.getPriceInfoFromFirstHome();
     }
 
-    console.log(`📊 Fetching price info for home: ${targetHomeId}`);
+    console.log(`📊 Fetching ${this.getPriceResolution().toLowerCase()} price info for home: ${targetHomeId}`);
 
     const query = `
       query GetPriceInfo($homeId: ID!) {
         viewer {
           home(id: $homeId) {
-            currentSubscription {
-              priceInfo {
-                current {
-                  total
-                  energy
-                  tax
-                  startsAt
-                  currency
-                  level
-                }
-                today {
-                  total
-                  energy
-                  tax
-                  startsAt
-                  level
-                }
-                tomorrow {
-                  total
-                  energy
-                  tax
-                  startsAt
-                  level
-                }
-              }
+            currentSubscription {${this.getPriceInfoFields()}
             }
           }
         }
@@ -504,47 +580,7 @@ class TibberService {
 
     try {
       const data = await this.makeGraphQLRequest(query, { homeId: targetHomeId });
-      const priceInfo = data.viewer.home.currentSubscription.priceInfo;
-      
-      // Convert prices from Euro to cents and update currency
-      const convertedCurrent = {
-        ...priceInfo.current,
-        total: priceInfo.current.total * 100,
-        energy: priceInfo.current.energy * 100,
-        tax: priceInfo.current.tax * 100,
-        currency: 'cent'
-      };
-      
-      const convertedToday = priceInfo.today.map(price => ({
-        ...price,
-        total: price.total * 100,
-        energy: price.energy * 100,
-        tax: price.tax * 100,
-        currency: 'cent'
-      }));
-      
-      const convertedTomorrow = (priceInfo.tomorrow || []).map(price => ({
-        ...price,
-        total: price.total * 100,
-        energy: price.energy * 100,
-        tax: price.tax * 100,
-        currency: 'cent'
-      }));
-      
-      this.cache.currentPrice = convertedCurrent;
-      this.cache.priceInfo = {
-        ...priceInfo,
-        current: convertedCurrent,
-        today: convertedToday,
-        tomorrow: convertedTomorrow
-      };
-      this.cache.forecast = [...convertedToday, ...convertedTomorrow];
-      this.lastUpdate = new Date();
-      await this.saveCache();
-      
-      console.log(`✅ Price: ${convertedCurrent.total.toFixed(2)} cent (${convertedCurrent.level})`);
-      
-      return this.cache.priceInfo;
+      return await this.updatePriceCache(data.viewer.home.currentSubscription.priceInfo);
     } catch (error) {
       console.error('❌ Error fetching price info:', error.message);
       throw error;
@@ -559,31 +595,7 @@ class TibberService {
         viewer {
           homes {
             id
-            currentSubscription {
-              priceInfo {
-                current {
-                  total
-                  energy
-                  tax
-                  startsAt
-                  currency
-                  level
-                }
-                today {
-                  total
-                  energy
-                  tax
-                  startsAt
-                  level
-                }
-                tomorrow {
-                  total
-                  energy
-                  tax
-                  startsAt
-                  level
-                }
-              }
+            currentSubscription {${this.getPriceInfoFields()}
             }
           }
         }
@@ -600,47 +612,7 @@ class TibberService {
       const firstHome = data.viewer.homes[0];
       console.log(`✅ Using first available home: ${firstHome.id}`);
       
-      const priceInfo = firstHome.currentSubscription.priceInfo;
-      
-      // Convert prices from Euro to cents and update currency
-      const convertedCurrent = {
-        ...priceInfo.current,
-        total: priceInfo.current.total * 100,
-        energy: priceInfo.current.energy * 100,
-        tax: priceInfo.current.tax * 100,
-        currency: 'cent'
-      };
-      
-      const convertedToday = priceInfo.today.map(price => ({
-        ...price,
-        total: price.total * 100,
-        energy: price.energy * 100,
-        tax: price.tax * 100,
-        currency: 'cent'
-      }));
-      
-      const convertedTomorrow = (priceInfo.tomorrow || []).map(price => ({
-        ...price,
-        total: price.total * 100,
-        energy: price.energy * 100,
-        tax: price.tax * 100,
-        currency: 'cent'
-      }));
-      
-      this.cache.currentPrice = convertedCurrent;
-      this.cache.priceInfo = {
-        ...priceInfo,
-        current: convertedCurrent,
-        today: convertedToday,
-        tomorrow: convertedTomorrow
-      };
-      this.cache.forecast = [...convertedToday, ...convertedTomorrow];
-      this.lastUpdate = new Date();
-      await this.saveCache();
-      
-      console.log(`✅ Price: ${convertedCurrent.total.toFixed(2)} cent (${convertedCurrent.level})`);
-      
-      return this.cache.priceInfo;
+      return await this.updatePriceCache(firstHome.currentSubscription.priceInfo);
     } catch (error) {
       console.error('❌ Error fetching price info from first home:', error.message);
       throw error;
@@ -673,6 +645,9 @@ class TibberService {
   getCachedData() {
     return {
       ...this.cache,
+      currentPrice: this.getCurrentPrice(),
+      resolution: this.getPriceResolution(),
+      slotMinutes: this.getSlotMinutes(),
       config: {
         enabled: this.config.enabled,
         currency: this.config.currency,
@@ -684,44 +659,62 @@ class TibberService {
     };
   }
 
-  calculateAveragePrice(hours = 24) {
-    if (!this.cache.forecast || this.cache.forecast.length === 0) {
-      return null;
-    }
+  // Price slot covering a point in time. Tibber's `current` is only as fresh as the last
+  // refresh, so the slot is looked up in the forecast first.
+  getCurrentPrice(time = new Date()) {
+    const ts = time.getTime();
+    const slot = (this.cache.forecast || []).find(price =>
+      new Date(price.startsAt).getTime() <= ts && new Date(price.endsAt || price.startsAt).getTime() > ts
+    );
+    return slot || this.cache.currentPrice;
+  }
 
-    const now = new Date();
-    const futureHours = this.cache.forecast
-      .filter(price => new Date(price.startsAt) > now)
-      .slice(0, hours);
+  // Price slots overlapping the next `hours` hours, independent of the slot length
+  getForecastWindow(hours = 24, from = new Date()) {
+    const start = from.getTime();
+    const end = start + hours * 3600000;
+    return (this.cache.forecast || []).filter(price => {
+      const slotStart = new Date(price.startsAt).getTime();
+      const slotEnd = new Date(price.endsAt || price.startsAt).getTime();
+      return slotEnd > start && slotStart < end;
+    });
+  }
 
-    if (futureHours.length === 0) return null;
+  // Start of the next price slot after `time`, or null when the forecast has run out
+  getNextSlotStart(time = new Date()) {
+    const next = (this.cache.forecast || []).find(price => new Date(price.startsAt) > time);
+    return next ? new Date(next.startsAt) : null;
+  }
 
-    const avg = futureHours.reduce((acc, p) => acc + p.total, 0) / futureHours.length;
+  calculateAveragePrice(hours = 24) {
+    const futureSlots = this.getForecastWindow(hours)
+      .filter(price => new Date(price.startsAt) > new Date());
+
+    if (futureSlots.length === 0) return null;
+
+    const avg = futureSlots.reduce((acc, p) => acc + p.total, 0) / futureSlots.length;
     return avg;
   }
 
+  // Cheapest `count` hours worth of slots (e.g. 24 quarter-hour slots for 6 hours)
   getCheapestHours(count = 6, hoursAhead = 24) {
-    if (!this.cache.forecast || this.cache.forecast.length === 0) {
-      return [];
-    }
-
-    const now = new Date();
-    const futureHours = this.cache.forecast
-      .filter(price => new Date(price.startsAt) > now)
-      .slice(0, hoursAhead);
+    const futureSlots = this.getForecastWindow(hoursAhead)
+      .filter(price => new Date(price.startsAt) > new Date());
+    const slotsPerHour = 60 / this.getSlotMinutes();
 
-    return futureHours
+    return futureSlots
       .sort((a, b) => a.total - b.total)
-      .slice(0, count)
+      .slice(0, Math.round(count * slotsPerHour))
       .map(price => ({
         time: price.startsAt,
+        endsAt: price.endsAt,
         price: price.total,
         level: price.level
       }));
   }
 
   isPriceGood(currentPrice = null) {
-    const price = currentPrice || this.cache.currentPrice;
+    const price = currentPrice || this.getCurrentPrice();
     if (!price) return false;
 
     if (this.config.usePriceLevels) {
@@ -741,18 +734,23 @@ class TibberService {
   }
 
   getStatus() {
+    const currentPrice = this.getCurrentPrice();
+    
     return {
       enabled: this.config.enabled,
       configured: !!(this.config.apiKey && this.config.apiKey !== '***'),
       lastUpdate: this.lastUpdate ? this.lastUpdate.toISOString() : null,
       hasCachedData: !!(this.cache.currentPrice && this.cache.forecast.length > 0),
-      currentPrice: this.cache.currentPrice ? {
-        total: this.cache.currentPrice.total,
-        level: this.cache.currentPrice.level,
-        currency: this.cache.currentPrice.currency
+      currentPrice: currentPrice ? {
+        total: currentPrice.total,
+        level: currentPrice.level,
+        currency: currentPrice.currency
       } : null,
-      priceIsGood: this.cache.currentPrice ? this.isPriceGood() : false,
-      forecastHours: this.cache.forecast.length,
+      priceIsGood: currentPrice ? this.isPriceGood() : false,
+      resolution: this.getPriceResolution(),
+      slotMinutes: this.getSlotMinutes(),
+      forecastSlots: this.cache.forecast.length,
+      forecastHours: this.cache.forecast.length * this.getSlotMinutes() / 60,
       cacheAge: this.cache.timestamp ? Math.floor((Date.now() - this.cache.timestamp) / 1000) : null
     };
   }
@@ -770,7 +768,8 @@ class TibberService {
       homeId: this.config.homeId || 'none (optional - will use first home)',
       country: this.config.country,
       timezone: this.config.timezone,
-      currency: this.config.currency
+      currency: this.config.currency,
+      priceResolution: this.getPriceResolution()
     });
     
     console.log('\nℹ️  Note: API key saved exactly as entered (no validation).');
@@ -224,6 +224,23 @@ function addWarningToHistory(warningInstance) {
   saveConfig(config);
 }
 
+// Record a warning raised by the system itself (not a user-defined threshold)
+function raiseSystemWarning(warning) {
+  const config = getConfig();
+  if (!config.enabled) return null;
+  
+  const warningInstance = {
+    id: `instance-${Date.now()}`,
+    timestamp: new Date().toISOString(),
+    priority: 'medium',
+    ...warning,
+    system: true
+  };
+  
+  addWarningToHistory(warningInstance);
+  return warningInstance;
+}
+
 // Get warning history
 function getWarningHistory(options = {}) {
   const config = getConfig();
@@ -292,6 +309,7 @@ module.exports = {
   updateWarningType,
   deleteWarningType,
   checkWarnings,
+  raiseSystemWarning,
   getWarningHistory,
   clearWarningHistory,
   setWarningSystemEnabled,
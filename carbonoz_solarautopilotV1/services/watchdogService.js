@@ -0,0 +1,306 @@
+// services/watchdogService.js
+// Fail-safe watchdog for the AI engine. When the engine can no longer be trusted to control
+// the inverters - stale Tibber prices, no battery SOC for a while, repeated evaluation errors
+// or the add-on shutting down - a safe-state profile (by default: no grid charging, Solar
+// first) is sent to every inverter instead of leaving the last command in place.
+// Every trigger is written to InfluxDB (ai_watchdog), raised as a warning and sent to Telegram.
+
+const fs = require('fs');
+const path = require('path');
+const aiChargingEngine = require('./aiChargingEngine');
+const tibberService = require('./tibberService');
+const influxAIService = require('./influxAIService');
+const warningService = require('./warningService');
+const telegramService = require('./telegramService');
+
+const DEFAULT_WATCHDOG = {
+  enabled: true,
+  // Safe state sent to every inverter (legacy: grid_charge/energy_pattern, new: priorities)
+  gridCharge: 'Disabled',
+  energyPattern: 'Battery first',
+  chargerPriority: 'Solar first',
+  outputPriority: 'Solar/Battery/Utility',
+  // Triggers (null = trigger off)
+  maxPriceAgeMinutes: 180,
+  socTimeoutMinutes: 15,
+  maxEvaluationErrors: 3,
+  onShutdown: true
+};
+
+const TRIGGER_LABELS = {
+  stalePrices: 'Stale price data',
+  missingSoc: 'Battery SOC missing',
+  evaluationErrors: 'Repeated evaluation errors',
+  shutdown: 'Add-on shutdown'
+};
+
+// Without prices or SOC the engine would decide on wrong data, so it pauses until they are back
+const BLOCKING_TRIGGERS = ['stalePrices', 'missingSoc'];
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+const MAX_EVENTS = 50;
+
+class WatchdogService {
+  constructor() {
+    this.configFile = path.join(__dirname, '..', 'data', 'watchdog_config.json');
+    this.config = this.loadConfig();
+    this.startedAt = new Date();
+    this.lastSocAt = null;
+    this.active = {};     // trigger -> { since, reason }
+    this.events = [];     // recent triggers and recoveries, newest first
+    this.timer = null;
+    this.checking = false;
+  }
+
+  loadConfig() {
+    try {
+      if (fs.existsSync(this.configFile)) {
+        const saved = JSON.parse(fs.readFileSync(this.configFile, 'utf8'));
+        return { ...DEFAULT_WATCHDOG, ...saved };
+      }
+    } catch (error) {
+      console.error('Error loading watchdog config:', error.message);
+    }
+    return { ...DEFAULT_WATCHDOG };
+  }
+
+  saveConfig() {
+    try {
+      fs.writeFileSync(this.configFile, JSON.stringify(this.config, null, 2));
+    } catch (error) {
+      console.error('Error saving watchdog config:', error.message);
+    }
+  }
+
+  updateConfig(changes) {
+    const errors = [];
+    const parsed = {};
+    const limits = { maxPriceAgeMinutes: [30, 2880], socTimeoutMinutes: [1, 1440], maxEvaluationErrors: [1, 100] };
+
+    for (const [key, rawValue] of Object.entries(changes || {})) {
+      if (!(key in DEFAULT_WATCHDOG)) {
+        errors.push(`Unknown setting: ${key}`);
+      } else if (key === 'enabled' || key === 'onShutdown') {
+        if (typeof rawValue !== 'boolean') errors.push(`${key} must be true or false`);
+        else parsed[key] = rawValue;
+      } else if (key in limits) {
+        const value = Number(rawValue);
+        if (rawValue === null || rawValue === '') {
+          parsed[key] = null;
+        } else if (typeof rawValue === 'boolean' || !Number.isFinite(value) || value < limits[key][0] || value > limits[key][1]) {
+          errors.push(`${key} must be between ${limits[key][0]} and ${limits[key][1]} (or empty to switch it off)`);
+        } else {
+          parsed[key] = value;
+        }
+      } else if (typeof rawValue !== 'string' || rawValue.trim() === '') {
+        errors.push(`${key} must be an inverter setting value`);
+      } else {
+        parsed[key] = rawValue.trim();
+      }
+    }
+
+    if (errors.length > 0) {
+      const error = new Error(errors.join('; '));
+      error.validationErrors = errors;
+      throw error;
+    }
+
+    this.config = { ...this.config, ...parsed };
+    this.saveConfig();
+    console.log(`🐕 Watchdog ${this.config.enabled ? 'enabled' : 'disabled'}`);
+    return { ...this.config };
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.check().catch(error => console.error('❌ Watchdog check failed:', error.message));
+    }, CHECK_INTERVAL_MS);
+    console.log('🐕 Watchdog started');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Called for every battery SOC message
+  recordSoc(value) {
+    if (typeof value === 'number' && !isNaN(value)) {
+      this.lastSocAt = new Date();
+    }
+  }
+
+  // Reason text for every trigger whose condition currently holds
+  getConditions(now = new Date()) {
+    const conditions = {};
+    const config = this.config;
+    const sinceStart = (now - this.startedAt) / 60000;
+
+    const tibberStatus = tibberService.getStatus();
+    if (config.maxPriceAgeMinutes !== null && tibberStatus.enabled && tibberStatus.configured) {
+      const ageMinutes = tibberStatus.cacheAge !== null ? tibberStatus.cacheAge / 60 : null;
+      if (ageMinutes !== null && ageMinutes > config.maxPriceAgeMinutes) {
+        conditions.stalePrices = `Tibber prices are ${Math.round(ageMinutes)} min old (limit ${config.maxPriceAgeMinutes} min)`;
+      } else if (ageMinutes === null && sinceStart > config.maxPriceAgeMinutes) {
+        conditions.stalePrices = `No Tibber prices since start (${Math.round(sinceStart)} min)`;
+      } else if (ageMinutes !== null && !tibberService.getCurrentPrice()) {
+        conditions.stalePrices = 'Tibber forecast does not cover the current time';
+      }
+    }
+
+    if (config.socTimeoutMinutes !== null) {
+      const lastSoc = this.lastSocAt || this.startedAt;
+      const minutes = (now - lastSoc) / 60000;
+      if (minutes > config.socTimeoutMinutes) {
+        conditions.missingSoc = `No battery_soc for ${Math.round(minutes)} min (limit ${config.socTimeoutMinutes} min)`;
+      }
+    }
+
+    const evaluationErrors = aiChargingEngine.evaluationErrors;
+    if (config.maxEvaluationErrors !== null && evaluationErrors.consecutive >= config.maxEvaluationErrors) {
+      conditions.evaluationErrors = `${evaluationErrors.consecutive} evaluations failed in a row: ${evaluationErrors.lastError}`;
+    }
+
+    return conditions;
+  }
+
+  async check(now = new Date()) {
+    if (this.checking) return;
+    this.checking = true;
+
+    try {
+      // Only while the engine controls the inverters
+      if (!this.config.enabled || !aiChargingEngine.enabled) {
+        if (aiChargingEngine.safeState) {
+          aiChargingEngine.clearSafeState();
+        }
+        this.active = {};
+        return;
+      }
+
+      const conditions = this.getConditions(now);
+      const triggered = Object.keys(conditions).filter(name => !this.active[name]);
+      const recovered = Object.keys(this.active).filter(name => !conditions[name]);
+
+      recovered.forEach(name => {
+        delete this.active[name];
+        this.recordEvent(name, 'recovered', `${TRIGGER_LABELS[name]} resolved`);
+      });
+      triggered.forEach(name => {
+        this.active[name] = { since: now.toISOString(), reason: conditions[name] };
+      });
+
+      if (triggered.length > 0) {
+        for (const name of triggered) {
+          await this.recordTrigger(name, conditions[name]);
+        }
+        await this.applySafeState();
+      } else if (recovered.length > 0) {
+        if (Object.keys(this.active).length > 0) {
+          await this.applySafeState();
+        } else {
+          aiChargingEngine.clearSafeState();
+          console.log('🐕 Watchdog: all triggers resolved, AI engine resumes control');
+        }
+      }
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  getProfile() {
+    const { gridCharge, energyPattern, chargerPriority, outputPriority } = this.config;
+    return { gridCharge, energyPattern, chargerPriority, outputPriority };
+  }
+
+  async applySafeState() {
+    const names = Object.keys(this.active);
+    const reasons = names.map(name => `WATCHDOG: ${TRIGGER_LABELS[name]} - ${this.active[name].reason}`);
+    const blocking = names.some(name => BLOCKING_TRIGGERS.includes(name));
+    await aiChargingEngine.applySafeState(this.getProfile(), reasons, blocking);
+  }
+
+  // Called from GracefulShutdown before the engine stops and MQTT closes
+  async handleShutdown() {
+    if (!this.config.enabled || !this.config.onShutdown || !aiChargingEngine.enabled) return false;
+
+    this.stop();
+    const reason = 'The add-on is stopping, the inverters are left in the safe state';
+    this.active.shutdown = { since: new Date().toISOString(), reason };
+    await this.recordTrigger('shutdown', reason);
+    await this.applySafeState();
+    // Write the queued InfluxDB points before the process exits
+    await influxAIService.processQueue();
+    return true;
+  }
+
+  recordEvent(trigger, type, reason) {
+    const event = {
+      timestamp: new Date().toISOString(),
+      trigger: trigger,
+      type: type,
+      reason: reason
+    };
+    this.events.unshift(event);
+    this.events = this.events.slice(0, MAX_EVENTS);
+    influxAIService.saveWatchdogEvent(trigger, type, reason, { dryRun: aiChargingEngine.isShadowMode() });
+    console.log(`🐕 Watchdog ${type}: ${TRIGGER_LABELS[trigger]} - ${reason}`);
+    return event;
+  }
+
+  async recordTrigger(trigger, reason) {
+    this.recordEvent(trigger, 'triggered', reason);
+
+    const warning = warningService.raiseSystemWarning({
+      warningTypeId: 'ai-watchdog',
+      title: `AI watchdog: ${TRIGGER_LABELS[trigger]}`,
+      description: `${reason}. Safe state sent to the inverters.`,
+      priority: 'high',
+      triggered: {
+        parameter: `watchdog_${trigger}`,
+        value: reason,
+        condition: 'triggered'
+      }
+    });
+    if (warning) {
+      console.log(`⚠️ Warning raised: ${warning.title}`);
+    }
+
+    try {
+      await telegramService.sendAIChargingNotification('watchdog', {
+        trigger: TRIGGER_LABELS[trigger],
+        reason: reason,
+        profile: this.getProfile(),
+        systemState: aiChargingEngine.currentSystemState
+      });
+    } catch (error) {
+      console.error('❌ Error sending watchdog notification:', error.message);
+    }
+  }
+
+  // Triggers and recoveries recorded in InfluxDB (also from before a restart)
+  async getHistory(limit = 50) {
+    return await influxAIService.getWatchdogEvents(limit);
+  }
+
+  getStatus() {
+    return {
+      ...this.config,
+      running: !!this.timer,
+      lastSocAt: this.lastSocAt ? this.lastSocAt.toISOString() : null,
+      evaluationErrors: aiChargingEngine.evaluationErrors.consecutive,
+      active: Object.entries(this.active).map(([trigger, entry]) => ({
+        trigger,
+        label: TRIGGER_LABELS[trigger],
+        ...entry
+      })),
+      safeState: aiChargingEngine.safeState,
+      events: this.events
+    };
+  }
+}
+
+module.exports = new WatchdogService();
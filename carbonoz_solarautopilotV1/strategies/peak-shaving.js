@@ -0,0 +1,37 @@
+// strategies/peak-shaving.js
+// Keep grid import below a limit: the battery is saved for import peaks and recharged from the
+// grid only when there is headroom below the limit and the price is below average.
+
+module.exports = {
+  name: 'peak-shaving',
+  description: 'Discharge on grid import peaks, keep the battery for them otherwise',
+  options: {
+    importLimitW: 5000,
+    // Grid power drawn by charging, used to check the headroom below the limit
+    chargePowerW: 2000
+  },
+
+  evaluate({ state, prices, config, options }) {
+    const soc = state.battery_soc;
+    const gridImport = typeof state.grid_power === 'number' ? state.grid_power : state.load - state.pv_power;
+
+    if (gridImport > options.importLimitW) {
+      if (soc > config.reserveSoc) {
+        return { action: 'discharge', reasons: [`Import ${Math.round(gridImport)}W above ${options.importLimitW}W limit`] };
+      }
+      return { action: 'stop', reasons: [`Import ${Math.round(gridImport)}W above limit, battery at reserve ${config.reserveSoc}%`] };
+    }
+
+    if (soc >= config.targetSoC) {
+      return { action: 'idle', reasons: [`Battery ready for peaks (SOC ${soc}%)`] };
+    }
+
+    const price = prices.current?.total;
+    const cheap = typeof price === 'number' && typeof prices.average24h === 'number' && price <= prices.average24h;
+    if (cheap && gridImport + options.chargePowerW <= options.importLimitW) {
+      return { action: 'charge', reasons: [`Recharging for peaks: ${price.toFixed(2)}¢ ≤ ${prices.average24h.toFixed(2)}¢/kWh average, ${Math.round(options.importLimitW - gridImport)}W headroom`] };
+    }
+
+    return { action: 'hold', reasons: [`Battery kept for import peaks (SOC ${soc}% < ${config.targetSoC}%)`] };
+  }
+};
@@ -0,0 +1,24 @@
+// strategies/self-consumption.js
+// Self-consumption only: the battery is charged by PV surplus and never from the grid
+// (except, optionally, when the grid pays for consumption).
+
+module.exports = {
+  name: 'self-consumption',
+  description: 'PV surplus charges the battery, no grid charging',
+  options: {
+    chargeOnNegativePrice: true
+  },
+
+  evaluate({ state, prices, config, options }) {
+    const price = prices.current?.total;
+    if (options.chargeOnNegativePrice && typeof price === 'number' && price < 0 && state.battery_soc < config.targetSoC) {
+      return { action: 'charge', reasons: [`Negative price ${price.toFixed(2)}¢/kWh`] };
+    }
+
+    const surplus = state.pv_power - state.load;
+    if (surplus > 0) {
+      return { action: 'stop', reasons: [`PV surplus ${Math.round(surplus)}W charges the battery`] };
+    }
+    return { action: 'stop', reasons: [`Battery covers ${Math.round(-surplus)}W load, no grid charging`] };
+  }
+};
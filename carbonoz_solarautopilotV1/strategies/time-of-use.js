@@ -0,0 +1,39 @@
+// strategies/time-of-use.js
+// Fixed time-of-use tariff: grid-charge in the cheap window, run the house from the battery in
+// the peak window, no grid charging otherwise.
+
+// Is 'HH:mm' inside 'HH:MM-HH:MM'? Windows may wrap past midnight (22:00-06:00).
+function inWindow(time, window) {
+  const [from, to] = String(window || '').split('-').map(part => part.trim());
+  if (!from || !to) return false;
+  return from <= to ? (time >= from && time < to) : (time >= from || time < to);
+}
+
+module.exports = {
+  name: 'time-of-use',
+  description: 'Charge in a fixed cheap window, discharge in the peak window',
+  options: {
+    chargeWindow: '00:00-06:00',
+    peakWindow: '17:00-21:00',
+    // Charge target in %; null = Tibber targetSoC
+    targetSoc: null
+  },
+
+  evaluate({ localTime, state, config, options }) {
+    const soc = state.battery_soc;
+    const targetSoc = options.targetSoc ?? config.targetSoC;
+
+    if (inWindow(localTime, options.chargeWindow)) {
+      if (soc < targetSoc) {
+        return { action: 'charge', reasons: [`Charge window ${options.chargeWindow}: SOC ${soc}% below ${targetSoc}%`] };
+      }
+      return { action: 'stop', reasons: [`Charge window ${options.chargeWindow}: target ${targetSoc}% reached`] };
+    }
+
+    if (inWindow(localTime, options.peakWindow)) {
+      return { action: 'discharge', reasons: [`Peak window ${options.peakWindow}: battery supplies the house`] };
+    }
+
+    return { action: 'stop', reasons: [`Outside charge window ${options.chargeWindow}`] };
+  }
+};